@@ -0,0 +1,47 @@
+// jobs/hold-expiry-job.js
+// Expires customer holds past their expiry time while the server is running
+
+import inventoryStore from '../services/inventory.js';
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+/**
+ * Start the hold expiry sweeper
+ * Runs on startup (to catch holds that expired while the server was down), then
+ * every HOLD_SWEEP_MINUTES minutes (default 5). Expired holds give their copies
+ * back to available stock.
+ * Set HOLD_SWEEP=off to disable; expired holds then keep reserving their copies until
+ * POST /api/holds/sweep runs (checkout already refuses to fulfil an expired hold).
+ * @returns {Function} stop - clears the timer
+ */
+export function startHoldExpiryJob() {
+  if (process.env.HOLD_SWEEP === 'off') {
+    console.log('🔖 Hold expiry job disabled');
+    return () => {};
+  }
+
+  const minutes = parseFloat(process.env.HOLD_SWEEP_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const expired = await inventoryStore.releaseExpiredHolds();
+      if (expired.length > 0) {
+        console.log(`🔖 Expired ${expired.length} hold(s)`);
+      }
+    } catch (error) {
+      console.error('Hold expiry job failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`🔖 Hold expiry sweep scheduled every ${minutes}m`);
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,49 @@
+// jobs/inventory-snapshot-job.js
+// Takes one inventory snapshot per day while the server is running
+
+import inventorySnapshots from '../services/inventory-snapshots.js';
+import inventoryStore from '../services/inventory.js';
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // Look once an hour whether today's snapshot exists
+
+/**
+ * Start the daily snapshot job
+ * Takes a snapshot on startup if today has none, then checks hourly so a
+ * server that runs past midnight picks up the new day.
+ * Set INVENTORY_SNAPSHOTS=off to disable (e.g. when several servers share a database).
+ * @returns {Function} stop - clears the timer
+ */
+export function startInventorySnapshotJob() {
+  if (process.env.INVENTORY_SNAPSHOTS === 'off') {
+    console.log('📸 Inventory snapshot job disabled');
+    return () => {};
+  }
+
+  // Snapshots are stored in Supabase, so there is nothing to do with the memory store
+  if (inventoryStore.storeType !== 'supabase') {
+    console.log(`📸 Inventory snapshot job skipped (${inventoryStore.storeType} inventory store)`);
+    return () => {};
+  }
+
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (!(await inventorySnapshots.hasSnapshot())) {
+        await inventorySnapshots.takeSnapshot();
+      }
+    } catch (error) {
+      console.error('Inventory snapshot job failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,37 @@
+// jobs/price-refresh-job.js
+// Refreshes inventory market prices from TCGdex on a schedule while the server is running
+
+import priceRefresh from '../services/price-refresh.js';
+
+const DEFAULT_INTERVAL_HOURS = 24;
+
+/**
+ * Start the market price refresh job
+ * Runs every PRICE_REFRESH_HOURS hours (default 24), first run one interval after startup
+ * so restarting the server doesn't send a burst of TCGdex requests.
+ * Set PRICE_REFRESH=off to disable, e.g. on all but one server so TCGdex is only asked once.
+ * @returns {Function} stop - clears the timer
+ */
+export function startPriceRefreshJob() {
+  if (process.env.PRICE_REFRESH === 'off') {
+    console.log('💹 Market price refresh job disabled');
+    return () => {};
+  }
+
+  const hours = parseFloat(process.env.PRICE_REFRESH_HOURS) || DEFAULT_INTERVAL_HOURS;
+
+  const run = async () => {
+    if (priceRefresh.running) return;
+    try {
+      await priceRefresh.refreshAll();
+    } catch (error) {
+      console.error('Market price refresh job failed:', error);
+    }
+  };
+
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  timer.unref();
+
+  console.log(`💹 Market price refresh scheduled every ${hours}h`);
+  return () => clearInterval(timer);
+}
@@ -14,3 +14,10 @@ export function requireAdmin(req, res, next) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 }
+
+// Name of the staff member making a request, for audit trails.
+// Prefers the verified JWT payload, then the X-User header sent by the frontend.
+export function getRequestUser(req) {
+  if (req.user && req.user.email) return req.user.email;
+  return req.get('X-User') || null;
+}
@@ -0,0 +1,229 @@
+// routes/buylist.js
+// Trade-in / buylist quotes (mounted under /api/buylist)
+
+import express from 'express';
+import buylist, { DEFAULT_RULES, PAYMENT_TYPES } from '../services/buylist.js';
+import { getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const QUOTE_STATUSES = ['open', 'accepted', 'cancelled'];
+
+// Default offer rules, as a starting point for a quote's rules
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    rules: DEFAULT_RULES,
+    paymentTypes: PAYMENT_TYPES
+  });
+});
+
+// List quotes (?status=open|accepted|cancelled)
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status || null;
+
+    if (status && !QUOTE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${QUOTE_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const quotes = await buylist.getAll(status, limit);
+
+    res.json({
+      success: true,
+      quotes: quotes,
+      count: quotes.length
+    });
+
+  } catch (error) {
+    console.error('Error getting buylist quotes:', error);
+    res.status(500).json({
+      error: 'Failed to get buylist quotes',
+      details: error.message
+    });
+  }
+});
+
+// Start a quote: { customerName, customerContact, note, rules }
+router.post('/', async (req, res) => {
+  try {
+    const quote = await buylist.create(req.body || {}, { user: getRequestUser(req) });
+
+    res.status(201).json({
+      success: true,
+      quote: quote
+    });
+
+  } catch (error) {
+    console.error('Error creating buylist quote:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create buylist quote',
+      details: error.message
+    });
+  }
+});
+
+// Get one quote
+router.get('/:id', async (req, res) => {
+  try {
+    const quote = await buylist.getQuote(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json({
+      success: true,
+      quote: quote
+    });
+
+  } catch (error) {
+    console.error('Error getting buylist quote:', error);
+    res.status(500).json({
+      error: 'Failed to get buylist quote',
+      details: error.message
+    });
+  }
+});
+
+// Printable quote (HTML)
+router.get('/:id/print', async (req, res) => {
+  try {
+    const quote = await buylist.getQuote(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.type('html').send(buylist.renderQuote(quote));
+
+  } catch (error) {
+    console.error('Error printing buylist quote:', error);
+    res.status(500).json({
+      error: 'Failed to print buylist quote',
+      details: error.message
+    });
+  }
+});
+
+// Add a card: { base64Image } (scan), { tcgdexId } or { card } (search result),
+// plus { condition, language, variant, quantity }
+router.post('/:id/cards', async (req, res) => {
+  try {
+    const quote = await buylist.addCard(req.params.id, req.body || {});
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json({
+      success: true,
+      quote: quote
+    });
+
+  } catch (error) {
+    console.error('Error adding card to buylist quote:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to add card to quote',
+      details: error.message
+    });
+  }
+});
+
+// Change a line: { condition, quantity, marketPrice, cashOffer, creditOffer }
+router.patch('/:id/cards/:lineId', async (req, res) => {
+  try {
+    const quote = await buylist.updateLine(req.params.id, req.params.lineId, req.body || {});
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote or card not found' });
+    }
+
+    res.json({
+      success: true,
+      quote: quote
+    });
+
+  } catch (error) {
+    console.error('Error updating buylist line:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update quote',
+      details: error.message
+    });
+  }
+});
+
+router.delete('/:id/cards/:lineId', async (req, res) => {
+  try {
+    const quote = await buylist.removeLine(req.params.id, req.params.lineId);
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote or card not found' });
+    }
+
+    res.json({
+      success: true,
+      quote: quote
+    });
+
+  } catch (error) {
+    console.error('Error removing buylist line:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update quote',
+      details: error.message
+    });
+  }
+});
+
+// Accept: { payment: 'cash' | 'credit', storeId } adds every card to inventory at its offer
+router.post('/:id/accept', async (req, res) => {
+  try {
+    const quote = await buylist.accept(req.params.id, {
+      payment: req.body.payment,
+      storeId: req.body.storeId,
+      user: getRequestUser(req)
+    });
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quote accepted and cards added to inventory',
+      quote: quote
+    });
+
+  } catch (error) {
+    console.error('Error accepting buylist quote:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to accept quote',
+      details: error.lines || error.message
+    });
+  }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const quote = await buylist.cancel(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+
+    res.json({
+      success: true,
+      quote: quote
+    });
+
+  } catch (error) {
+    console.error('Error cancelling buylist quote:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to cancel quote',
+      details: error.message
+    });
+  }
+});
+
+export default router;
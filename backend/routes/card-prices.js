@@ -0,0 +1,59 @@
+// routes/card-prices.js
+// Market price history per card (mounted under /api/cards)
+// :key is the card key from cardKey in services/price-history.js, e.g. pikachu~base-set~58
+
+import express from 'express';
+import priceHistory, { PRICE_SOURCES } from '../services/price-history.js';
+import { getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Observations oldest first, with a trend summary per source/variant/currency
+// (?source=&variant=&currency=&from=&to=)
+router.get('/:key/price-history', async (req, res) => {
+  try {
+    const { source, variant, currency, from, to } = req.query;
+
+    if (source && !PRICE_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Source must be one of: ${PRICE_SOURCES.join(', ')}` });
+    }
+
+    const history = await priceHistory.getHistory(req.params.key, { source, variant, currency, from, to });
+
+    res.json({
+      success: true,
+      key: req.params.key,
+      ...history,
+      count: history.observations.length
+    });
+
+  } catch (error) {
+    console.error('Error getting price history:', error);
+    res.status(500).json({
+      error: 'Failed to get price history',
+      details: error.message
+    });
+  }
+});
+
+// Record a manual market price: { price, variant, currency, note, card_name, set_name, card_number }
+router.post('/:key/price-history', async (req, res) => {
+  try {
+    const observation = await priceHistory.recordManual(req.params.key, req.body || {}, getRequestUser(req));
+
+    res.json({
+      success: true,
+      message: 'Market price recorded',
+      observation: observation
+    });
+
+  } catch (error) {
+    console.error('Error recording manual price:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to record market price',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,190 @@
+// routes/consignors.js
+// Consignors, their payout reports and settled payouts (mounted under /api/consignors)
+
+import express from 'express';
+import consignments from '../services/consignments.js';
+import { getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// List all consignors
+router.get('/', async (req, res) => {
+  try {
+    const all = await consignments.getAll();
+
+    res.json({
+      success: true,
+      consignors: all,
+      count: all.length
+    });
+
+  } catch (error) {
+    console.error('Error getting consignors:', error);
+    res.status(500).json({
+      error: 'Failed to get consignors',
+      details: error.message
+    });
+  }
+});
+
+// Get one consignor
+router.get('/:id', async (req, res) => {
+  try {
+    const consignor = await consignments.getById(req.params.id);
+
+    if (!consignor) {
+      return res.status(404).json({ error: 'Consignor not found' });
+    }
+
+    res.json({
+      success: true,
+      consignor: consignor
+    });
+
+  } catch (error) {
+    console.error('Error getting consignor:', error);
+    res.status(500).json({
+      error: 'Failed to get consignor',
+      details: error.message
+    });
+  }
+});
+
+// Create a consignor: { name, email, phone, commission_rate, notes }
+router.post('/', async (req, res) => {
+  try {
+    const consignor = await consignments.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      consignor: consignor
+    });
+
+  } catch (error) {
+    console.error('Error creating consignor:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create consignor',
+      details: error.message
+    });
+  }
+});
+
+// Update a consignor (a new commission_rate applies to items taken in afterwards)
+router.patch('/:id', async (req, res) => {
+  try {
+    const consignor = await consignments.update(req.params.id, req.body);
+
+    if (!consignor) {
+      return res.status(404).json({ error: 'Consignor not found' });
+    }
+
+    res.json({
+      success: true,
+      consignor: consignor
+    });
+
+  } catch (error) {
+    console.error('Error updating consignor:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update consignor',
+      details: error.message
+    });
+  }
+});
+
+// Delete a consignor with no inventory or payouts
+router.delete('/:id', async (req, res) => {
+  try {
+    const consignor = await consignments.remove(req.params.id);
+
+    if (!consignor) {
+      return res.status(404).json({ error: 'Consignor not found' });
+    }
+
+    res.json({
+      success: true,
+      consignor: consignor
+    });
+
+  } catch (error) {
+    console.error('Error deleting consignor:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to delete consignor',
+      details: error.message
+    });
+  }
+});
+
+// Payout report: unpaid sales (and clawbacks for refunds) per currency, plus past payouts
+router.get('/:id/payouts/report', async (req, res) => {
+  try {
+    const report = await consignments.getPayoutReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Consignor not found' });
+    }
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error getting payout report:', error);
+    res.status(500).json({
+      error: 'Failed to get payout report',
+      details: error.message
+    });
+  }
+});
+
+// Settled payouts, newest first
+router.get('/:id/payouts', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const payouts = await consignments.getPayouts(req.params.id, limit);
+
+    res.json({
+      success: true,
+      payouts: payouts,
+      count: payouts.length
+    });
+
+  } catch (error) {
+    console.error('Error getting payouts:', error);
+    res.status(500).json({
+      error: 'Failed to get payouts',
+      details: error.message
+    });
+  }
+});
+
+// Mark what the report shows as owed as paid: { currency, note }
+router.post('/:id/payouts', async (req, res) => {
+  try {
+    const payout = await consignments.settle(req.params.id, {
+      currency: req.body.currency,
+      note: req.body.note,
+      user: getRequestUser(req)
+    });
+
+    if (!payout) {
+      return res.status(404).json({ error: 'Consignor not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout settled',
+      payout: payout
+    });
+
+  } catch (error) {
+    console.error('Error settling payout:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to settle payout',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,141 @@
+// routes/exchange-rates.js
+// Exchange rates into the shop base currency (mounted under /api/exchange-rates)
+
+import express from 'express';
+import multer from 'multer';
+import exchangeRates, { baseCurrency, readCurrency } from '../services/exchange-rates.js';
+import { readCsvBody } from './inventory.js';
+import { getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate files are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 } // 1MB
+});
+
+// Base currency and every stored rate into it
+router.get('/', async (req, res) => {
+  try {
+    const rates = await exchangeRates.getRates();
+
+    res.json({
+      success: true,
+      base: baseCurrency(),
+      rates: rates,
+      count: rates.length
+    });
+
+  } catch (error) {
+    console.error('Error getting exchange rates:', error);
+    res.status(500).json({
+      error: 'Failed to get exchange rates',
+      details: error.message
+    });
+  }
+});
+
+// Convert an amount: ?amount=10&from=EUR&to=JPY (either currency defaults to the base)
+router.get('/convert', async (req, res) => {
+  try {
+    const amount = Number(req.query.amount);
+
+    if (req.query.amount === undefined || req.query.amount === '' || Number.isNaN(amount)) {
+      return res.status(400).json({ error: 'Amount must be a number' });
+    }
+
+    const from = readCurrency(req.query.from);
+    const to = readCurrency(req.query.to);
+    const converted = exchangeRates.convert(amount, from, to, await exchangeRates.getRateTable());
+
+    if (converted === null) {
+      return res.status(404).json({ error: `No exchange rate between ${from} and ${to}` });
+    }
+
+    res.json({
+      success: true,
+      amount: amount,
+      from: from,
+      to: to,
+      converted: Math.round(converted * 100) / 100
+    });
+
+  } catch (error) {
+    console.error('Error converting currency:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to convert currency',
+      details: error.message
+    });
+  }
+});
+
+// Upload a rate file: CSV with currency and rate columns (rate = base units per unit)
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), upload.single('file'), async (req, res) => {
+  try {
+    const csvText = readCsvBody(req);
+
+    if (!csvText.trim()) {
+      return res.status(400).json({ error: 'CSV data is required' });
+    }
+
+    const result = await exchangeRates.importRates(csvText, { user: getRequestUser(req) });
+
+    res.json({
+      success: true,
+      ...result,
+      count: result.rates.length
+    });
+
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to import exchange rates',
+      details: error.rows || error.message
+    });
+  }
+});
+
+// Set one rate manually: { rate }
+router.put('/:currency', async (req, res) => {
+  try {
+    const rate = await exchangeRates.setRate(req.params.currency, req.body.rate, { user: getRequestUser(req) });
+
+    res.json({
+      success: true,
+      rate: rate
+    });
+
+  } catch (error) {
+    console.error('Error setting exchange rate:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to set exchange rate',
+      details: error.message
+    });
+  }
+});
+
+router.delete('/:currency', async (req, res) => {
+  try {
+    const removed = await exchangeRates.removeRate(req.params.currency);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate removed',
+      rate: removed
+    });
+
+  } catch (error) {
+    console.error('Error removing exchange rate:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to remove exchange rate',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,142 @@
+// routes/holds.js
+// Customer holds on inventory items (mounted under /api/holds)
+
+import express from 'express';
+import inventoryStore from '../services/inventory.js';
+import { HOLD_STATUSES, readHold } from '../services/inventory-store.js';
+import { getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// List holds, soonest expiry first (?status=active, ?inventoryId=, ?customer=)
+router.get('/', async (req, res) => {
+  try {
+    const status = req.query.status || null;
+
+    if (status && !HOLD_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${HOLD_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    const holds = await inventoryStore.getHolds({
+      status: status,
+      inventoryId: req.query.inventoryId || null,
+      customer: req.query.customer || null
+    }, limit);
+
+    res.json({
+      success: true,
+      holds: holds,
+      count: holds.length
+    });
+
+  } catch (error) {
+    console.error('Error getting holds:', error);
+    res.status(500).json({
+      error: 'Failed to get holds',
+      details: error.message
+    });
+  }
+});
+
+// Sweep expired holds now (the hold expiry job also does this on a schedule)
+router.post('/sweep', async (req, res) => {
+  try {
+    const expired = await inventoryStore.releaseExpiredHolds();
+
+    res.json({
+      success: true,
+      expired: expired,
+      count: expired.length
+    });
+
+  } catch (error) {
+    console.error('Error sweeping holds:', error);
+    res.status(500).json({
+      error: 'Failed to sweep holds',
+      details: error.message
+    });
+  }
+});
+
+// Get one hold
+router.get('/:id', async (req, res) => {
+  try {
+    const hold = await inventoryStore.getHold(req.params.id);
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+
+    res.json({
+      success: true,
+      hold: hold
+    });
+
+  } catch (error) {
+    console.error('Error getting hold:', error);
+    res.status(500).json({
+      error: 'Failed to get hold',
+      details: error.message
+    });
+  }
+});
+
+// Place a hold: { inventoryId, quantity, customerName, customerContact, note, expiresAt | hours }
+router.post('/', async (req, res) => {
+  try {
+    const { inventoryId } = req.body;
+
+    if (!inventoryId) {
+      return res.status(400).json({ error: 'inventoryId is required' });
+    }
+
+    const hold = await inventoryStore.placeHold(inventoryId, readHold(req.body), {
+      user: getRequestUser(req)
+    });
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Card not found in inventory' });
+    }
+
+    res.status(201).json({
+      success: true,
+      hold: hold
+    });
+
+  } catch (error) {
+    console.error('Error placing hold:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to place hold',
+      details: error.message
+    });
+  }
+});
+
+// Release a hold early (the customer isn't coming); the copies become available again
+router.post('/:id/release', async (req, res) => {
+  try {
+    const hold = await inventoryStore.releaseHold(req.params.id, 'released');
+
+    if (!hold) {
+      const existing = await inventoryStore.getHold(req.params.id);
+      return existing
+        ? res.status(409).json({ error: `Hold is already ${existing.status}` })
+        : res.status(404).json({ error: 'Hold not found' });
+    }
+
+    res.json({
+      success: true,
+      hold: hold
+    });
+
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    res.status(500).json({
+      error: 'Failed to release hold',
+      details: error.message
+    });
+  }
+});
+
+export default router;
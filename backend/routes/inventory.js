@@ -0,0 +1,920 @@
+// routes/inventory.js
+// Per-item inventory endpoints (mounted under /api/inventory)
+
+import express from 'express';
+import multer from 'multer';
+import inventoryStore from '../services/inventory.js';
+import inventoryImport from '../services/inventory-import.js';
+import locations from '../services/locations.js';
+import stockThresholds, { THRESHOLD_SCOPES } from '../services/stock-thresholds.js';
+import inventorySnapshots from '../services/inventory-snapshots.js';
+import priceRefresh from '../services/price-refresh.js';
+import labelSheets from '../services/labels.js';
+import consignments from '../services/consignments.js';
+import stores from '../services/stores.js';
+import { readVariant, buildSku } from '../services/inventory-store.js';
+import { toCsvRow } from '../services/csv.js';
+import { requireAdmin, getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// CSV uploads are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+// Read CSV text from a multipart "file" upload, a text/csv body or a JSON { csv } body
+export function readCsvBody(req) {
+  if (req.file) return req.file.buffer.toString('utf8');
+  if (typeof req.body === 'string') return req.body;
+  return (req.body && req.body.csv) || '';
+}
+
+function isTruthy(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Inventory filters shared by GET /api/inventory and the export endpoint
+export function readInventoryFilters(query) {
+  const filters = {
+    cardName: query.cardName,
+    setName: query.setName,
+    language: query.language,
+    condition: query.condition,
+    source: query.source,
+    variant: query.variant,
+    productType: query.productType,
+    sealedType: query.sealedType,
+    upc: query.upc,
+    sku: query.sku,
+    graded: readBoolean(query.graded),
+    gradingCompany: query.gradingCompany,
+    grade: readNumber(query.grade),
+    minGrade: readNumber(query.minGrade),
+    certNumber: query.certNumber,
+    consigned: readBoolean(query.consigned),
+    consignorId: query.consignorId,
+    storeId: query.storeId,
+    location: query.location,
+    q: query.q,
+    minPrice: readNumber(query.minPrice),
+    maxPrice: readNumber(query.maxPrice),
+    minStock: readNumber(query.minStock),
+    maxStock: readNumber(query.maxStock)
+  };
+
+  // Remove undefined filters
+  Object.keys(filters).forEach(key => {
+    if (filters[key] === undefined) delete filters[key];
+  });
+
+  return filters;
+}
+
+// true/false query parameter, or undefined when missing
+function readBoolean(value) {
+  if (value === undefined || value === '') return undefined;
+  return isTruthy(value) || value === 'yes';
+}
+
+// Numeric query parameter, or undefined when missing or not a number
+function readNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+// Inventory value of one row (listed price × stock)
+function itemValue(item) {
+  return Math.round((parseFloat(item.listed_price) || 0) * (item.stock || 0) * 100) / 100;
+}
+
+// Stream the filtered inventory as CSV (default) or newline-delimited JSON
+router.get('/export', async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!['csv', 'ndjson', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be csv or ndjson' });
+  }
+
+  const filters = readInventoryFilters(req.query);
+  const date = new Date().toISOString().slice(0, 10);
+  const items = inventoryStore.iterateItems(filters);
+
+  try {
+    // Pull the first row before sending headers so a database error can still return JSON
+    let next = await items.next();
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="inventory-${date}.csv"`);
+    } else {
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="inventory-${date}.ndjson"`);
+    }
+
+    let columns = null;
+    let count = 0;
+
+    while (!next.done) {
+      const item = { ...next.value, value: itemValue(next.value) };
+
+      if (format === 'csv') {
+        if (!columns) {
+          columns = Object.keys(item);
+          res.write(toCsvRow(columns));
+        }
+        res.write(toCsvRow(columns.map(column => item[column])));
+      } else {
+        res.write(JSON.stringify(item) + '\n');
+      }
+
+      count++;
+      next = await items.next();
+    }
+
+    console.log(`📤 Exported ${count} inventory items as ${format}`);
+    res.end();
+
+  } catch (error) {
+    console.error('Error exporting inventory:', error);
+
+    if (res.headersSent) {
+      // Too late for a JSON error - cut the download short so it isn't mistaken for complete
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export inventory',
+      details: error.message
+    });
+  }
+});
+
+// Add sealed product (booster boxes, ETBs, packs, ...) or more of it
+// Body: { name, setName, sealedType, upc, language, quantity, listedPrice, unitCost, currency, locationId, storeId, consignment }
+// Goes through addCard like singles, so stock merges by UPC and movements are logged
+router.post('/sealed', async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (!body.name) {
+      return res.status(400).json({ error: 'Product name is required' });
+    }
+
+    const quantity = body.quantity === undefined ? 1 : Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: 'Quantity must be a positive whole number' });
+    }
+
+    const item = await inventoryStore.addCard({
+      productType: 'sealed',
+      sealed: { sealedType: body.sealedType, upc: body.upc },
+      card: {
+        name: body.name,
+        set_name: body.setName,
+        image_url: body.imageUrl,
+        listedPrice: readNumber(body.listedPrice) || 0,
+        source: 'manual'
+      },
+      language: body.language || 'English',
+      quantity: quantity,
+      unitCost: body.unitCost,
+      currency: body.currency,
+      locationId: body.locationId,
+      storeId: body.storeId,
+      consignment: await consignments.readTerms(body.consignment)
+    }, { user: getRequestUser(req) });
+
+    res.json({
+      success: true,
+      message: 'Sealed product added to inventory',
+      item: item
+    });
+
+  } catch (error) {
+    console.error('Error adding sealed product:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to add sealed product',
+      details: error.message
+    });
+  }
+});
+
+// Printable label sheet (HTML) with SKU barcode, name, set and price
+// ?ids=1,2,3 picks items, otherwise the GET /api/inventory filters do;
+// copies=stock prints one label per copy in stock; currency=EUR shows converted prices
+router.get('/labels', async (req, res) => {
+  try {
+    const ids = req.query.ids
+      ? String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean)
+      : [];
+
+    const sheet = await labelSheets.render(
+      { ids, filters: readInventoryFilters(req.query) },
+      { copies: req.query.copies, currency: req.query.currency }
+    );
+
+    if (sheet.labelCount === 0) {
+      return res.status(404).json({ error: 'No inventory items to label', missingIds: sheet.missingIds });
+    }
+
+    if (sheet.missingIds.length > 0) {
+      res.setHeader('X-Missing-Ids', sheet.missingIds.join(','));
+    }
+
+    res.type('html').send(sheet.html);
+
+  } catch (error) {
+    console.error('Error rendering labels:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to render labels',
+      details: error.message
+    });
+  }
+});
+
+// Likely duplicates: live items that only differ in spelling ("Japanese" / "ja",
+// number "58" / "base1-58"), groups with the most items first; takes the GET /api/inventory filters.
+// Each group suggests its oldest item as the target for POST /api/inventory/:id/merge
+router.get('/duplicates', async (req, res) => {
+  try {
+    const groups = await inventoryStore.findDuplicates(readInventoryFilters(req.query));
+
+    res.json({
+      success: true,
+      groups: groups,
+      count: groups.length
+    });
+
+  } catch (error) {
+    console.error('Error finding duplicate items:', error);
+    res.status(500).json({
+      error: 'Failed to find duplicate items',
+      details: error.message
+    });
+  }
+});
+
+// Give items without a SKU theirs (?regenerate=true recalculates every SKU)
+router.post('/skus', async (req, res) => {
+  try {
+    const result = await inventoryStore.assignSkus(isTruthy(req.query.regenerate));
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error assigning SKUs:', error);
+    res.status(500).json({
+      error: 'Failed to assign SKUs',
+      details: error.message
+    });
+  }
+});
+
+// Bulk import from CSV. Dry run (preview only) unless dryRun=false is passed.
+// storeId imports into that store (the default store when not given)
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), upload.single('file'), async (req, res) => {
+  try {
+    const csvText = readCsvBody(req);
+    const options = typeof req.body === 'object' && req.body ? req.body : {};
+    const dryRun = !['false', '0', false].includes(req.query.dryRun ?? options.dryRun);
+    const skipInvalid = isTruthy(req.query.skipInvalid ?? options.skipInvalid);
+    const storeId = req.query.storeId ?? options.storeId;
+
+    if (!csvText.trim()) {
+      return res.status(400).json({ error: 'CSV data is required' });
+    }
+
+    const result = dryRun
+      ? await inventoryImport.preview(csvText, { storeId })
+      : await inventoryImport.commit(csvText, { skipInvalid, storeId, user: getRequestUser(req) });
+
+    res.json({
+      success: true,
+      dryRun: dryRun,
+      summary: result.summary,
+      rows: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error importing inventory CSV:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to import inventory',
+      details: error.preview || error.message
+    });
+  }
+});
+
+// Status of the market price refresh and the report from its last run
+router.get('/prices/refresh', (req, res) => {
+  res.json({
+    success: true,
+    running: priceRefresh.running,
+    lastReport: priceRefresh.lastReport
+  });
+});
+
+// Start a market price refresh now: { moverPercent, filters }
+// Runs in the background; poll GET /prices/refresh for the report
+router.post('/prices/refresh', (req, res) => {
+  if (priceRefresh.running) {
+    return res.status(409).json({ error: 'A market price refresh is already running' });
+  }
+
+  const { moverPercent, filters } = req.body || {};
+  const threshold = readNumber(moverPercent);
+
+  if (threshold !== undefined && threshold < 0) {
+    return res.status(400).json({ error: 'moverPercent must be zero or more' });
+  }
+
+  priceRefresh.refreshAll({
+    moverPercent: threshold,
+    filters: readInventoryFilters(filters || {})
+  }).catch(error => {
+    console.error('Error refreshing market prices:', error);
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Market price refresh started',
+    running: true
+  });
+});
+
+// Items in the trash, most recently removed first (paginated like GET /api/inventory)
+router.get('/trash', async (req, res) => {
+  try {
+    const result = await inventoryStore.queryItems({ trashed: true }, {
+      page: req.query.page,
+      limit: req.query.limit,
+      sort: 'deleted_at',
+      direction: 'desc'
+    });
+
+    res.json({
+      success: true,
+      items: result.items,
+      count: result.items.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages
+    });
+
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({
+      error: 'Failed to list trash',
+      details: error.message
+    });
+  }
+});
+
+// Permanently delete everything in the trash (?olderThanDays=N to keep recent removals)
+router.delete('/trash', requireAdmin, async (req, res) => {
+  try {
+    const olderThanDays = readNumber(req.query.olderThanDays);
+
+    if (olderThanDays !== undefined && olderThanDays < 0) {
+      return res.status(400).json({ error: 'olderThanDays must be zero or more' });
+    }
+
+    const deletedBefore = olderThanDays === undefined
+      ? null
+      : new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const purged = await inventoryStore.purgeDeleted(null, deletedBefore);
+
+    res.json({
+      success: true,
+      message: `Permanently deleted ${purged.length} item(s)`,
+      purged: purged.length
+    });
+
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      error: 'Failed to empty trash',
+      details: error.message
+    });
+  }
+});
+
+// Clear all inventory in two steps: call without a token to get one, then
+// call again with { confirmToken } within a few minutes to move everything to the trash
+router.post('/clear', requireAdmin, async (req, res) => {
+  try {
+    const { confirmToken } = req.body || {};
+
+    if (!confirmToken) {
+      const total = await inventoryStore.getTotalCount();
+      const { token, expiresAt } = inventoryStore.createClearToken();
+
+      return res.status(202).json({
+        success: true,
+        message: `This will move all ${total} item(s) to the trash. Repeat the request with confirmToken to proceed.`,
+        confirmToken: token,
+        expiresAt: expiresAt,
+        itemCount: total
+      });
+    }
+
+    const count = await inventoryStore.clearAll(confirmToken, { user: getRequestUser(req) });
+
+    res.json({
+      success: true,
+      message: `Moved ${count} item(s) to the trash`,
+      cleared: count
+    });
+
+  } catch (error) {
+    console.error('Error clearing inventory:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to clear inventory',
+      details: error.message
+    });
+  }
+});
+
+// Daily stats snapshots for charting (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/stats/history', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const snapshots = await inventorySnapshots.getHistory(from, to);
+
+    res.json({
+      success: true,
+      from: from || null,
+      to: to || null,
+      snapshots: snapshots,
+      count: snapshots.length
+    });
+
+  } catch (error) {
+    console.error('Error getting stats history:', error);
+    res.status(500).json({
+      error: 'Failed to get stats history',
+      details: error.message
+    });
+  }
+});
+
+// Take (or refresh) today's stats snapshot now
+router.post('/stats/snapshot', async (req, res) => {
+  try {
+    const snapshot = await inventorySnapshots.takeSnapshot();
+
+    res.json({
+      success: true,
+      snapshot: snapshot
+    });
+
+  } catch (error) {
+    console.error('Error taking stats snapshot:', error);
+    res.status(500).json({
+      error: 'Failed to take stats snapshot',
+      details: error.message
+    });
+  }
+});
+
+// Remove an item (it goes to the trash and can be restored)
+router.delete('/:id', async (req, res) => {
+  try {
+    const item = await inventoryStore.removeCard(req.params.id, { user: getRequestUser(req) });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Inventory item not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Moved ${item.card_name} to the trash`,
+      item: item
+    });
+
+  } catch (error) {
+    console.error('Error removing inventory item:', error);
+    res.status(500).json({
+      error: 'Failed to remove inventory item',
+      details: error.message
+    });
+  }
+});
+
+// Bring a trashed item back with the stock it had when removed
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const item = await inventoryStore.restoreCard(req.params.id, { user: getRequestUser(req) });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    res.json({
+      success: true,
+      message: `Restored ${item.card_name}`,
+      item: item
+    });
+
+  } catch (error) {
+    console.error('Error restoring inventory item:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to restore inventory item',
+      details: error.message
+    });
+  }
+});
+
+// Permanently delete one trashed item
+router.delete('/:id/purge', async (req, res) => {
+  try {
+    const purged = await inventoryStore.purgeDeleted(req.params.id);
+
+    if (purged.length === 0) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    res.json({
+      success: true,
+      message: `Permanently deleted ${purged[0].card_name}`,
+      item: purged[0]
+    });
+
+  } catch (error) {
+    console.error('Error purging inventory item:', error);
+    res.status(500).json({
+      error: 'Failed to purge inventory item',
+      details: error.message
+    });
+  }
+});
+
+// Stock movement history for one inventory item
+router.get('/:id/history', async (req, res) => {
+  try {
+    const item = await inventoryStore.getItemById(req.params.id, true);
+    const movements = await inventoryStore.getHistory(req.params.id);
+
+    if (!item && movements.length === 0) {
+      return res.status(404).json({ error: 'Inventory item not found' });
+    }
+
+    res.json({
+      success: true,
+      item: item,
+      currentStock: item ? (item.stock || 0) : 0,
+      movements: movements,
+      count: movements.length
+    });
+
+  } catch (error) {
+    console.error('Error getting inventory history:', error);
+    res.status(500).json({
+      error: 'Failed to get inventory history',
+      details: error.message
+    });
+  }
+});
+
+// Items at or below their reorder threshold (?includeOutOfStock=false to hide sold-out items)
+router.get('/low-stock', async (req, res) => {
+  try {
+    const items = await stockThresholds.getLowStockItems(req.query.includeOutOfStock !== 'false');
+
+    res.json({
+      success: true,
+      items: items,
+      count: items.length
+    });
+
+  } catch (error) {
+    console.error('Error getting low stock report:', error);
+    res.status(500).json({
+      error: 'Failed to get low stock report',
+      details: error.message
+    });
+  }
+});
+
+// List set, rarity and default reorder thresholds
+router.get('/thresholds', async (req, res) => {
+  try {
+    const thresholds = await stockThresholds.getAll();
+
+    res.json({
+      success: true,
+      thresholds: thresholds
+    });
+
+  } catch (error) {
+    console.error('Error getting thresholds:', error);
+    res.status(500).json({
+      error: 'Failed to get thresholds',
+      details: error.message
+    });
+  }
+});
+
+// Create or replace a threshold: { scope: set|rarity|default, value, threshold }
+router.put('/thresholds', async (req, res) => {
+  try {
+    const { scope, value } = req.body;
+    const threshold = Number(req.body.threshold);
+
+    if (!THRESHOLD_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of: ${THRESHOLD_SCOPES.join(', ')}` });
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      return res.status(400).json({ error: 'Threshold must be a non-negative whole number' });
+    }
+
+    const saved = await stockThresholds.setThreshold(scope, value, threshold);
+
+    res.json({
+      success: true,
+      threshold: saved
+    });
+
+  } catch (error) {
+    console.error('Error saving threshold:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to save threshold',
+      details: error.message
+    });
+  }
+});
+
+// Remove a set, rarity or default threshold
+router.delete('/thresholds/:thresholdId', async (req, res) => {
+  try {
+    const removed = await stockThresholds.removeThreshold(req.params.thresholdId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Threshold not found' });
+    }
+
+    res.json({
+      success: true,
+      threshold: removed
+    });
+
+  } catch (error) {
+    console.error('Error removing threshold:', error);
+    res.status(500).json({
+      error: 'Failed to remove threshold',
+      details: error.message
+    });
+  }
+});
+
+// Set or clear (null) an item's own reorder threshold
+router.put('/:id/threshold', async (req, res) => {
+  try {
+    const threshold = req.body.threshold === null ? null : Number(req.body.threshold);
+
+    if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+      return res.status(400).json({ error: 'Threshold must be a non-negative whole number or null' });
+    }
+
+    const item = await inventoryStore.updateCard(req.params.id, { reorder_threshold: threshold });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Inventory item not found' });
+    }
+
+    res.json({
+      success: true,
+      item: item
+    });
+
+  } catch (error) {
+    console.error('Error setting item threshold:', error);
+    res.status(500).json({
+      error: 'Failed to set item threshold',
+      details: error.message
+    });
+  }
+});
+
+// Correct an item's print variant, e.g. a copy added before variants were tracked
+router.put('/:id/variant', async (req, res) => {
+  try {
+    if (!req.body.variant) {
+      return res.status(400).json({ error: 'Variant is required' });
+    }
+
+    const variant = readVariant(req.body.variant);
+    const current = await inventoryStore.getItemById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Inventory item not found' });
+    }
+
+    // The variant is part of the SKU
+    const item = await inventoryStore.updateCard(req.params.id, {
+      variant: variant,
+      sku: buildSku({ ...current, variant })
+    });
+
+    res.json({
+      success: true,
+      item: item
+    });
+
+  } catch (error) {
+    console.error('Error setting item variant:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to set item variant',
+      details: error.message
+    });
+  }
+});
+
+// Put an item on consignment: { consignorId, commissionRate } (rate defaults to the consignor's)
+// { consignorId: null } makes it shop stock again
+router.put('/:id/consignment', async (req, res) => {
+  try {
+    if (req.body.consignorId === undefined) {
+      return res.status(400).json({ error: 'consignorId is required (null for shop stock)' });
+    }
+
+    const item = await consignments.assignItem(req.params.id, req.body);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Inventory item not found' });
+    }
+
+    res.json({
+      success: true,
+      item: item
+    });
+
+  } catch (error) {
+    console.error('Error setting item consignment:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to set item consignment',
+      details: error.message
+    });
+  }
+});
+
+// How many copies of an item are in each storage location
+router.get('/:id/locations', async (req, res) => {
+  try {
+    const breakdown = await locations.getBreakdown(req.params.id);
+
+    if (!breakdown) {
+      return res.status(404).json({ error: 'Inventory item not found' });
+    }
+
+    res.json({
+      success: true,
+      ...breakdown
+    });
+
+  } catch (error) {
+    console.error('Error getting item locations:', error);
+    res.status(500).json({
+      error: 'Failed to get item locations',
+      details: error.message
+    });
+  }
+});
+
+// Move copies between locations: { fromLocationId, toLocationId, quantity }
+// A missing/null location id means the item's home location
+router.post('/:id/move', async (req, res) => {
+  try {
+    const { fromLocationId, toLocationId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: 'Quantity must be a positive whole number' });
+    }
+
+    const breakdown = await locations.moveStock(req.params.id, fromLocationId, toLocationId, quantity);
+
+    res.json({
+      success: true,
+      message: `Moved ${quantity} item(s)`,
+      ...breakdown
+    });
+
+  } catch (error) {
+    console.error('Error moving stock between locations:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to move stock',
+      details: error.message
+    });
+  }
+});
+
+// Transfer copies to another store: { toStoreId, quantity, note }
+// They join the matching item in that store (created if needed); held copies stay
+router.post('/:id/transfer', async (req, res) => {
+  try {
+    const { toStoreId, note } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!toStoreId) {
+      return res.status(400).json({ error: 'toStoreId is required' });
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: 'Quantity must be a positive whole number' });
+    }
+
+    const storeId = await stores.readStoreId(toStoreId);
+    const result = await inventoryStore.transferStock(req.params.id, storeId, quantity, {
+      user: getRequestUser(req),
+      note: note
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Card not found in inventory' });
+    }
+
+    res.json({
+      success: true,
+      message: `Transferred ${quantity} item(s)`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error transferring stock between stores:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to transfer stock',
+      details: error.message
+    });
+  }
+});
+
+// Transfers in and out of this item, newest first
+router.get('/:id/transfers', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const transfers = await inventoryStore.getTransfers({ inventoryId: req.params.id }, limit);
+
+    res.json({
+      success: true,
+      transfers: transfers,
+      count: transfers.length
+    });
+
+  } catch (error) {
+    console.error('Error getting item transfers:', error);
+    res.status(500).json({
+      error: 'Failed to get transfers',
+      details: error.message
+    });
+  }
+});
+
+// Merge duplicates into this item: { sourceIds, force, note }
+// Their stock, holds and placements move here and they go to the trash; their
+// movement history shows up in this item's history. Items that don't look like
+// duplicates of this one need force: true
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { sourceIds, force, note } = req.body;
+
+    const result = await inventoryStore.mergeItems(req.params.id, sourceIds, {
+      force: isTruthy(force),
+      user: getRequestUser(req),
+      note: note
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Card not found in inventory' });
+    }
+
+    res.json({
+      success: true,
+      message: `Merged ${result.merged.length} item(s)`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error merging inventory items:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to merge items',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,117 @@
+// routes/locations.js
+// Storage location management (binders, boxes, display cases, pages, slots)
+
+import express from 'express';
+import locations from '../services/locations.js';
+
+const router = express.Router();
+
+// List all locations
+router.get('/', async (req, res) => {
+  try {
+    const all = await locations.getAll();
+
+    res.json({
+      success: true,
+      locations: all,
+      count: all.length
+    });
+
+  } catch (error) {
+    console.error('Error getting locations:', error);
+    res.status(500).json({
+      error: 'Failed to get locations',
+      details: error.message
+    });
+  }
+});
+
+// Get one location
+router.get('/:id', async (req, res) => {
+  try {
+    const location = await locations.getById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    res.json({
+      success: true,
+      location: location
+    });
+
+  } catch (error) {
+    console.error('Error getting location:', error);
+    res.status(500).json({
+      error: 'Failed to get location',
+      details: error.message
+    });
+  }
+});
+
+// Create a location: { name, type, parent_id, notes }
+router.post('/', async (req, res) => {
+  try {
+    const location = await locations.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      location: location
+    });
+
+  } catch (error) {
+    console.error('Error creating location:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create location',
+      details: error.message
+    });
+  }
+});
+
+// Update a location
+router.patch('/:id', async (req, res) => {
+  try {
+    const location = await locations.update(req.params.id, req.body);
+
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    res.json({
+      success: true,
+      location: location
+    });
+
+  } catch (error) {
+    console.error('Error updating location:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update location',
+      details: error.message
+    });
+  }
+});
+
+// Delete an empty location
+router.delete('/:id', async (req, res) => {
+  try {
+    const location = await locations.remove(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    res.json({
+      success: true,
+      location: location
+    });
+
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to delete location',
+      details: error.message
+    });
+  }
+});
+
+export default router;
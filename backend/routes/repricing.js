@@ -0,0 +1,64 @@
+// routes/repricing.js
+// Rule-based repricing of listed prices (mounted under /api/repricing)
+
+import express from 'express';
+import repricing, { DEFAULT_RULES, ROUNDING_MODES } from '../services/repricing.js';
+import { readInventoryFilters } from './inventory.js';
+import { getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Default rules, as a starting point for the rules in preview/apply requests
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    rules: DEFAULT_RULES,
+    roundingModes: ROUNDING_MODES
+  });
+});
+
+// Old and new prices for matching inventory: { filters, rules }
+// filters are the GET /api/inventory query filters (graded slabs are never repriced); rules override DEFAULT_RULES
+router.post('/preview', async (req, res) => {
+  try {
+    const { filters, rules } = req.body || {};
+    const result = await repricing.preview(readInventoryFilters(filters || {}), rules || {});
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error previewing repricing:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to preview repricing',
+      details: error.message
+    });
+  }
+});
+
+// Same body as /preview; saves every changed price
+router.post('/apply', async (req, res) => {
+  try {
+    const { filters, rules } = req.body || {};
+    const result = await repricing.apply(readInventoryFilters(filters || {}), rules || {}, {
+      user: getRequestUser(req)
+    });
+
+    res.json({
+      success: true,
+      message: `Repriced ${result.summary.applied} item(s)`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error applying repricing:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to apply repricing',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,130 @@
+// routes/sales.js
+// Point-of-sale endpoints (checkout, refunds, sale lookup)
+
+import express from 'express';
+import salesService from '../services/sales.js';
+import stores from '../services/stores.js';
+import { getRequestUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Check out a cart: { items: [{ id, quantity, holdId }], note }
+// holdId sells copies held for that customer and marks the hold fulfilled
+// storeId (optional) is the store the sale is rung up in; every item must be stocked there
+router.post('/', async (req, res) => {
+  try {
+    const { items, note } = req.body;
+    const storeId = req.body.storeId ? await stores.readStoreId(req.body.storeId) : null;
+
+    const sale = await salesService.checkout(items, { note, storeId, user: getRequestUser(req) });
+
+    res.json({
+      success: true,
+      message: 'Sale recorded successfully',
+      sale: sale
+    });
+
+  } catch (error) {
+    console.error('Error recording sale:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to record sale',
+      details: error.lines || error.message,
+      // Stock the rollback couldn't put back (needs a manual correction)
+      ...(error.unrestored ? { unrestored: error.unrestored } : {})
+    });
+  }
+});
+
+// List recent sales
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const sales = await salesService.getSales(limit);
+
+    res.json({
+      success: true,
+      sales: sales,
+      count: sales.length
+    });
+
+  } catch (error) {
+    console.error('Error getting sales:', error);
+    res.status(500).json({
+      error: 'Failed to get sales',
+      details: error.message
+    });
+  }
+});
+
+// Revenue, cost and realized profit (?from=&to= ISO dates)
+router.get('/summary', async (req, res) => {
+  try {
+    const summary = await salesService.getSummary(req.query.from, req.query.to);
+
+    res.json({
+      success: true,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      summary: summary
+    });
+
+  } catch (error) {
+    console.error('Error getting sales summary:', error);
+    res.status(500).json({
+      error: 'Failed to get sales summary',
+      details: error.message
+    });
+  }
+});
+
+// Get a single sale
+router.get('/:id', async (req, res) => {
+  try {
+    const sale = await salesService.getSale(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    res.json({
+      success: true,
+      sale: sale
+    });
+
+  } catch (error) {
+    console.error('Error getting sale:', error);
+    res.status(500).json({
+      error: 'Failed to get sale',
+      details: error.message
+    });
+  }
+});
+
+// Refund a sale and return its stock to inventory
+// unrestored lists lines whose stock couldn't be put back (the sale is still refunded)
+router.post('/:id/refund', async (req, res) => {
+  try {
+    const { sale, unrestored } = await salesService.refund(req.params.id, {
+      note: req.body.note,
+      user: getRequestUser(req)
+    });
+
+    res.json({
+      success: true,
+      message: unrestored.length > 0
+        ? `Sale refunded, but stock could not be restored for ${unrestored.length} line(s)`
+        : 'Sale refunded and stock restored',
+      sale: sale,
+      unrestored: unrestored
+    });
+
+  } catch (error) {
+    console.error('Error refunding sale:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to refund sale',
+      details: error.lines || error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,179 @@
+// routes/stores.js
+// Stores, their stats and stock transfers between them (mounted under /api/stores)
+
+import express from 'express';
+import stores from '../services/stores.js';
+import inventoryStore from '../services/inventory.js';
+
+const router = express.Router();
+
+// List all stores, the default store first
+router.get('/', async (req, res) => {
+  try {
+    const all = await stores.getAll();
+
+    res.json({
+      success: true,
+      stores: all,
+      count: all.length
+    });
+
+  } catch (error) {
+    console.error('Error getting stores:', error);
+    res.status(500).json({
+      error: 'Failed to get stores',
+      details: error.message
+    });
+  }
+});
+
+// Stock transfers, newest first (?storeId= in or out of that store, ?inventoryId=)
+router.get('/transfers', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const transfers = await inventoryStore.getTransfers({
+      storeId: req.query.storeId || null,
+      inventoryId: req.query.inventoryId || null
+    }, limit);
+
+    res.json({
+      success: true,
+      transfers: transfers,
+      count: transfers.length
+    });
+
+  } catch (error) {
+    console.error('Error getting transfers:', error);
+    res.status(500).json({
+      error: 'Failed to get transfers',
+      details: error.message
+    });
+  }
+});
+
+// Get one store
+router.get('/:id', async (req, res) => {
+  try {
+    const store = await stores.getById(req.params.id);
+
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    res.json({
+      success: true,
+      store: store
+    });
+
+  } catch (error) {
+    console.error('Error getting store:', error);
+    res.status(500).json({
+      error: 'Failed to get store',
+      details: error.message
+    });
+  }
+});
+
+// Inventory stats for one store (same shape as /api/inventory/stats?storeId=)
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const store = await stores.getById(req.params.id);
+
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const stats = await inventoryStore.getStats({ storeId: store.id });
+
+    res.json({
+      success: true,
+      store: store,
+      stats: stats
+    });
+
+  } catch (error) {
+    console.error('Error getting store stats:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to get store stats',
+      details: error.message
+    });
+  }
+});
+
+// Create a store: { name, type, address, notes, is_default }
+router.post('/', async (req, res) => {
+  try {
+    const store = await stores.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      store: store
+    });
+
+  } catch (error) {
+    console.error('Error creating store:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create store',
+      details: error.message
+    });
+  }
+});
+
+// Update a store ({ is_default: true } makes it the default store for new inventory)
+router.patch('/:id', async (req, res) => {
+  try {
+    const store = await stores.update(req.params.id, req.body);
+
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    res.json({
+      success: true,
+      store: store
+    });
+
+  } catch (error) {
+    console.error('Error updating store:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update store',
+      details: error.message
+    });
+  }
+});
+
+// Delete a store with no inventory (transfer or purge its items first)
+router.delete('/:id', async (req, res) => {
+  try {
+    const [live, trashed] = await Promise.all([
+      inventoryStore.queryItems({ storeId: req.params.id }, { limit: 1 }),
+      inventoryStore.queryItems({ storeId: req.params.id, trashed: true }, { limit: 1 })
+    ]);
+
+    if (live.total + trashed.total > 0) {
+      return res.status(409).json({
+        error: `Store still has ${live.total} item(s) and ${trashed.total} in the trash`
+      });
+    }
+
+    const store = await stores.remove(req.params.id);
+
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    res.json({
+      success: true,
+      store: store
+    });
+
+  } catch (error) {
+    console.error('Error deleting store:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to delete store',
+      details: error.message
+    });
+  }
+});
+
+export default router;
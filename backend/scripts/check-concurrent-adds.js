@@ -0,0 +1,85 @@
+// scripts/check-concurrent-adds.js
+// Fires many concurrent addCard calls for the same card against the configured
+// Supabase project and checks that no increment is lost.
+// Always uses the Supabase inventory store: what it checks is add_inventory_card
+// and its row locking in Postgres (the memory store adds synchronously, so it
+// can't race). Without credentials it stops with an error instead of passing.
+//
+// Usage: node scripts/check-concurrent-adds.js [count]
+// Requires the functions from supabase/migrations/003_atomic_stock_functions.sql.
+
+import { hasSupabaseCredentials } from '../services/supabase-client.js';
+
+const count = parseInt(process.argv[2]) || 25;
+
+const cardData = {
+  card: {
+    name: `Concurrency Check ${Date.now()}`,
+    set_name: 'Test Set',
+    number: '000',
+    rarity: 'Common',
+    source: 'concurrency-check',
+    listedPrice: 0
+  },
+  condition: 'Near Mint',
+  language: 'English'
+};
+
+const context = { user: 'concurrency-check', note: 'scripts/check-concurrent-adds.js' };
+
+async function main() {
+  if (!hasSupabaseCredentials()) {
+    console.error('❌ Concurrency check not run: it needs SUPABASE_URL and SUPABASE_KEY for a project with the migrations applied');
+    process.exit(1);
+  }
+
+  // Must be set before the inventory store is loaded
+  process.env.INVENTORY_STORE = 'supabase';
+
+  const { default: inventoryStore } = await import('../services/inventory.js');
+
+  console.log(`🔁 Firing ${count} concurrent adds for "${cardData.card.name}"...`);
+
+  const results = await Promise.allSettled(
+    Array.from({ length: count }, () => inventoryStore.addCard(cardData, context))
+  );
+
+  const failures = results.filter(result => result.status === 'rejected');
+  const ids = new Set(
+    results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.id)
+  );
+
+  const item = await inventoryStore.findExactCard(
+    cardData.card.name,
+    cardData.card.set_name,
+    cardData.card.number,
+    cardData.condition,
+    cardData.language
+  );
+
+  const stock = item ? item.stock : 0;
+
+  console.log(`Rows created: ${ids.size} (expected 1)`);
+  console.log(`Failed calls: ${failures.length} (expected 0)`);
+  console.log(`Final stock:  ${stock} (expected ${count})`);
+
+  // Clean up every row the check created
+  for (const id of ids) {
+    await inventoryStore.removeCard(id, context);
+    await inventoryStore.purgeDeleted(id);
+  }
+
+  if (ids.size !== 1 || failures.length > 0 || stock !== count) {
+    console.error('❌ Concurrent adds lost updates');
+    process.exit(1);
+  }
+
+  console.log('✅ No increments were lost');
+}
+
+main().catch(error => {
+  console.error('Concurrency check failed:', error);
+  process.exit(1);
+});
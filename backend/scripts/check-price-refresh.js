@@ -0,0 +1,132 @@
+// scripts/check-price-refresh.js
+// Runs the market price refresh against a local TCGdex stand-in server and the
+// memory inventory store, and checks prices, movers and retry handling.
+// Needs no network access or Supabase project.
+//
+// Usage: node scripts/check-price-refresh.js
+
+import express from 'express';
+
+// A tiny subset of the TCGdex API: card search and card details
+const CARDS = {
+  'base1-58': {
+    id: 'base1-58',
+    localId: '58',
+    name: 'Pikachu',
+    set: { id: 'base1', name: 'Base Set' },
+    pricing: { tcgplayer: { normal: { marketPrice: 3.0 } } }
+  },
+  'jungle-60': {
+    id: 'jungle-60',
+    localId: '60',
+    name: 'Pikachu',
+    set: { id: 'jungle', name: 'Jungle' },
+    pricing: { tcgplayer: { normal: { marketPrice: 1.5 } } }
+  },
+  'base1-4': {
+    id: 'base1-4',
+    localId: '4',
+    name: 'Charizard',
+    set: { id: 'base1', name: 'Base Set' },
+    pricing: { cardmarket: { avg: 500 } }
+  }
+};
+
+const requests = { total: 0, rateLimited: 0 };
+
+function startStandIn() {
+  const app = express();
+
+  // The first request is rate limited so the client's retry/backoff gets exercised
+  app.use((req, res, next) => {
+    requests.total++;
+    if (requests.total === 1) {
+      requests.rateLimited++;
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+    next();
+  });
+
+  app.get('/:lang/cards', (req, res) => {
+    const name = String(req.query.name || '').toLowerCase();
+    const briefs = Object.values(CARDS)
+      .filter(card => card.name.toLowerCase().includes(name))
+      .map(card => ({ id: card.id, localId: card.localId, name: card.name }));
+    res.json(briefs);
+  });
+
+  app.get('/:lang/cards/:id', (req, res) => {
+    const card = CARDS[req.params.id];
+    if (!card) return res.status(404).json({ error: 'Card not found' });
+    res.json(card);
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function check(condition, message, failures) {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures.push(message);
+}
+
+async function main() {
+  const server = await startStandIn();
+
+  // Must be set before the services are loaded
+  process.env.TCGDEX_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.TCGDEX_BACKOFF_MS = '20';
+  process.env.INVENTORY_STORE = 'memory';
+
+  const { default: inventoryStore } = await import('../services/inventory.js');
+  const { default: priceRefresh } = await import('../services/price-refresh.js');
+  const { default: exchangeRates } = await import('../services/exchange-rates.js');
+
+  // Charizard's new price is a Cardmarket EUR average; at this rate it barely moves
+  await exchangeRates.setRate('EUR', 1.0);
+
+  const context = { user: 'price-refresh-check' };
+  const pikachu = await inventoryStore.addCard({
+    card: { name: 'Pikachu', set_name: 'Base Set', number: '58', price: 200 },
+    condition: 'Near Mint',
+    language: 'English'
+  }, context);
+  const charizard = await inventoryStore.addCard({
+    card: { name: 'Charizard', set_name: 'Base Set', number: '4', price: 48000, tcgdex_id: 'base1-4' },
+    condition: 'Near Mint',
+    language: 'English'
+  }, context);
+  await inventoryStore.addCard({
+    card: { name: 'Missingno', set_name: 'Glitch', number: '0', price: 100 },
+    condition: 'Near Mint',
+    language: 'English'
+  }, context);
+
+  const report = await priceRefresh.refreshAll({ moverPercent: 20, delayMs: 0 });
+  server.close();
+
+  const failures = [];
+  const updatedPikachu = await inventoryStore.getItemById(pikachu.id);
+  const updatedCharizard = await inventoryStore.getItemById(charizard.id);
+
+  check(requests.rateLimited === 1 && report.errors.length === 0, 'Rate-limited request was retried', failures);
+  check(updatedPikachu.market_price === 3, `Pikachu matched by set and number: $2 → $${updatedPikachu.market_price}`, failures);
+  check(updatedPikachu.tcgdex_id === 'base1-58', 'TCGdex id remembered for the next run', failures);
+  check(updatedCharizard.market_price === 500 && updatedCharizard.market_price_currency === 'EUR',
+    `Charizard looked up by id: USD 480 → ${updatedCharizard.market_price_currency} ${updatedCharizard.market_price}`, failures);
+  check(report.movers.length === 1 && report.movers[0].id === pikachu.id, 'Only Pikachu (+50%) reported as a mover (Charizard +4.2% after conversion)', failures);
+  check(report.notFound.length === 1 && report.notFound[0].card_name === 'Missingno', 'Unknown card reported as not found', failures);
+
+  if (failures.length > 0) {
+    console.error(`❌ ${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('✅ Market price refresh works against the stand-in');
+}
+
+main().catch(error => {
+  console.error('Price refresh check failed:', error);
+  process.exit(1);
+});
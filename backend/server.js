@@ -286,8 +286,27 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Now import modules that need env variables
-import supabaseInventory from './services/supabase-inventory.js';
+import inventoryStore from './services/inventory.js';
 import { identifyCardFromBase64 } from './services/gemini.js';
+import salesRoutes from './routes/sales.js';
+import inventoryRoutes, { readInventoryFilters } from './routes/inventory.js';
+import locationRoutes from './routes/locations.js';
+import repricingRoutes from './routes/repricing.js';
+import cardPriceRoutes from './routes/card-prices.js';
+import exchangeRateRoutes from './routes/exchange-rates.js';
+import consignorRoutes from './routes/consignors.js';
+import buylistRoutes from './routes/buylist.js';
+import holdRoutes from './routes/holds.js';
+import storeRoutes from './routes/stores.js';
+import priceHistory from './services/price-history.js';
+import exchangeRates from './services/exchange-rates.js';
+import consignments from './services/consignments.js';
+import stores from './services/stores.js';
+import { PRODUCT_TYPES } from './services/inventory-store.js';
+import { startInventorySnapshotJob } from './jobs/inventory-snapshot-job.js';
+import { startPriceRefreshJob } from './jobs/price-refresh-job.js';
+import { startHoldExpiryJob } from './jobs/hold-expiry-job.js';
+import { getRequestUser } from './middleware/auth.js';
 
 
 // Uncomment when you set up Google Sheets:
@@ -305,6 +324,16 @@ app.use(express.static(path.join(__dirname, '..', 'frontend')));
 
 // Mount routes
 // No JustTCG routes needed
+app.use('/api/sales', salesRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/repricing', repricingRoutes);
+app.use('/api/cards', cardPriceRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/consignors', consignorRoutes);
+app.use('/api/buylist', buylistRoutes);
+app.use('/api/holds', holdRoutes);
+app.use('/api/stores', storeRoutes);
 
 // Google Sheets + TCGdex hybrid search endpoint
 app.get('/api/cards/search-sheet', async (req, res) => {
@@ -326,6 +355,11 @@ app.get('/api/cards/search-sheet', async (req, res) => {
       if (cards && cards.length > 0) {
         source = 'google-sheet';
         console.log(`✅ Using Google Sheets results (${cards.length} cards)`);
+
+        // Keep the sheet's prices in the market price history
+        await priceHistory.record(cards.flatMap(card =>
+          priceHistory.observationsFromCard(card, 'google-sheet', { currency: process.env.SHEET_PRICE_CURRENCY })
+        ));
       }
     } catch (sheetError) {
       console.log('Google Sheets failed, will try TCGdex:', sheetError.message);
@@ -438,7 +472,9 @@ app.post('/api/login', async (req, res) => {
 // Shared inventory endpoint (used by both APIs)
 app.post('/api/add-to-inventory', async (req, res) => {
   try {
-    const { card, condition, language } = req.body;
+    // consignment: { consignorId, commissionRate } for a customer's card sold on their behalf
+    // storeId: the store receiving the card (the default store when not given)
+    const { card, condition, language, variant, grading, locationId, storeId, unitCost, consignment } = req.body;
 
     if (!card) {
       return res.status(400).json({ error: 'Card data is required' });
@@ -448,11 +484,22 @@ app.post('/api/add-to-inventory', async (req, res) => {
       card: card,
       condition: condition,
       language: language,
+      variant: variant,
+      grading: grading || null,
+      locationId: locationId,
+      storeId: storeId,
+      unitCost: unitCost,
+      consignment: await consignments.readTerms(consignment),
       source: card.source || 'unknown'
     };
 
-    // Save to Supabase
-    const savedItem = await supabaseInventory.addCard(inventoryItem);
+    // Save to the inventory store
+    const savedItem = await inventoryStore.addCard(inventoryItem, { user: getRequestUser(req) });
+
+    // The scanned card's pricing goes into the market price history
+    await priceHistory.recordCard(card, card.source === 'google-sheet' ? 'google-sheet' : 'tcgdex', {
+      currency: card.source === 'google-sheet' ? process.env.SHEET_PRICE_CURRENCY : undefined
+    });
 
     res.json({
       success: true,
@@ -462,8 +509,8 @@ app.post('/api/add-to-inventory', async (req, res) => {
 
   } catch (error) {
     console.error('Error adding to inventory:', error);
-    res.status(500).json({ 
-      error: 'Failed to add card to inventory',
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to add card to inventory',
       details: error.message 
     });
   }
@@ -478,14 +525,18 @@ app.get('/api/inventory/count', async (req, res) => {
       return res.status(400).json({ error: 'Card name is required' });
     }
 
-    const count = await supabaseInventory.getCardCount(cardName, setName, cardNumber);
+    const count = await inventoryStore.getCardCount(cardName, setName, cardNumber);
+    // On hand includes copies held for customers; available is what can still be sold
+    const stock = await inventoryStore.getCardStock(cardName, setName, cardNumber);
 
     res.json({
       success: true,
       cardName: cardName,
       setName: setName,
       cardNumber: cardNumber,
-      count: count
+      count: count,
+      onHand: stock.onHand,
+      available: stock.available
     });
 
   } catch (error) {
@@ -497,36 +548,41 @@ app.get('/api/inventory/count', async (req, res) => {
   }
 });
 
-// Get all inventory items
+// Get inventory items (paged, sortable, searchable)
+// Query: page, limit, sort (price|added_at|stock|name), direction (asc|desc),
+// q, minPrice, maxPrice, minStock, maxStock plus the cardName/setName/... filters
+// currency: also show each listed price converted into this currency (display_price)
 app.get('/api/inventory', async (req, res) => {
   try {
-    const filters = {
-      cardName: req.query.cardName,
-      setName: req.query.setName,
-      language: req.query.language,
-      condition: req.query.condition,
-      source: req.query.source
-    };
+    const filters = readInventoryFilters(req.query);
 
-    // Remove undefined filters
-    Object.keys(filters).forEach(key => {
-      if (filters[key] === undefined) delete filters[key];
+    const result = await inventoryStore.queryItems(filters, {
+      page: req.query.page,
+      limit: req.query.limit,
+      sort: req.query.sort,
+      direction: req.query.direction
     });
 
-    const items = Object.keys(filters).length > 0 
-      ? await supabaseInventory.getItems(filters)
-      : await supabaseInventory.getAllItems();
+    const items = req.query.currency
+      ? await exchangeRates.addDisplayPrices(result.items, req.query.currency)
+      : result.items;
 
     res.json({
       success: true,
       items: items,
-      count: items.length
+      count: items.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      // Matching rows split into singles and sealed product
+      productTypeTotals: await inventoryStore.countByProductType(filters)
     });
 
   } catch (error) {
     console.error('Error getting inventory:', error);
-    res.status(500).json({ 
-      error: 'Failed to get inventory',
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to get inventory',
       details: error.message 
     });
   }
@@ -535,15 +591,32 @@ app.get('/api/inventory', async (req, res) => {
 // Get inventory statistics
 app.get('/api/inventory/stats', async (req, res) => {
   try {
-    const stats = await supabaseInventory.getStats();
+    // Optional ?graded=true|false&gradingCompany=PSA&grade=10&productType=single|sealed&storeId= narrow the stats
+    const { graded, gradingCompany, grade, productType, storeId } = req.query;
+
+    if (grade !== undefined && grade !== '' && Number.isNaN(parseFloat(grade))) {
+      return res.status(400).json({ error: 'Grade must be a number' });
+    }
+
+    if (productType && !PRODUCT_TYPES.includes(productType)) {
+      return res.status(400).json({ error: `Product type must be one of: ${PRODUCT_TYPES.join(', ')}` });
+    }
+
+    const stats = await inventoryStore.getStats({
+      graded: graded === undefined || graded === '' ? null : graded === 'true',
+      gradingCompany: gradingCompany ? String(gradingCompany).toUpperCase() : null,
+      grade: grade === undefined || grade === '' ? null : parseFloat(grade),
+      productType: productType || null,
+      storeId: storeId ? await stores.readStoreId(storeId) : null
+    });
     res.json({
       success: true,
       stats: stats
     });
   } catch (error) {
     console.error('Error getting inventory stats:', error);
-    res.status(500).json({ 
-      error: 'Failed to get inventory stats',
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to get inventory stats',
       details: error.message 
     });
   }
@@ -556,6 +629,7 @@ app.get('/api/health', (req, res) => {
     apis: {
       tcgdex: 'active'
     },
+    inventoryStore: inventoryStore.storeType,
     timestamp: new Date().toISOString()
   });
 });
@@ -596,4 +670,9 @@ app.listen(PORT, () => {
   ║                                                           ║
   ╚═══════════════════════════════════════════════════════════╝
   `);
+
+  // Background jobs
+  startInventorySnapshotJob();
+  startPriceRefreshJob();
+  startHoldExpiryJob();
 });
@@ -1,6 +1,8 @@
 import axios from 'axios';
+import { variantFromKey } from './inventory-store.js';
 
-const API_BASE = 'https://api.tcgdex.net/v2';
+// TCGDEX_API_URL points the client at another server (e.g. a local stand-in for tests)
+const API_BASE = process.env.TCGDEX_API_URL || 'https://api.tcgdex.net/v2';
 
 const instance = axios.create({
   baseURL: API_BASE,
@@ -9,7 +11,7 @@ const instance = axios.create({
 
 async function fetchWithRetry(url, config) {
   const MAX_RETRIES = 5;
-  const INITIAL_BACKOFF_MS = 1000;
+  const INITIAL_BACKOFF_MS = parseInt(process.env.TCGDEX_BACKOFF_MS) || 1000;
   for (let i = 0; i < MAX_RETRIES; i++) {
     try {
       return await instance.get(url, config);
@@ -25,10 +27,10 @@ async function fetchWithRetry(url, config) {
 }
 
 // Fetch single card by id
-export async function fetchCardById(id) {
+export async function fetchCardById(id, language = 'en') {
   if (!id) return null;
   try {
-    const resp = await fetchWithRetry(`/cards/${id}`, {});
+    const resp = await fetchWithRetry(`/${language}/cards/${encodeURIComponent(id)}`, {});
     return resp.data;  // TCGdex returns the Card object directly
   } catch (err) {
     console.error(`TCGdex: error fetching card ${id}`, err);
@@ -36,14 +38,59 @@ export async function fetchCardById(id) {
   }
 }
 
-// Search cards by name (basic)
-export async function searchCardsByName(name, limit = 10) {
+// Search cards by name (basic) - results are card briefs (id, localId, name, image)
+export async function searchCardsByName(name, limit = 10, language = 'en') {
   if (!name) return [];
   try {
-    const resp = await fetchWithRetry('/cards', { params: { q: `name:"${name}"`, pageSize: limit }});
+    const resp = await fetchWithRetry(`/${language}/cards`, {
+      params: { name: name, 'pagination:itemsPerPage': limit }
+    });
     return resp.data || [];
   } catch (err) {
     console.error('TCGdex: card search failed', err);
     return [];
   }
 }
+
+// Market price from a TCGdex card's pricing, or null (amount only; see extractMarketQuote)
+export function extractMarketPrice(card, variant = null) {
+  const quote = extractMarketQuote(card, variant);
+  return quote ? quote.price : null;
+}
+
+// Market price and its currency ({ price, currency }) from a TCGdex card's pricing, or null
+// TCGplayer prices are USD and Cardmarket prices EUR unless the pricing block's unit says otherwise.
+// With a print variant only that variant's price counts (Cardmarket's holo prices
+// stand in for holo and reverse holo); without one it uses the same preference
+// order as extractMarketPrice in frontend/app.js
+export function extractMarketQuote(card, variant = null) {
+  const pricing = card && card.pricing;
+  if (!pricing) return null;
+
+  const tcp = pricing.tcgplayer;
+  if (tcp) {
+    const keys = variant
+      ? Object.keys(tcp).filter(key => variantFromKey(key) === variant)
+      : ['holofoil', 'reverseHolofoil', 'normal', '1stEdition', 'unlimitedHolofoil'];
+
+    for (const key of keys) {
+      if (tcp[key] && tcp[key].marketPrice) {
+        return quote(tcp[key].marketPrice, tcp.unit || 'USD');
+      }
+    }
+  }
+
+  const cm = pricing.cardmarket;
+  if (cm) {
+    let price = null;
+    if (!variant || variant === 'normal') price = cm.avg || cm.trend || cm.low;
+    if (variant === 'holofoil' || variant === 'reverse') price = cm['avg-holo'] || cm['trend-holo'] || cm['low-holo'];
+    if (price) return quote(price, cm.unit || 'EUR');
+  }
+
+  return null;
+}
+
+function quote(price, currency) {
+  return { price: Math.round(price * 100) / 100, currency: String(currency).toUpperCase() };
+}
@@ -0,0 +1,70 @@
+// services/barcode.js
+// Code 128 (code set B) barcodes as inline SVG, for printed SKU labels
+
+// Bar/space module widths for symbol values 0–106 (103–105 are start codes, 106 stop)
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const STOP = 106;
+const QUIET_ZONE = 10; // Modules of white space either side
+
+/**
+ * Module widths (alternating bar, space, bar, ...) for text in Code 128 set B
+ * Only printable ASCII (space to ~) can be encoded.
+ */
+export function code128Widths(text) {
+  const values = [];
+
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 126) {
+      throw new Error(`Cannot encode "${char}" in a Code 128 barcode`);
+    }
+    values.push(code - 32);
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), START_B) % 103;
+  const symbols = [START_B, ...values, checksum, STOP];
+
+  return symbols.flatMap(symbol => PATTERNS[symbol].split('').map(Number));
+}
+
+/**
+ * Inline SVG barcode for text
+ * @param {Object} options - { height, moduleWidth } in SVG user units (default 40 and 1)
+ * @returns {string} <svg> markup, scaled to its container width
+ */
+export function code128Svg(text, options = {}) {
+  const height = options.height || 40;
+  const moduleWidth = options.moduleWidth || 1;
+  const widths = code128Widths(text);
+
+  let x = QUIET_ZONE * moduleWidth;
+  const bars = [];
+
+  widths.forEach((width, index) => {
+    if (index % 2 === 0) {
+      bars.push(`<rect x="${x}" y="0" width="${width * moduleWidth}" height="${height}"/>`);
+    }
+    x += width * moduleWidth;
+  });
+
+  const totalWidth = x + QUIET_ZONE * moduleWidth;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height}" ` +
+    `preserveAspectRatio="none" shape-rendering="crispEdges" role="img" aria-label="${text}">` +
+    bars.join('') +
+    '</svg>';
+}
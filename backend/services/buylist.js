@@ -0,0 +1,716 @@
+// services/buylist.js
+// Trade-in / buylist quotes: price a customer's cards for cash or store credit,
+// print the quote and, once it is accepted, take the cards into inventory
+// Offers are worked out in the shop base currency from each card's market price.
+
+import supabase from './supabase-client.js';
+import { isMemoryStore } from './inventory-store-type.js';
+import inventoryStore from './inventory.js';
+import stores from './stores.js';
+import priceRefresh from './price-refresh.js';
+import priceHistory from './price-history.js';
+import exchangeRates, { baseCurrency } from './exchange-rates.js';
+import { fetchCardById, extractMarketQuote } from './TCGdex.js';
+import { identifyCardFromBase64 } from './gemini.js';
+import { CONDITIONS } from './inventory-import.js';
+import { readVariant, languageCode, roundMoney } from './inventory-store.js';
+import { statusError } from './errors.js';
+
+export const PAYMENT_TYPES = ['cash', 'credit'];
+
+// Used for any rule a quote leaves out
+export const DEFAULT_RULES = {
+  cashPercent: 50, // % of market price offered in cash for a Near Mint card
+  creditPercent: 65, // % of market price offered in store credit
+  rarityPercent: {}, // Per-rarity overrides, e.g. { "Common": { "cash": 10, "credit": 20 } }
+  conditionPercent: { // Share of the Near Mint offer paid for each condition
+    'Near Mint': 100,
+    'Lightly Played': 80,
+    'Moderately Played': 60,
+    'Heavily Played': 40,
+    'Damaged': 20
+  },
+  minimumMarketPrice: 0 // Cards worth less than this (base currency) are bulk: no offer
+};
+
+class Buylist {
+  constructor() {
+    this.tableName = 'buylist_quotes';
+    // Quotes kept in this process with the memory inventory store
+    this.localQuotes = new Map();
+    this.nextLocalId = 1;
+  }
+
+  /**
+   * Start a quote for a customer
+   * @param {Object} input - { customerName, customerContact, note, rules } where rules override DEFAULT_RULES
+   * @param {Object} options - { user }
+   */
+  async create(input = {}, options = {}) {
+    const quote = {
+      status: 'open',
+      customer_name: input.customerName || null,
+      customer_contact: input.customerContact || null,
+      currency: baseCurrency(),
+      rules: this.resolveRules(input.rules || {}),
+      lines: [],
+      cash_total: 0,
+      credit_total: 0,
+      note: input.note || null,
+      user_name: options.user || null,
+      created_at: new Date().toISOString()
+    };
+
+    const saved = await this.insertQuote(quote);
+    console.log(`🛒 Started buylist quote #${saved.id}${saved.customer_name ? ` for ${saved.customer_name}` : ''}`);
+    return saved;
+  }
+
+  /**
+   * List quotes, newest first
+   * @param {string} status - Optional 'open', 'accepted' or 'cancelled'
+   */
+  async getAll(status = null, limit = 50) {
+    if (isMemoryStore()) {
+      return Array.from(this.localQuotes.values())
+        .filter(quote => !status || quote.status === status)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(quote => ({ ...quote }));
+    }
+
+    let query = supabase
+      .from(this.tableName)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase list buylist quotes error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a quote by ID
+   */
+  async getQuote(id) {
+    if (isMemoryStore()) {
+      const quote = this.localQuotes.get(Number(id));
+      return quote ? { ...quote } : null;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return null;
+      }
+      console.error('Supabase get buylist quote error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Add a card to an open quote and price it
+   * The card comes from a scan ({ base64Image }), a TCGdex search result ({ tcgdexId })
+   * or a card picked from any search ({ card } as sent to /api/add-to-inventory).
+   * Cards without a price are looked up on TCGdex for their market price.
+   * @param {Object} input - One of the above plus { condition, language, variant, quantity }
+   * @returns {Promise<Object|null>} Updated quote, or null if it doesn't exist
+   */
+  async addCard(quoteId, input = {}) {
+    const quote = await this.getOpenQuote(quoteId);
+    if (!quote) {
+      return null;
+    }
+
+    const quantity = input.quantity === undefined ? 1 : Number(input.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw statusError('Quantity must be a positive whole number', 400);
+    }
+
+    const language = input.language || 'English';
+    const variant = readVariant(input.variant);
+    const card = await this.identifyCard(input, language, variant);
+
+    const line = {
+      line_id: quote.lines.reduce((max, existing) => Math.max(max, existing.line_id), 0) + 1,
+      ...card,
+      condition: readCondition(input.condition),
+      language: language,
+      variant: variant,
+      quantity: quantity,
+      manual_cash_offer: null,
+      manual_credit_offer: null,
+      inventory_id: null
+    };
+
+    quote.lines.push(line);
+    return await this.saveLines(quote);
+  }
+
+  /**
+   * Change a line's condition or quantity, set its market price by hand, or
+   * override its offers ({ cashOffer, creditOffer } per copy; null goes back to the rules)
+   * @returns {Promise<Object|null>} Updated quote, or null if the quote or line doesn't exist
+   */
+  async updateLine(quoteId, lineId, updates = {}) {
+    const quote = await this.getOpenQuote(quoteId);
+    const line = quote && quote.lines.find(existing => String(existing.line_id) === String(lineId));
+    if (!line) {
+      return null;
+    }
+
+    if (updates.condition !== undefined) {
+      line.condition = readCondition(updates.condition);
+    }
+
+    if (updates.quantity !== undefined) {
+      const quantity = Number(updates.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw statusError('Quantity must be a positive whole number', 400);
+      }
+      line.quantity = quantity;
+    }
+
+    if (updates.marketPrice !== undefined) {
+      line.market_price = readOffer(updates.marketPrice, 'marketPrice');
+      line.market_price_currency = quote.currency;
+    }
+
+    for (const payment of PAYMENT_TYPES) {
+      const value = updates[`${payment}Offer`];
+      if (value !== undefined) {
+        line[`manual_${payment}_offer`] = value === null ? null : readOffer(value, `${payment}Offer`);
+      }
+    }
+
+    return await this.saveLines(quote);
+  }
+
+  /**
+   * Take a card off an open quote
+   * @returns {Promise<Object|null>} Updated quote, or null if the quote or line doesn't exist
+   */
+  async removeLine(quoteId, lineId) {
+    const quote = await this.getOpenQuote(quoteId);
+    if (!quote || !quote.lines.some(line => String(line.line_id) === String(lineId))) {
+      return null;
+    }
+
+    quote.lines = quote.lines.filter(line => String(line.line_id) !== String(lineId));
+    return await this.saveLines(quote);
+  }
+
+  /**
+   * Customer declined: close the quote without adding anything
+   */
+  async cancel(quoteId) {
+    const quote = await this.getOpenQuote(quoteId);
+    if (!quote) {
+      return null;
+    }
+
+    const cancelled = await this.writeQuote(quote.id, { status: 'cancelled' });
+    if (!cancelled) {
+      throw statusError('Quote is no longer open', 409);
+    }
+
+    console.log(`🛒 Cancelled buylist quote #${quote.id}`);
+    return cancelled;
+  }
+
+  /**
+   * Accept a quote: pay in cash or store credit and add every card to inventory
+   * through addCard, with the chosen offer as its unit cost and the market price
+   * as its listed price. The quote is marked accepted first so it can only be
+   * taken in once; if adding a card fails it is reopened, and cards already
+   * added (inventory_id set on their line) are skipped when it is accepted again.
+   * @param {Object} options - { payment: 'cash' | 'credit', storeId (store taking the cards in; default store when not given), user }
+   * @returns {Promise<Object|null>} Accepted quote, or null if it doesn't exist
+   */
+  async accept(quoteId, options = {}) {
+    if (!PAYMENT_TYPES.includes(options.payment)) {
+      throw statusError(`Payment must be one of: ${PAYMENT_TYPES.join(', ')}`, 400);
+    }
+
+    const quote = await this.getOpenQuote(quoteId);
+    if (!quote) {
+      return null;
+    }
+
+    if (quote.lines.length === 0) {
+      throw statusError('Quote has no cards', 400);
+    }
+
+    const offerKey = `${options.payment}_offer`;
+    const unpriced = quote.lines.filter(line => line[offerKey] === null || line[offerKey] === undefined);
+    if (unpriced.length > 0) {
+      const error = statusError(`Every card needs a ${options.payment} offer before the quote can be accepted`, 400);
+      error.lines = unpriced.map(line => ({ lineId: line.line_id, cardName: line.card_name, status: line.status }));
+      throw error;
+    }
+
+    const storeId = await stores.readStoreId(options.storeId);
+
+    const accepted = await this.writeQuote(quote.id, {
+      status: 'accepted',
+      payment: options.payment,
+      paid_total: quote[`${options.payment}_total`],
+      accepted_at: new Date().toISOString()
+    });
+
+    if (!accepted) {
+      throw statusError('Quote is no longer open', 409);
+    }
+
+    const rates = await exchangeRates.getRateTable();
+
+    try {
+      for (const line of quote.lines) {
+        if (line.inventory_id) continue;
+
+        const listedPrice = line.market_price === null
+          ? 0
+          : exchangeRates.convert(line.market_price, line.market_price_currency, quote.currency, rates);
+
+        const item = await inventoryStore.addCard({
+          card: {
+            name: line.card_name,
+            set_name: line.set_name,
+            number: line.card_number,
+            rarity: line.rarity,
+            image_url: line.image_url,
+            tcgdex_id: line.tcgdex_id,
+            price: line.market_price === null ? 0 : Math.round(line.market_price * 100), // Cents, like scanned cards
+            currency: line.market_price_currency,
+            listedPrice: roundMoney(listedPrice || 0),
+            source: 'buylist'
+          },
+          condition: line.condition,
+          language: line.language,
+          variant: line.variant,
+          quantity: line.quantity,
+          unitCost: line[offerKey],
+          currency: quote.currency,
+          storeId: storeId
+        }, {
+          user: options.user,
+          note: `Buylist quote #${quote.id}`,
+          reference: `buylist:${quote.id}`
+        });
+
+        line.inventory_id = item.id;
+      }
+    } catch (error) {
+      console.error(`Accepting buylist quote #${quote.id} failed, reopening it:`, error);
+      await this.writeQuote(quote.id, { status: 'open', payment: null, paid_total: null, accepted_at: null, lines: quote.lines }, 'accepted');
+      throw error;
+    }
+
+    const saved = await this.writeQuote(quote.id, { lines: quote.lines }, 'accepted');
+    console.log(`🛒 Accepted buylist quote #${quote.id}: ${quote.lines.length} line(s), ${quote.currency} ${saved.paid_total} in ${options.payment}`);
+    return saved;
+  }
+
+  /**
+   * Printable quote (HTML) showing both offers, or only the accepted one
+   */
+  renderQuote(quote) {
+    const payments = quote.payment ? [quote.payment] : PAYMENT_TYPES;
+    const money = amount => amount === null || amount === undefined ? '—' : formatPrice(amount, quote.currency);
+
+    const rows = quote.lines.map(line => `<tr>
+  <td>${escapeHtml(line.card_name)}<div class="details">${escapeHtml([line.set_name, line.card_number ? `#${line.card_number}` : null, line.variant !== 'normal' ? line.variant : null].filter(Boolean).join(' · '))}</div></td>
+  <td>${escapeHtml(line.condition)}</td>
+  <td class="num">${line.quantity}</td>
+  <td class="num">${escapeHtml(money(line.market_value))}</td>
+  ${payments.map(payment => `<td class="num">${escapeHtml(money(line[`${payment}_offer`]))}</td><td class="num">${escapeHtml(money(line[`${payment}_total`]))}</td>`).join('')}
+</tr>`);
+
+    const paymentHeaders = payments
+      .map(payment => `<th class="num">${PAYMENT_LABELS[payment]} each</th><th class="num">${PAYMENT_LABELS[payment]} total</th>`)
+      .join('');
+    const totals = payments
+      .map(payment => `<td></td><td class="num">${escapeHtml(money(quote[`${payment}_total`]))}</td>`)
+      .join('');
+    const title = `Buylist quote #${quote.id}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 10pt; margin: 0.5in; }
+  h1 { font-size: 14pt; margin: 0 0 0.1in; }
+  .meta { margin-bottom: 0.2in; color: #444; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border-bottom: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; }
+  .details { font-size: 8pt; color: #666; }
+  tfoot td { font-weight: bold; border-bottom: none; }
+  .signature { margin-top: 0.6in; display: flex; gap: 0.5in; }
+  .signature div { flex: 1; border-top: 1px solid #000; padding-top: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">
+  ${escapeHtml([quote.customer_name, quote.customer_contact].filter(Boolean).join(' · ') || 'Walk-in customer')}<br>
+  ${escapeHtml(new Date(quote.created_at).toLocaleString('en-US'))} · ${escapeHtml(STATUS_LABELS[quote.status] || quote.status)}
+</div>
+<table>
+<thead><tr><th>Card</th><th>Condition</th><th class="num">Qty</th><th class="num">Market</th>${paymentHeaders}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+<tfoot><tr><td colspan="4">Total (${escapeHtml(quote.currency)})</td>${totals}</tr></tfoot>
+</table>
+${quote.note ? `<p>${escapeHtml(quote.note)}</p>` : ''}
+<div class="signature"><div>Customer signature</div><div>Staff</div></div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Card details and market price for a new line
+   * @returns {Promise<Object>} { card_name, set_name, card_number, rarity, image_url, tcgdex_id, market_price, market_price_currency }
+   */
+  async identifyCard(input, language, variant) {
+    const tcgdexLanguage = languageCode(language) || 'en';
+    let tcgdexCard = null;
+    let card;
+
+    if (input.base64Image) {
+      const scanned = await identifyCardFromBase64(input.base64Image, tcgdexLanguage);
+      card = { card_name: scanned.name, set_name: scanned.set, card_number: scanned.setNumber, rarity: scanned.rarity };
+    } else if (input.tcgdexId) {
+      tcgdexCard = await fetchCardById(input.tcgdexId, tcgdexLanguage);
+      if (!tcgdexCard) {
+        throw statusError(`Card ${input.tcgdexId} not found on TCGdex`, 404);
+      }
+      card = fromTcgdexCard(tcgdexCard);
+    } else if (input.card && input.card.name) {
+      card = fromSearchCard(input.card, variant);
+    } else {
+      throw statusError('Send the card to add as card, tcgdexId or base64Image', 400);
+    }
+
+    if (!card.card_name) {
+      throw statusError('Card could not be identified', 422);
+    }
+
+    if (card.market_price === undefined || card.market_price === null) {
+      tcgdexCard = tcgdexCard || await priceRefresh.findCard({ ...card, language });
+
+      if (tcgdexCard) {
+        await priceHistory.recordCard(tcgdexCard, 'tcgdex');
+        const found = fromTcgdexCard(tcgdexCard);
+        const quote = extractMarketQuote(tcgdexCard, variant);
+
+        card = {
+          ...found,
+          ...Object.fromEntries(Object.entries(card).filter(([, value]) => value)),
+          market_price: quote ? quote.price : null,
+          market_price_currency: quote ? quote.currency : null
+        };
+      }
+    }
+
+    return {
+      card_name: card.card_name,
+      set_name: card.set_name || null,
+      card_number: card.card_number || null,
+      rarity: card.rarity || null,
+      image_url: card.image_url || null,
+      tcgdex_id: card.tcgdex_id || null,
+      market_price: card.market_price ?? null,
+      market_price_currency: card.market_price_currency || null
+    };
+  }
+
+  /**
+   * Offers for one line in the quote currency
+   * Per copy: market × cash or credit % (the rarity's, else the default) × the condition's share.
+   * Manual offers win over the rules. Offers are rounded down to the cent.
+   */
+  priceLine(line, rules, rates, currency) {
+    const market = line.market_price === null
+      ? null
+      : exchangeRates.convert(line.market_price, line.market_price_currency, currency, rates);
+    const conditionShare = (findRule(rules.conditionPercent, line.condition) ?? 100) / 100;
+    const rarityRule = findRule(rules.rarityPercent, line.rarity) || {};
+
+    const priced = {
+      ...line,
+      market_value: market === null ? null : roundMoney(market),
+      status: 'priced'
+    };
+
+    if (line.market_price === null) {
+      priced.status = 'no-price';
+    } else if (market === null) {
+      priced.status = 'no-rate';
+    } else if (market < rules.minimumMarketPrice) {
+      priced.status = 'bulk';
+    }
+
+    for (const payment of PAYMENT_TYPES) {
+      const manual = line[`manual_${payment}_offer`];
+      let offer = null;
+
+      if (manual !== null && manual !== undefined) {
+        offer = manual;
+        priced.status = 'manual';
+      } else if (priced.status === 'bulk') {
+        offer = 0;
+      } else if (market !== null) {
+        const percent = rarityRule[payment] ?? rules[`${payment}Percent`];
+        // market × percent × share is the offer in cents; round down to a whole cent
+        offer = Math.floor(market * percent * conditionShare + 1e-6) / 100;
+      }
+
+      priced[`${payment}_offer`] = offer;
+      priced[`${payment}_total`] = offer === null ? null : roundMoney(offer * line.quantity);
+    }
+
+    return priced;
+  }
+
+  /**
+   * Merge rule overrides over DEFAULT_RULES and check them
+   */
+  resolveRules(rules = {}) {
+    const resolved = {
+      ...DEFAULT_RULES,
+      ...rules,
+      conditionPercent: { ...DEFAULT_RULES.conditionPercent, ...(rules.conditionPercent || {}) },
+      rarityPercent: { ...DEFAULT_RULES.rarityPercent, ...(rules.rarityPercent || {}) }
+    };
+
+    resolved.cashPercent = readPercent(resolved.cashPercent, 'cashPercent');
+    resolved.creditPercent = readPercent(resolved.creditPercent, 'creditPercent');
+    resolved.minimumMarketPrice = readOffer(resolved.minimumMarketPrice, 'minimumMarketPrice');
+
+    for (const [condition, percent] of Object.entries(resolved.conditionPercent)) {
+      if (!CONDITIONS.includes(condition)) {
+        throw statusError(`Unknown condition "${condition}" (expected one of: ${CONDITIONS.join(', ')})`, 400);
+      }
+      resolved.conditionPercent[condition] = readPercent(percent, `conditionPercent["${condition}"]`);
+    }
+
+    for (const [rarity, percents] of Object.entries(resolved.rarityPercent)) {
+      const checked = {};
+      for (const payment of PAYMENT_TYPES) {
+        if (percents && percents[payment] !== undefined) {
+          checked[payment] = readPercent(percents[payment], `rarityPercent["${rarity}"].${payment}`);
+        }
+      }
+      resolved.rarityPercent[rarity] = checked;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Load a quote that can still be changed (404 as null, 409 once accepted or cancelled)
+   */
+  async getOpenQuote(quoteId) {
+    const quote = await this.getQuote(quoteId);
+    if (!quote) {
+      return null;
+    }
+
+    if (quote.status !== 'open') {
+      throw statusError(`Quote #${quote.id} is ${quote.status}`, 409);
+    }
+
+    return { ...quote, lines: (quote.lines || []).map(line => ({ ...line })) };
+  }
+
+  /**
+   * Re-price every line (market prices or rates may have changed) and save the lines and totals
+   */
+  async saveLines(quote) {
+    const rates = await exchangeRates.getRateTable();
+    const lines = quote.lines.map(line => this.priceLine(line, quote.rules, rates, quote.currency));
+    const total = payment => roundMoney(lines.reduce((sum, line) => sum + (line[`${payment}_total`] || 0), 0));
+
+    const saved = await this.writeQuote(quote.id, {
+      lines: lines,
+      cash_total: total('cash'),
+      credit_total: total('credit')
+    });
+
+    if (!saved) {
+      throw statusError(`Quote #${quote.id} is no longer open`, 409);
+    }
+
+    return saved;
+  }
+
+  async insertQuote(quote) {
+    if (isMemoryStore()) {
+      const saved = { id: this.nextLocalId++, ...quote, payment: null, paid_total: null, updated_at: null, accepted_at: null };
+      this.localQuotes.set(saved.id, saved);
+      return { ...saved };
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .insert([quote])
+      .select();
+
+    if (error) {
+      console.error('Supabase insert buylist quote error:', error);
+      throw error;
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Update a quote only while it still has the expected status
+   * @returns {Promise<Object|null>} Updated quote, or null if its status had changed
+   */
+  async writeQuote(id, updates, expectedStatus = 'open') {
+    const changes = { ...updates, updated_at: new Date().toISOString() };
+
+    if (isMemoryStore()) {
+      const quote = this.localQuotes.get(Number(id));
+      if (!quote || quote.status !== expectedStatus) {
+        return null;
+      }
+      Object.assign(quote, changes);
+      return { ...quote };
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .update(changes)
+      .eq('id', id)
+      .eq('status', expectedStatus)
+      .select();
+
+    if (error) {
+      console.error('Supabase update buylist quote error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+}
+
+const PAYMENT_LABELS = { cash: 'Cash', credit: 'Store credit' };
+const STATUS_LABELS = { open: 'Quote', accepted: 'Accepted', cancelled: 'Cancelled' };
+
+// Line fields from a full TCGdex card
+function fromTcgdexCard(card) {
+  return {
+    card_name: card.name,
+    set_name: card.set ? card.set.name : null,
+    card_number: card.localId || null,
+    rarity: card.rarity || null,
+    image_url: card.image ? `${card.image}/high.webp` : null,
+    tcgdex_id: card.id
+  };
+}
+
+// Line fields from a search result: the add-to-inventory card payload (price in
+// cents), a Google Sheet card, or a full TCGdex card with its pricing
+function fromSearchCard(card, variant) {
+  const fields = {
+    card_name: card.name,
+    set_name: card.set_name || (card.set && typeof card.set === 'object' ? card.set.name : card.set) || null,
+    card_number: card.number || card.setNumber || card.localId || null,
+    rarity: card.rarity || null,
+    image_url: card.image_url || null,
+    tcgdex_id: card.tcgdex_id || null
+  };
+
+  if (card.pricing) {
+    const quote = extractMarketQuote(card, variant);
+    return quote ? { ...fields, market_price: quote.price, market_price_currency: quote.currency } : fields;
+  }
+
+  if (card.price) {
+    return { ...fields, market_price: card.price / 100, market_price_currency: String(card.currency || 'USD').toUpperCase() };
+  }
+
+  return fields;
+}
+
+function readCondition(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'Near Mint';
+  }
+
+  const condition = CONDITIONS.find(name => name.toLowerCase() === String(value).toLowerCase());
+  if (!condition) {
+    throw statusError(`Unknown condition "${value}" (expected one of: ${CONDITIONS.join(', ')})`, 400);
+  }
+
+  return condition;
+}
+
+function readPercent(value, name) {
+  const percent = Number(value);
+  if (value === null || value === '' || Number.isNaN(percent) || percent < 0 || percent > 100) {
+    throw statusError(`${name} must be a percentage from 0 to 100`, 400);
+  }
+  return percent;
+}
+
+function readOffer(value, name) {
+  const amount = Number(value);
+  if (value === null || value === '' || Number.isNaN(amount) || amount < 0) {
+    throw statusError(`${name} must be a non-negative number`, 400);
+  }
+  return roundMoney(amount);
+}
+
+// Rule lookup by condition/rarity name, ignoring case
+function findRule(rules, key) {
+  if (!key) return undefined;
+  const match = Object.keys(rules).find(name => name.toLowerCase() === String(key).toLowerCase());
+  return match === undefined ? undefined : rules[match];
+}
+
+function formatPrice(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${Number(amount).toFixed(2)}`;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Create singleton instance
+const buylist = new Buylist();
+
+export default buylist;
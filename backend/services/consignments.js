@@ -0,0 +1,402 @@
+// services/consignments.js
+// Consignors (customers selling their cards through the shop), the commission
+// split on their sales and the payouts the shop owes them
+
+import supabase from './supabase-client.js';
+import inventoryStore from './inventory.js';
+import { statusError } from './errors.js';
+
+// Postgres error codes raised by the payout function
+const ERROR_STATUS = {
+  '22023': 400, // nothing to settle
+  '23505': 409, // a sale in the payout was already paid out
+  '23503': 409  // consignor still has inventory or payouts
+};
+
+/**
+ * Split a sale line's total between the shop and the consignor
+ * commission_rate is the percentage the shop keeps; the consignor gets the rest,
+ * so the two shares always add up to the line total.
+ * @param {Object} item - Inventory row with consignor_id and commission_rate
+ * @returns {Object|null} { consignor_id, commission_rate, shop_share, consignor_share }, null for shop stock
+ */
+export function splitConsignedLine(item, lineTotal) {
+  if (!item.consignor_id) {
+    return null;
+  }
+
+  const rate = parseFloat(item.commission_rate) || 0;
+  const shopShare = roundMoney(lineTotal * rate / 100);
+
+  return {
+    consignor_id: Number(item.consignor_id),
+    commission_rate: rate,
+    shop_share: shopShare,
+    consignor_share: roundMoney(lineTotal - shopShare)
+  };
+}
+
+class Consignments {
+  constructor() {
+    this.tableName = 'consignors';
+  }
+
+  /**
+   * List all consignors by name
+   */
+  async getAll() {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Supabase list consignors error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a consignor by ID
+   */
+  async getById(id) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return null;
+      }
+      console.error('Supabase get consignor error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Create a consignor
+   * @param {Object} consignor - { name, email, phone, commission_rate, notes }
+   */
+  async create(consignor) {
+    const row = this.validate(consignor, true);
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .insert([{ ...row, created_at: new Date().toISOString() }])
+      .select();
+
+    if (error) {
+      console.error('Supabase insert consignor error:', error);
+      throw error;
+    }
+
+    console.log(`🤝 Created consignor: ${data[0].name} (${data[0].commission_rate}% commission)`);
+    return data[0];
+  }
+
+  /**
+   * Update a consignor's details or default commission rate
+   * Items already on consignment keep the rate they were taken in at.
+   */
+  async update(id, updates) {
+    const row = this.validate(updates, false);
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('Supabase update consignor error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Delete a consignor with no inventory or payouts left
+   */
+  async remove(id) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('Supabase delete consignor error:', error);
+      throw withStatus(error, 'Consignor still has inventory or payouts');
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Resolve consignment terms for an item being added to inventory
+   * @param {Object} input - { consignorId, commissionRate } (rate defaults to the consignor's)
+   * @returns {Promise<Object|null>} { consignorId, commissionRate } for buildItem, null for shop stock
+   */
+  async readTerms(input) {
+    if (!input || input.consignorId === undefined || input.consignorId === null || input.consignorId === '') {
+      return null;
+    }
+
+    const consignor = await this.getById(input.consignorId);
+    if (!consignor) {
+      throw statusError(`Consignor ${input.consignorId} not found`, 400);
+    }
+
+    const commissionRate = input.commissionRate === undefined || input.commissionRate === null || input.commissionRate === ''
+      ? parseFloat(consignor.commission_rate)
+      : readCommissionRate(input.commissionRate);
+
+    return { consignorId: consignor.id, commissionRate };
+  }
+
+  /**
+   * Put an inventory item on consignment, change its terms, or make it shop stock again
+   * @param {Object} input - { consignorId, commissionRate }; a null consignorId means shop-owned
+   * @returns {Promise<Object|null>} Updated item, or null if it doesn't exist
+   */
+  async assignItem(inventoryId, input) {
+    if (!(await inventoryStore.getItemById(inventoryId))) {
+      return null;
+    }
+
+    const terms = await this.readTerms(input);
+    const item = await inventoryStore.updateCard(inventoryId, {
+      consignor_id: terms ? terms.consignorId : null,
+      commission_rate: terms ? terms.commissionRate : null
+    });
+
+    console.log(terms
+      ? `🤝 Item ${inventoryId} on consignment for consignor ${terms.consignorId} at ${terms.commissionRate}%`
+      : `🤝 Item ${inventoryId} is shop stock again`);
+    return item;
+  }
+
+  /**
+   * What the shop owes a consignor, per currency
+   * Completed sales not yet paid out are owed; sales refunded after they were
+   * paid out are clawed back (subtracted) in the next payout.
+   * @returns {Promise<Object|null>} { consignor, currencies: [{ currency, owed, sales, clawbacks }], payouts }
+   */
+  async getPayoutReport(consignorId) {
+    const consignor = await this.getById(consignorId);
+    if (!consignor) {
+      return null;
+    }
+
+    const [sales, settled, payouts] = await Promise.all([
+      this.getConsignorSales(consignor.id),
+      this.getSettledSales(consignor.id),
+      this.getPayouts(consignor.id)
+    ]);
+
+    const byCurrency = new Map();
+    const currencyEntry = currency => {
+      if (!byCurrency.has(currency)) {
+        byCurrency.set(currency, { currency, owed: 0, sales: [], clawbacks: [] });
+      }
+      return byCurrency.get(currency);
+    };
+
+    for (const sale of sales) {
+      const lines = (sale.items || []).filter(line => String(line.consignor_id) === String(consignor.id));
+      const share = roundMoney(lines.reduce((sum, line) => sum + (parseFloat(line.consignor_share) || 0), 0));
+      const entry = {
+        saleId: sale.id,
+        soldAt: sale.created_at,
+        status: sale.status,
+        amount: share,
+        lines: lines.map(line => ({
+          inventoryId: line.inventory_id,
+          cardName: line.card_name,
+          quantity: line.quantity,
+          lineTotal: line.line_total,
+          commissionRate: line.commission_rate,
+          consignorShare: line.consignor_share
+        }))
+      };
+
+      const paid = settled.has(`${sale.id}:sale`);
+      const currency = currencyEntry(sale.currency || 'USD');
+
+      if (sale.status === 'completed' && !paid) {
+        currency.sales.push(entry);
+        currency.owed += share;
+      } else if (sale.status === 'refunded' && paid && !settled.has(`${sale.id}:clawback`)) {
+        currency.clawbacks.push(entry);
+        currency.owed -= share;
+      }
+    }
+
+    const currencies = Array.from(byCurrency.values())
+      .filter(entry => entry.sales.length > 0 || entry.clawbacks.length > 0)
+      .map(entry => ({ ...entry, owed: roundMoney(entry.owed) }));
+
+    return { consignor, currencies, payouts };
+  }
+
+  /**
+   * Settle what is owed to a consignor in one currency (from the payout report)
+   * @param {Object} options - { currency, user, note }; currency may be left out when only one is owed
+   * @returns {Promise<Object|null>} Stored payout, or null if the consignor doesn't exist
+   */
+  async settle(consignorId, options = {}) {
+    const report = await this.getPayoutReport(consignorId);
+    if (!report) {
+      return null;
+    }
+
+    const currency = options.currency ? String(options.currency).trim().toUpperCase() : null;
+    const owed = currency
+      ? report.currencies.find(entry => entry.currency === currency)
+      : report.currencies[0];
+
+    if (!currency && report.currencies.length > 1) {
+      throw statusError(`Payouts are owed in ${report.currencies.map(entry => entry.currency).join(', ')}; choose a currency`, 400);
+    }
+    if (!owed) {
+      throw statusError(`Nothing to settle for ${report.consignor.name}${currency ? ` in ${currency}` : ''}`, 400);
+    }
+
+    const lines = [
+      ...owed.sales.map(sale => ({ saleId: sale.saleId, kind: 'sale', amount: sale.amount })),
+      ...owed.clawbacks.map(sale => ({ saleId: sale.saleId, kind: 'clawback', amount: -sale.amount }))
+    ];
+
+    const { data, error } = await supabase.rpc('record_consignment_payout', {
+      p_consignor_id: report.consignor.id,
+      p_currency: owed.currency,
+      p_lines: lines,
+      p_user: options.user || null,
+      p_note: options.note || null
+    });
+
+    if (error) {
+      console.error('Supabase settle payout error:', error);
+      throw withStatus(error, 'Some of these sales were already paid out; reload the payout report');
+    }
+
+    console.log(`💸 Settled payout #${data.id} to ${report.consignor.name}: ${data.currency} ${data.amount}`);
+    return data;
+  }
+
+  /**
+   * Settled payouts for a consignor, newest first
+   */
+  async getPayouts(consignorId, limit = 50) {
+    const { data, error } = await supabase
+      .from('consignment_payouts')
+      .select('*')
+      .eq('consignor_id', consignorId)
+      .order('settled_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Supabase list payouts error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Sales with at least one line consigned by this consignor, oldest first
+   */
+  async getConsignorSales(consignorId) {
+    const { data, error } = await supabase
+      .from('sales')
+      .select('id, items, currency, status, created_at')
+      .contains('items', JSON.stringify([{ consignor_id: Number(consignorId) }]))
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase consignor sales error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Sales already in a payout, as "saleId:kind" keys
+   */
+  async getSettledSales(consignorId) {
+    const { data, error } = await supabase
+      .from('consignment_payout_sales')
+      .select('sale_id, kind')
+      .eq('consignor_id', consignorId);
+
+    if (error) {
+      console.error('Supabase settled sales error:', error);
+      throw error;
+    }
+
+    return new Set((data || []).map(row => `${row.sale_id}:${row.kind}`));
+  }
+
+  /**
+   * Pick the writable consignor fields and check them
+   */
+  validate(input, requireName) {
+    const row = {};
+
+    if (input.name !== undefined || requireName) {
+      if (!input.name || !String(input.name).trim()) {
+        throw statusError('Consignor name is required', 400);
+      }
+      row.name = String(input.name).trim();
+    }
+
+    if (input.commission_rate !== undefined) {
+      row.commission_rate = readCommissionRate(input.commission_rate);
+    }
+
+    for (const field of ['email', 'phone', 'notes']) {
+      if (input[field] !== undefined) {
+        row[field] = input[field] ? String(input[field]).trim() : null;
+      }
+    }
+
+    return row;
+  }
+}
+
+// Commission as a percentage of the sale price, 0–100
+function readCommissionRate(value) {
+  const rate = Number(value);
+
+  if (value === null || value === '' || Number.isNaN(rate) || rate < 0 || rate > 100) {
+    throw statusError('Commission rate must be a percentage from 0 to 100', 400);
+  }
+
+  return Math.round(rate * 100) / 100;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Attach an HTTP status to a Supabase error based on its Postgres code
+function withStatus(error, message) {
+  const status = ERROR_STATUS[error.code];
+  if (!status) {
+    return error;
+  }
+  return statusError(message && status === 409 ? message : error.message, status);
+}
+
+// Create singleton instance
+const consignments = new Consignments();
+
+export default consignments;
@@ -0,0 +1,107 @@
+// services/csv.js
+// Minimal CSV reading and writing (RFC 4180 quoting) for inventory import/export
+
+/**
+ * Parse CSV text into an array of rows (each row an array of strings)
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} Parsed rows, blank lines skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into objects keyed by the (lowercased, trimmed) header row
+ * @param {string} text - Raw CSV text with a header row
+ * @returns {{headers: Array<string>, records: Array<Object>}}
+ */
+export function parseCsvRecords(text) {
+  const rows = parseCsv(text);
+
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].map(h => h.toLowerCase().trim());
+  const records = rows.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (row[index] || '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+/**
+ * Format one CSV line (with trailing CRLF), quoting values where needed
+ * @param {Array<*>} values - Cell values; null/undefined become empty cells
+ * @returns {string} CSV line
+ */
+export function toCsvRow(values) {
+  return values.map(formatCsvValue).join(',') + '\r\n';
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/[",\r\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+
+  return str;
+}
@@ -0,0 +1,13 @@
+// services/errors.js
+// Errors that routes turn into an HTTP status (res.status(error.status || 500))
+
+/**
+ * Create an Error carrying the HTTP status a route should answer with
+ * @param {string} message - Shown to the client
+ * @param {number} status - e.g. 400 for bad input, 404, 409 for a conflict
+ */
+export function statusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,267 @@
+// services/exchange-rates.js
+// Exchange rates into the shop base currency, used to compare and total prices
+// that were stored in different currencies (TCGplayer USD, Cardmarket EUR, sheet JPY, ...)
+
+import supabase from './supabase-client.js';
+import { isMemoryStore } from './inventory-store-type.js';
+import { parseCsvRecords } from './csv.js';
+import { statusError } from './errors.js';
+
+export const RATE_SOURCES = ['manual', 'file'];
+
+// Accepted spellings for the rate file's columns
+const COLUMN_ALIASES = {
+  currency: ['currency', 'code', 'currency_code'],
+  rate: ['rate', 'exchange_rate', 'rate_to_base']
+};
+
+/**
+ * Shop base currency (BASE_CURRENCY, default USD)
+ * Stats and repricing totals are reported in it; every stored rate converts into it.
+ */
+export function baseCurrency() {
+  return String(process.env.BASE_CURRENCY || 'USD').trim().toUpperCase();
+}
+
+/**
+ * Normalize a three-letter currency code
+ * @param {string} value - Code in any case; empty uses the fallback
+ * @param {string} fallback - Code to use when none is given
+ */
+export function readCurrency(value, fallback = baseCurrency()) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const currency = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw statusError(`Currency must be a three-letter code such as USD (got "${value}")`, 400);
+  }
+
+  return currency;
+}
+
+class ExchangeRates {
+  constructor() {
+    this.tableName = 'exchange_rates';
+    // Rates kept in this process with the memory inventory store
+    this.localRates = new Map();
+  }
+
+  /**
+   * Stored rates for the current base currency, by currency code
+   * A rate is how many units of the base currency one unit of the currency is worth.
+   * @returns {Promise<Array<Object>>} { currency, rate, source, user_name, updated_at }
+   */
+  async getRates() {
+    const base = baseCurrency();
+
+    if (isMemoryStore()) {
+      return Array.from(this.localRates.values())
+        .filter(row => row.base_currency === base)
+        .sort((a, b) => a.currency.localeCompare(b.currency));
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('base_currency', base)
+      .order('currency', { ascending: true });
+
+    if (error) {
+      console.error('Supabase exchange rates error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Rate lookup for convert(): currency code → rate into the base currency
+   * The base currency itself is always present with a rate of 1.
+   */
+  async getRateTable() {
+    const table = { [baseCurrency()]: 1 };
+
+    for (const row of await this.getRates()) {
+      table[row.currency] = parseFloat(row.rate);
+    }
+
+    return table;
+  }
+
+  /**
+   * Convert an amount between currencies through the base currency
+   * @param {Object} table - From getRateTable()
+   * @returns {number|null} Converted amount (not rounded), or null when a rate is missing
+   */
+  convert(amount, from, to, table) {
+    const fromRate = table[String(from || baseCurrency()).toUpperCase()];
+    const toRate = table[String(to || baseCurrency()).toUpperCase()];
+
+    if (fromRate === undefined || toRate === undefined) {
+      return null;
+    }
+
+    return (parseFloat(amount) || 0) * fromRate / toRate;
+  }
+
+  /**
+   * Show items' listed prices in another currency
+   * Adds display_price (null when a rate is missing) and display_currency to each item.
+   */
+  async addDisplayPrices(items, currency) {
+    const code = readCurrency(currency);
+    const table = await this.getRateTable();
+
+    if (table[code] === undefined) {
+      throw statusError(`No exchange rate for ${code}`, 400);
+    }
+
+    return items.map(item => {
+      const price = this.convert(item.listed_price, item.price_currency || 'USD', code, table);
+      return {
+        ...item,
+        display_price: price === null ? null : Math.round(price * 100) / 100,
+        display_currency: code
+      };
+    });
+  }
+
+  /**
+   * Create or replace the rate for one currency
+   * @param {string} currency - Three-letter code (not the base currency)
+   * @param {number} rate - Units of base currency per unit of this currency
+   * @param {Object} options - { user, source }
+   */
+  async setRate(currency, rate, options = {}) {
+    const row = this.buildRow(currency, rate, options);
+    const [saved] = await this.saveRows([row]);
+
+    console.log(`💱 Exchange rate ${row.currency} → ${row.base_currency} set to ${row.rate}`);
+    return saved;
+  }
+
+  /**
+   * Save rates from a rate file (CSV with currency and rate columns)
+   * Every row is checked first; nothing is saved if any row is invalid.
+   * @returns {Promise<Object>} { base, rates } with the saved rows
+   */
+  async importRates(csvText, options = {}) {
+    const { headers, records } = parseCsvRecords(csvText || '');
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      columns[field] = aliases.find(alias => headers.includes(alias));
+    }
+
+    if (!columns.currency || !columns.rate) {
+      throw statusError('Rate file must have currency and rate columns', 400);
+    }
+
+    const rows = [];
+    const errors = [];
+
+    records.forEach((record, index) => {
+      try {
+        rows.push(this.buildRow(record[columns.currency], record[columns.rate], { ...options, source: 'file' }));
+      } catch (error) {
+        errors.push({ row: index + 2, error: error.message }); // Row 1 is the header
+      }
+    });
+
+    if (errors.length > 0) {
+      const error = statusError('Rate file has invalid rows', 400);
+      error.rows = errors;
+      throw error;
+    }
+
+    if (rows.length === 0) {
+      throw statusError('Rate file has no rates', 400);
+    }
+
+    const saved = await this.saveRows(rows);
+    console.log(`💱 Imported ${saved.length} exchange rate(s) into ${baseCurrency()}`);
+    return { base: baseCurrency(), rates: saved };
+  }
+
+  /**
+   * Remove the rate for one currency
+   * @returns {Promise<Object|null>} Removed row, or null if there was none
+   */
+  async removeRate(currency) {
+    const code = readCurrency(currency);
+    const base = baseCurrency();
+
+    if (isMemoryStore()) {
+      const row = this.localRates.get(`${base}:${code}`) || null;
+      this.localRates.delete(`${base}:${code}`);
+      return row;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .delete()
+      .eq('base_currency', base)
+      .eq('currency', code)
+      .select();
+
+    if (error) {
+      console.error('Supabase delete exchange rate error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  buildRow(currency, rate, options = {}) {
+    const code = readCurrency(currency, null);
+    const base = baseCurrency();
+    const value = Number(rate);
+
+    if (!code) {
+      throw statusError('Currency is required', 400);
+    }
+    if (code === base) {
+      throw statusError(`${base} is the base currency; its rate is always 1`, 400);
+    }
+    if (rate === undefined || rate === null || rate === '' || Number.isNaN(value) || value <= 0) {
+      throw statusError(`Rate for ${code} must be a positive number`, 400);
+    }
+
+    return {
+      base_currency: base,
+      currency: code,
+      rate: value,
+      source: RATE_SOURCES.includes(options.source) ? options.source : 'manual',
+      user_name: options.user || null,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  async saveRows(rows) {
+    if (isMemoryStore()) {
+      for (const row of rows) {
+        this.localRates.set(`${row.base_currency}:${row.currency}`, { ...row });
+      }
+      return rows.map(row => ({ ...row }));
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .upsert(rows, { onConflict: 'base_currency,currency' })
+      .select();
+
+    if (error) {
+      console.error('Supabase save exchange rates error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+// Create singleton instance
+const exchangeRates = new ExchangeRates();
+
+export default exchangeRates;
@@ -303,6 +303,7 @@ function formatSheetCard(sheetCard) {
     },
     pricing: {
       tcgplayer: {
+        unit: (process.env.SHEET_PRICE_CURRENCY || 'USD').toUpperCase(), // Sheet prices' currency
         normal: {
           marketPrice: parseFloat(sheetCard.price || 0)
         }
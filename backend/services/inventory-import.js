@@ -0,0 +1,248 @@
+// services/inventory-import.js
+// Bulk CSV import into inventory, using the same merge-or-insert path as addCard
+
+import inventoryStore from './inventory.js';
+import stores from './stores.js';
+import { parseCsvRecords } from './csv.js';
+import { readVariant, rowMatches } from './inventory-store.js';
+import { readCurrency } from './exchange-rates.js';
+
+export const CONDITIONS = [
+  'Near Mint',
+  'Lightly Played',
+  'Moderately Played',
+  'Heavily Played',
+  'Damaged'
+];
+
+// Accepted spellings for each CSV column (headers are matched case-insensitively)
+const COLUMN_ALIASES = {
+  name: ['card_name', 'card name', 'name'],
+  set: ['set_name', 'set name', 'set'],
+  number: ['card_number', 'card number', 'number', 'no', '#'],
+  condition: ['condition'],
+  language: ['language', 'lang'],
+  variant: ['variant', 'finish', 'printing'],
+  quantity: ['quantity', 'qty', 'stock'],
+  listedPrice: ['listed_price', 'listed price', 'price'],
+  unitCost: ['unit_cost', 'unit cost', 'cost', 'paid'],
+  currency: ['currency', 'price_currency'] // Listed price and cost currency (base currency when blank)
+};
+
+class InventoryImport {
+  /**
+   * Validate a CSV and report what importing it would do, without writing anything
+   * @param {string} csvText - CSV with a header row
+   * @param {Object} options - { storeId } to import into that store instead of the default store
+   * @returns {Promise<Object>} { rows, summary } where each row has status create/add-stock/error
+   */
+  async preview(csvText, options = {}) {
+    const { headers, records } = parseCsvRecords(csvText || '');
+    const columns = this.resolveColumns(headers);
+
+    if (!columns.name) {
+      const error = new Error('CSV must have a card name column (card_name or name)');
+      error.status = 400;
+      throw error;
+    }
+
+    const storeId = await stores.readStoreId(options.storeId);
+    const rows = [];
+    // Cards created earlier in this same file, so later duplicates count as add-stock
+    const pendingNew = []; // [{ row, item }] in file order
+
+    for (let index = 0; index < records.length; index++) {
+      const rowNumber = index + 2; // Row 1 is the header
+      const { cardData, errors } = this.parseRecord(records[index], columns);
+
+      if (errors.length > 0) {
+        rows.push({ row: rowNumber, status: 'error', errors: errors, input: records[index] });
+        continue;
+      }
+
+      cardData.storeId = storeId;
+
+      // The same match fields addCard merges on, so the preview agrees with the commit
+      const item = inventoryStore.buildItem(cardData);
+      const match = inventoryStore.getMatchFields(item);
+      const existing = await inventoryStore.findMatchingItem(match);
+      const pending = pendingNew.find(entry => rowMatches(entry.item, match));
+
+      if (existing) {
+        rows.push({
+          row: rowNumber,
+          status: 'add-stock',
+          existingId: existing.id,
+          currentStock: existing.stock || 0,
+          quantity: cardData.quantity,
+          cardData: cardData
+        });
+      } else if (pending) {
+        rows.push({
+          row: rowNumber,
+          status: 'add-stock',
+          sameAsRow: pending.row,
+          quantity: cardData.quantity,
+          cardData: cardData
+        });
+      } else {
+        pendingNew.push({ row: rowNumber, item: item });
+        rows.push({
+          row: rowNumber,
+          status: 'create',
+          quantity: cardData.quantity,
+          cardData: cardData
+        });
+      }
+    }
+
+    return { rows, summary: this.summarize(rows) };
+  }
+
+  /**
+   * Import a CSV: every valid row goes through inventoryStore.addCard
+   * Refuses to write anything when rows have errors, unless skipInvalid is set
+   * @param {string} csvText - CSV with a header row
+   * @param {Object} options - { skipInvalid, storeId, user }
+   */
+  async commit(csvText, options = {}) {
+    const preview = await this.preview(csvText, options);
+
+    if (preview.summary.errors > 0 && !options.skipInvalid) {
+      const error = new Error('CSV has invalid rows; fix them or pass skipInvalid to import the rest');
+      error.status = 422;
+      error.preview = preview;
+      throw error;
+    }
+
+    const rows = [];
+
+    for (const row of preview.rows) {
+      if (row.status === 'error') {
+        rows.push(row);
+        continue;
+      }
+
+      try {
+        const item = await inventoryStore.addCard(row.cardData, {
+          user: options.user,
+          note: `CSV import row ${row.row}`
+        });
+        rows.push({ ...row, itemId: item.id, stock: item.stock });
+      } catch (error) {
+        rows.push({ row: row.row, status: 'error', errors: [error.message], cardData: row.cardData });
+      }
+    }
+
+    console.log(`📥 CSV import finished: ${rows.length} rows processed`);
+    return { rows, summary: this.summarize(rows) };
+  }
+
+  /**
+   * Map our field names to the headers present in the file
+   */
+  resolveColumns(headers) {
+    const columns = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      columns[field] = aliases.find(alias => headers.includes(alias)) || null;
+    }
+    return columns;
+  }
+
+  /**
+   * Turn one CSV record into addCard input, collecting validation errors
+   */
+  parseRecord(record, columns) {
+    const errors = [];
+    const read = field => (columns[field] ? record[columns[field]] : '') || '';
+
+    const name = read('name');
+    if (!name) {
+      errors.push('Card name is required');
+    }
+
+    const conditionInput = read('condition');
+    const condition = CONDITIONS.find(c => c.toLowerCase() === conditionInput.toLowerCase());
+    if (!conditionInput) {
+      errors.push('Condition is required');
+    } else if (!condition) {
+      errors.push(`Unknown condition "${conditionInput}" (expected one of: ${CONDITIONS.join(', ')})`);
+    }
+
+    const language = read('language');
+    if (!language) {
+      errors.push('Language is required');
+    }
+
+    let variant = 'normal';
+    try {
+      variant = readVariant(read('variant'));
+    } catch (error) {
+      errors.push(`${error.message} (got "${read('variant')}")`);
+    }
+
+    const quantityInput = read('quantity');
+    const quantity = quantityInput === '' ? 1 : Number(quantityInput);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push(`Quantity must be a positive whole number (got "${quantityInput}")`);
+    }
+
+    const priceInput = read('listedPrice').replace(/^\$/, '');
+    const listedPrice = priceInput === '' ? 0 : Number(priceInput);
+    if (Number.isNaN(listedPrice) || listedPrice < 0) {
+      errors.push(`Listed price must be a non-negative number (got "${read('listedPrice')}")`);
+    }
+
+    const costInput = read('unitCost').replace(/^\$/, '');
+    const unitCost = costInput === '' ? null : Number(costInput);
+    if (unitCost !== null && (Number.isNaN(unitCost) || unitCost < 0)) {
+      errors.push(`Cost must be a non-negative number (got "${read('unitCost')}")`);
+    }
+
+    let currency = null;
+    try {
+      currency = readCurrency(read('currency'));
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    const cardData = {
+      card: {
+        name: name,
+        set_name: read('set') || null,
+        number: read('number') || null,
+        listedPrice: listedPrice,
+        source: 'csv-import'
+      },
+      condition: condition,
+      language: language,
+      variant: variant,
+      quantity: quantity,
+      unitCost: unitCost,
+      currency: currency
+    };
+
+    return { cardData, errors };
+  }
+
+  summarize(rows) {
+    const summary = { total: rows.length, create: 0, addStock: 0, errors: 0, copies: 0 };
+
+    for (const row of rows) {
+      if (row.status === 'error') {
+        summary.errors++;
+        continue;
+      }
+      if (row.status === 'create') summary.create++;
+      if (row.status === 'add-stock') summary.addStock++;
+      summary.copies += row.quantity;
+    }
+
+    return summary;
+  }
+}
+
+// Create singleton instance
+const inventoryImport = new InventoryImport();
+
+export default inventoryImport;
@@ -0,0 +1,92 @@
+// services/inventory-snapshots.js
+// Daily snapshots of inventory statistics for value/stock trend charts
+
+import supabase from './supabase-client.js';
+import inventoryStore from './inventory.js';
+
+class InventorySnapshots {
+  constructor() {
+    this.tableName = 'inventory_snapshots';
+  }
+
+  /**
+   * Store today's (or the given day's) getStats output
+   * Replaces an existing snapshot for the same day
+   * @param {string} date - YYYY-MM-DD, defaults to today (UTC)
+   */
+  async takeSnapshot(date = todayUtc()) {
+    const stats = await inventoryStore.getStats();
+
+    const row = {
+      snapshot_date: date,
+      total_cards: stats.totalCards,
+      total_stock: stats.totalStock,
+      total_value: stats.totalValue,
+      stats: stats,
+      created_at: new Date().toISOString()
+    };
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .upsert(row, { onConflict: 'snapshot_date' })
+      .select();
+
+    if (error) {
+      console.error('Supabase snapshot upsert error:', error);
+      throw error;
+    }
+
+    console.log(`📸 Inventory snapshot for ${date}: ${stats.totalStock} cards, $${stats.totalValue}`);
+    return data[0];
+  }
+
+  /**
+   * Whether a snapshot already exists for a day
+   */
+  async hasSnapshot(date = todayUtc()) {
+    const { count, error } = await supabase
+      .from(this.tableName)
+      .select('id', { count: 'exact', head: true })
+      .eq('snapshot_date', date);
+
+    if (error) {
+      console.error('Supabase snapshot lookup error:', error);
+      throw error;
+    }
+
+    return (count || 0) > 0;
+  }
+
+  /**
+   * Snapshots between two dates (inclusive), oldest first
+   * @param {string} from - YYYY-MM-DD, optional
+   * @param {string} to - YYYY-MM-DD, optional
+   */
+  async getHistory(from, to) {
+    let query = supabase
+      .from(this.tableName)
+      .select('snapshot_date, total_cards, total_stock, total_value, stats')
+      .order('snapshot_date', { ascending: true });
+
+    if (from) query = query.gte('snapshot_date', from);
+    if (to) query = query.lte('snapshot_date', to);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase snapshot history error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+}
+
+function todayUtc() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Create singleton instance
+const inventorySnapshots = new InventorySnapshots();
+
+export default inventorySnapshots;
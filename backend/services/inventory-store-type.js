@@ -0,0 +1,22 @@
+// services/inventory-store-type.js
+// The inventory backend INVENTORY_STORE selects ('supabase' by default, or 'memory')
+// Kept apart from services/inventory.js so the services whose data sits next to the
+// inventory can follow the same backend (see isMemoryStore) without importing
+// the inventory stores, which import them in turn.
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const INVENTORY_STORE_TYPE = (process.env.INVENTORY_STORE || 'supabase').toLowerCase();
+
+/**
+ * Whether the memory inventory store is in use
+ * Services that keep data next to the inventory (stores, rates, sales, buylist quotes)
+ * keep it in this process then, so it always lines up with the inventory rows.
+ */
+export function isMemoryStore() {
+  return INVENTORY_STORE_TYPE === 'memory';
+}
+
+export default INVENTORY_STORE_TYPE;
@@ -0,0 +1,708 @@
+// services/inventory-store.js
+// Storage-independent part of the inventory store (shared by the Supabase and memory backends)
+
+import crypto from 'crypto';
+import { readCurrency } from './exchange-rates.js';
+import { statusError } from './errors.js';
+
+// Sort options accepted by queryItems, mapped to item fields
+export const SORT_COLUMNS = {
+  price: 'listed_price',
+  added_at: 'added_at',
+  stock: 'stock',
+  name: 'card_name',
+  deleted_at: 'deleted_at'
+};
+
+// Singles are individual cards; sealed is boxed/packaged product
+export const PRODUCT_TYPES = ['single', 'sealed'];
+
+// Kinds of sealed product, with their SKU segment
+const SEALED_TYPE_CODES = {
+  'booster-box': 'BB',
+  'booster-pack': 'BP',
+  'booster-bundle': 'BND',
+  'elite-trainer-box': 'ETB',
+  'collection-box': 'CB',
+  'tin': 'TIN',
+  'blister': 'BL',
+  'build-and-battle': 'BNB',
+  'other': 'OTH'
+};
+
+export const SEALED_TYPES = Object.keys(SEALED_TYPE_CODES);
+
+export const HOLD_STATUSES = ['active', 'released', 'expired', 'fulfilled'];
+
+// How long a hold lasts when no expiry is given (HOLD_HOURS overrides)
+const DEFAULT_HOLD_HOURS = 48;
+
+// Grading companies accepted for slabbed cards
+export const GRADING_COMPANIES = ['PSA', 'BGS', 'CGC', 'SGC'];
+
+// Print variants / finishes an item can be, also used for market price history
+export const PRINT_VARIANTS = [
+  'normal',
+  'holofoil',
+  'reverse',
+  '1st-edition',
+  '1st-edition-holofoil',
+  'unlimited',
+  'unlimited-holofoil'
+];
+
+// TCGdex / TCGplayer pricing keys (either spelling) → print variant
+const VARIANT_ALIASES = {
+  normal: 'normal',
+  holofoil: 'holofoil',
+  holo: 'holofoil',
+  reverseholofoil: 'reverse',
+  reverseholo: 'reverse',
+  reverse: 'reverse',
+  '1stedition': '1st-edition',
+  '1steditionholofoil': '1st-edition-holofoil',
+  unlimited: 'unlimited',
+  unlimitedholofoil: 'unlimited-holofoil'
+};
+
+// Inventory language names → language codes (TCGdex's codes, also used in SKUs)
+export const LANGUAGE_CODES = {
+  english: 'en',
+  japanese: 'ja',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  spanish: 'es',
+  portuguese: 'pt',
+  korean: 'ko',
+  chinese: 'zh-tw'
+};
+
+// SKU segments for conditions and print variants
+const CONDITION_CODES = {
+  'Near Mint': 'NM',
+  'Lightly Played': 'LP',
+  'Moderately Played': 'MP',
+  'Heavily Played': 'HP',
+  'Damaged': 'DMG'
+};
+
+const VARIANT_CODES = {
+  normal: 'N',
+  holofoil: 'H',
+  reverse: 'RH',
+  '1st-edition': '1E',
+  '1st-edition-holofoil': '1EH',
+  unlimited: 'U',
+  'unlimited-holofoil': 'UH'
+};
+
+// Row columns a transferred copy doesn't take to its new store's row
+const TRANSFER_SKIPPED_COLUMNS = ['id', 'stock', 'held_stock', 'location_id', 'reorder_threshold', 'deleted_at', 'updated_at', 'merged_into', 'merged_ids'];
+
+// Fields duplicate groups report when their rows spell them differently
+const DUPLICATE_SPELLING_FIELDS = ['card_name', 'set_name', 'card_number', 'language', 'condition'];
+
+// How long a clearAll confirmation token stays valid
+const CLEAR_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Base class for inventory stores
+ * A store implements the same methods as SupabaseInventory (addCard, findExactCard,
+ * decrementStock, incrementStock, setStock, getItemById, getItems, queryItems,
+ * iterateItems, updateCard, removeCard, restoreCard, purgeDeleted, clearAll,
+ * getStats, getHistory, ...) with the same results, so routes and services never
+ * need to know which one is in use.
+ */
+export class InventoryStore {
+  constructor(storeType) {
+    this.storeType = storeType; // 'supabase' or 'memory'
+    this.tableName = 'inventory';
+    this.clearTokens = new Map(); // token -> expiry timestamp
+  }
+
+  /**
+   * Build the inventory row addCard inserts for new cards
+   * cardData.grading ({ company, grade, certNumber }) makes it a graded item;
+   * graded items have no raw condition. cardData.variant defaults to 'normal'.
+   * card.currency is the market price's currency (USD when not given); cardData.currency
+   * is the listed price and cost currency (the shop base currency when not given).
+   * cardData.productType 'sealed' with cardData.sealed ({ sealedType, upc }) adds sealed
+   * product: card.name is the product name, and it has no number, condition, grade or variant.
+   * cardData.storeId is the store receiving the copies (addCard resolves it, defaulting to the default store).
+   */
+  buildItem(cardData) {
+    const sealed = cardData.productType === 'sealed' ? readSealed(cardData.sealed) : null;
+    if (cardData.productType && !PRODUCT_TYPES.includes(cardData.productType)) {
+      throw statusError(`Product type must be one of: ${PRODUCT_TYPES.join(', ')}`, 400);
+    }
+    if (sealed && cardData.grading && cardData.grading.company) {
+      throw statusError('Sealed product cannot be graded', 400);
+    }
+
+    const grading = sealed ? null : readGrading(cardData.grading);
+    const variant = sealed ? 'normal' : readVariant(cardData.variant);
+
+    const item = {
+      card_name: cardData.card.name,
+      set_name: cardData.card.set_name || null,
+      card_number: sealed ? null : (cardData.card.number || null),
+      rarity: cardData.card.rarity || null,
+      image_url: cardData.card.image_url || null,
+      tcgdex_id: cardData.card.tcgdex_id || null,
+      market_price: cardData.card.price ? (cardData.card.price / 100) : 0, // Convert cents to whole units
+      market_price_currency: readCurrency(cardData.card.currency, 'USD'),
+      listed_price: cardData.card.listedPrice || 0, // Already in whole units
+      price_currency: readCurrency(cardData.currency),
+      condition: grading || sealed ? null : cardData.condition,
+      language: cardData.language,
+      product_type: sealed ? 'sealed' : 'single',
+      sealed_type: sealed ? sealed.sealedType : null,
+      upc: sealed ? sealed.upc : null,
+      variant: variant,
+      grading_company: grading ? grading.company : null,
+      grade: grading ? grading.grade : null,
+      cert_number: grading ? grading.certNumber : null,
+      source: cardData.card.source || 'unknown',
+      availability: true,
+      location_id: cardData.locationId || null,
+      store_id: cardData.storeId ?? null,
+      // Resolved terms from consignments.readTerms; absent for shop-owned stock
+      consignor_id: cardData.consignment ? cardData.consignment.consignorId : null,
+      commission_rate: cardData.consignment ? cardData.consignment.commissionRate : null,
+      unit_cost: parseCost(cardData.unitCost),
+      added_at: new Date().toISOString(),
+      stock: cardData.quantity || 1
+    };
+
+    item.sku = buildSku(item);
+    return item;
+  }
+
+  /**
+   * Fields that identify "the same card" when merging stock
+   * Set and number only take part when they are known, like findExactCard
+   * Graded copies only merge with the same company, grade and certificate; raw with raw
+   * A reverse holo never merges with a normal copy of the same card
+   * Sealed product with a UPC merges by UPC alone; without one by name, set, language and type
+   * Consigned copies only merge with the same consignor's (keeping that row's commission rate)
+   * Each store has its own rows: copies never merge across stores
+   */
+  getMatchFields(item) {
+    if (item.product_type === 'sealed') {
+      const sealedMatch = item.upc
+        ? { product_type: 'sealed', upc: item.upc }
+        : { product_type: 'sealed', card_name: item.card_name, language: item.language ?? null, sealed_type: item.sealed_type, upc: null };
+
+      if (!item.upc && item.set_name) {
+        sealedMatch.set_name = item.set_name;
+      }
+
+      return { ...sealedMatch, consignor_id: item.consignor_id ?? null, store_id: item.store_id ?? null, deleted_at: null };
+    }
+
+    const match = {
+      product_type: 'single',
+      card_name: item.card_name,
+      condition: item.condition ?? null,
+      language: item.language ?? null,
+      variant: item.variant || 'normal',
+      grading_company: item.grading_company ?? null,
+      consignor_id: item.consignor_id ?? null,
+      store_id: item.store_id ?? null,
+      deleted_at: null // Never merge into a trashed row
+    };
+
+    if (item.grading_company) {
+      match.grade = Number(item.grade).toFixed(1); // Same text as the numeric(3, 1) column
+      match.cert_number = item.cert_number ?? null;
+    }
+
+    if (item.set_name) {
+      match.set_name = item.set_name;
+    }
+
+    if (item.card_number) {
+      match.card_number = item.card_number;
+    }
+
+    return match;
+  }
+
+  /**
+   * Build the destination row for copies transferred to another store
+   * The copies keep everything that describes them (card, prices, cost, consignor);
+   * stock, holds and storage location belong to the row they left.
+   * @returns {Object} { item, match } for add_inventory_card
+   */
+  buildTransferItem(source, storeId, quantity) {
+    const item = { ...source };
+    for (const column of TRANSFER_SKIPPED_COLUMNS) {
+      delete item[column];
+    }
+
+    Object.assign(item, {
+      store_id: storeId,
+      stock: quantity,
+      availability: true,
+      added_at: new Date().toISOString()
+    });
+
+    return { item, match: this.getMatchFields(item) };
+  }
+
+  /**
+   * Find groups of items that look like the same card entered more than once
+   * (same duplicateKey), e.g. "Japanese" and "ja", or number "58" and "base1-58"
+   * The oldest item of a group is suggested as the one to merge the rest into,
+   * like add_inventory_card merges into the oldest matching row.
+   * @param {Object} filters - Standard inventory filters limiting the items compared
+   * @returns {Promise<Array<Object>>} [{ key, targetId, totalStock, differences, items }], largest groups first
+   */
+  async findDuplicates(filters = {}) {
+    const groups = new Map();
+    for await (const item of this.iterateItems(filters)) {
+      const key = duplicateKey(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    return Array.from(groups.entries())
+      .filter(([, items]) => items.length > 1)
+      .map(([key, items]) => {
+        const sorted = items.slice().sort((a, b) => a.id - b.id);
+        return {
+          key,
+          targetId: sorted[0].id,
+          totalStock: sorted.reduce((sum, item) => sum + (item.stock || 0), 0),
+          differences: DUPLICATE_SPELLING_FIELDS.filter(field => new Set(sorted.map(item => item[field] ?? null)).size > 1),
+          items: sorted
+        };
+      })
+      .sort((a, b) => b.items.length - a.items.length || a.targetId - b.targetId);
+  }
+
+  /**
+   * Load and check the items of a merge (see mergeItems)
+   * Items must be in the same store, consignment and product type; unless force
+   * is set they must also be duplicates (same duplicateKey) of the target.
+   * @returns {Promise<Object|null>} { target, sources }, or null if the target doesn't exist
+   */
+  async loadMerge(targetId, sourceIds, force = false) {
+    if (!Array.isArray(sourceIds)) {
+      throw statusError('sourceIds must be a list of item ids', 400);
+    }
+
+    const ids = [...new Set(sourceIds.map(String))].filter(id => id !== String(targetId));
+    if (ids.length === 0) {
+      throw statusError('sourceIds must list at least one other item', 400);
+    }
+
+    const target = await this.getItemById(targetId);
+    if (!target) {
+      return null;
+    }
+
+    const sources = [];
+    for (const id of ids) {
+      const source = await this.getItemById(id);
+
+      if (!source) {
+        throw statusError(`Item ${id} not found`, 400);
+      }
+      if (String(source.store_id) !== String(target.store_id) ||
+          String(source.consignor_id ?? '') !== String(target.consignor_id ?? '') ||
+          source.product_type !== target.product_type) {
+        throw statusError(`Item ${id} is in another store, consignment or product type`, 409);
+      }
+      if (!force && duplicateKey(source) !== duplicateKey(target)) {
+        throw statusError(`Item ${id} doesn't look like the same card (pass force to merge it anyway)`, 409);
+      }
+
+      sources.push(source);
+    }
+
+    return { target, sources };
+  }
+
+  /**
+   * Log a merge to the movement ledger: each duplicate gives its stock to the target
+   * @param {Object} target - Target row after the merge
+   * @param {Array<Object>} merged - [{ id, stock }] in the order they were merged
+   */
+  async recordMerge(target, merged, context = {}) {
+    let stockAfter = (target.stock || 0) - merged.reduce((sum, entry) => sum + entry.stock, 0);
+
+    for (const entry of merged) {
+      const movementContext = {
+        ...context,
+        note: context.note || `Merged item ${entry.id} into ${target.id}`,
+        reference: `merge:${target.id}`
+      };
+      stockAfter += entry.stock;
+      await this.recordMovement(entry.id, -entry.stock, 0, 'merge', movementContext);
+      await this.recordMovement(target.id, entry.stock, stockAfter, 'merge', movementContext);
+    }
+  }
+
+  /**
+   * The live item an item's stock went to through merges (the item itself if it was never merged)
+   */
+  async resolveMergedId(id) {
+    let item = await this.getItemById(id, true);
+    while (item && item.merged_into) {
+      item = await this.getItemById(item.merged_into, true);
+    }
+    return item ? item.id : id;
+  }
+
+  /**
+   * Release active holds when their item goes to the trash, so no copies stay
+   * reserved on it (the trashed stock leaves inventory with it)
+   * @param {number} inventoryId - One item's holds; null for every active hold (clearAll)
+   */
+  async releaseActiveHolds(inventoryId = null) {
+    let holds;
+    while ((holds = await this.getHolds({ inventoryId, status: 'active' })).length > 0) {
+      for (const hold of holds) {
+        await this.releaseHold(hold.id, 'released');
+      }
+    }
+  }
+
+  /**
+   * Refuse to add a slab whose certificate is already in inventory
+   * (merging would count one physical slab twice)
+   */
+  async assertCertAvailable(item) {
+    if (!item.cert_number) {
+      return;
+    }
+
+    const existing = await this.getItems({
+      gradingCompany: item.grading_company,
+      certNumber: item.cert_number
+    });
+
+    if (existing.length > 0) {
+      const error = new Error(`${item.grading_company} certificate ${item.cert_number} is already in inventory (ID: ${existing[0].id})`);
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Give items their SKU (see buildSku)
+   * @param {boolean} regenerate - Recalculate every item's SKU, not only missing ones
+   * @returns {Promise<Object>} { checked, assigned }
+   */
+  async assignSkus(regenerate = false) {
+    // Collect first: updating rows while paging through them could skip or repeat some
+    const items = [];
+    for await (const item of this.iterateItems({})) {
+      items.push(item);
+    }
+
+    let assigned = 0;
+    for (const item of items) {
+      const sku = buildSku(item);
+      if (item.sku === sku || (item.sku && !regenerate)) continue;
+
+      await this.updateCard(item.id, { sku: sku });
+      assigned++;
+    }
+
+    console.log(`🏷️ Assigned ${assigned} SKU(s) across ${items.length} item(s)`);
+    return { checked: items.length, assigned };
+  }
+
+  /**
+   * Normalize queryItems paging and sort options
+   */
+  readPaging(options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 500);
+    const sortColumn = SORT_COLUMNS[options.sort] || 'added_at';
+    const ascending = options.direction
+      ? options.direction.toLowerCase() === 'asc'
+      : sortColumn === 'card_name'; // Names read A→Z by default, everything else newest/highest first
+
+    return { page, limit, sortColumn, ascending, from: (page - 1) * limit };
+  }
+
+  /**
+   * Issue a one-time token that clearAll must be called with
+   * Expires after a few minutes so a stale request can't wipe the shop later
+   */
+  createClearToken() {
+    const now = Date.now();
+
+    for (const [token, expiresAt] of this.clearTokens) {
+      if (expiresAt <= now) this.clearTokens.delete(token);
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + CLEAR_TOKEN_TTL_MS;
+    this.clearTokens.set(token, expiresAt);
+
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  consumeClearToken(token) {
+    const expiresAt = token ? this.clearTokens.get(token) : undefined;
+    if (expiresAt === undefined) return false;
+
+    this.clearTokens.delete(token);
+    return expiresAt > Date.now();
+  }
+
+  /**
+   * Throw the 403 clearAll gives without a valid confirmation token
+   */
+  requireClearToken(confirmToken) {
+    if (!this.consumeClearToken(confirmToken)) {
+      throw statusError('A valid confirmation token is required to clear all inventory', 403);
+    }
+  }
+}
+
+/**
+ * Validate grading input ({ company, grade, certNumber }) for a graded item
+ * @returns {Object|null} Normalized grading, or null for a raw card
+ */
+export function readGrading(grading) {
+  if (!grading || !grading.company) {
+    return null;
+  }
+
+  const company = String(grading.company).trim().toUpperCase();
+  if (!GRADING_COMPANIES.includes(company)) {
+    throw statusError(`Grading company must be one of: ${GRADING_COMPANIES.join(', ')}`, 400);
+  }
+
+  const grade = Number(grading.grade);
+  if (grading.grade === undefined || grading.grade === null || grading.grade === '' ||
+      Number.isNaN(grade) || grade < 1 || grade > 10 || Math.abs(Math.round(grade * 10) - grade * 10) > 1e-9) {
+    throw statusError('Grade must be a number from 1 to 10 (in steps of 0.1)', 400);
+  }
+
+  const certNumber = grading.certNumber ? String(grading.certNumber).trim() : '';
+
+  return { company, grade, certNumber: certNumber || null };
+}
+
+/**
+ * Normalize a print variant; TCGplayer spellings such as reverseHolofoil are accepted
+ * @returns {string} One of PRINT_VARIANTS ('normal' when none is given)
+ */
+export function readVariant(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'normal';
+  }
+
+  const variant = variantFromKey(value);
+  if (!variant) {
+    throw statusError(`Variant must be one of: ${PRINT_VARIANTS.join(', ')}`, 400);
+  }
+
+  return variant;
+}
+
+// Print variant for a pricing key or variant name, or null when it isn't one
+export function variantFromKey(key) {
+  const value = String(key).trim().toLowerCase();
+  if (PRINT_VARIANTS.includes(value)) return value;
+  return VARIANT_ALIASES[value.replace(/[^a-z0-9]/g, '')] || null;
+}
+
+/**
+ * Language code for an inventory language ("Japanese", "ja", "JP" → 'ja')
+ * @returns {string|null} Lowercase code, or null when no language is given
+ */
+export function languageCode(language) {
+  const value = String(language ?? '').trim().toLowerCase();
+  if (!value) return null;
+  if (LANGUAGE_CODES[value]) return LANGUAGE_CODES[value];
+  if (value === 'jp') return 'ja';
+  return value;
+}
+
+/**
+ * Normalized identity of an inventory item, for finding duplicates
+ * Name and set ignore case, accents and punctuation, the number ignores padding,
+ * printed totals and TCGdex set prefixes ("058", "58/102", "base1-58" → "58"), and
+ * the language is compared as a code ("Japanese" = "ja"). Condition, grade,
+ * variant, consignor and store must match, as they would for a merge in addCard.
+ * @returns {string}
+ */
+export function duplicateKey(item) {
+  const card = item.product_type === 'sealed'
+    ? ['sealed', item.upc || '', item.upc ? '' : matchText(item.card_name), item.upc ? '' : matchText(item.set_name), item.sealed_type || '']
+    : [
+        'single',
+        matchText(item.card_name),
+        matchText(item.set_name),
+        cardNumberKey(item.card_number),
+        item.variant || 'normal',
+        matchText(item.condition),
+        item.grading_company || '',
+        item.grading_company ? Number(item.grade) : '',
+        item.cert_number || ''
+      ];
+
+  return [...card, languageCode(item.language) || '', item.consignor_id ?? '', item.store_id ?? ''].join('|');
+}
+
+// Lowercase ASCII letters and digits, anything else becomes a single space
+function matchText(value) {
+  return skuText(value).toLowerCase();
+}
+
+// Card number without padding, printed total or TCGdex set prefix
+function cardNumberKey(number) {
+  let value = String(number ?? '').trim().toLowerCase();
+  value = value.slice(value.lastIndexOf('-') + 1).split('/')[0].replace(/[^a-z0-9]/g, '');
+  return /^\d+$/.test(value) ? String(Number(value)) : value;
+}
+
+/**
+ * Deterministic SKU for an inventory item: SET-NUMBER-LANGUAGE-CONDITION-VARIANT
+ * e.g. Base Set #58, English, Near Mint, reverse holo → "BS-058-EN-NM-RH"
+ * Graded items use the company and grade in place of the condition ("...-PSA10-N").
+ * The same card in the same language, condition/grade and variant always gets the same SKU.
+ * Sealed product is SET-TYPE-LANGUAGE-SEALED, e.g. an English Evolving Skies booster box → "ES-BB-EN-SEALED"
+ */
+export function buildSku(item) {
+  const language = (languageCode(item.language) || 'xx').split('-')[0].toUpperCase();
+  const words = skuText(item.set_name).split(' ').filter(Boolean);
+  const setCode = words.length === 0
+    ? 'NOSET'
+    : words.length === 1
+      ? words[0].slice(0, 5)
+      : words.map(word => (/^\d+$/.test(word) ? word : word[0])).join('').slice(0, 6);
+
+  if (item.product_type === 'sealed') {
+    return [setCode, SEALED_TYPE_CODES[item.sealed_type] || 'OTH', language, 'SEALED'].join('-');
+  }
+
+  // Numbers are normalized like duplicateKey does ("58/102" and "base1-58" are both 58); plain numbers are padded
+  const number = skuText(cardNumberKey(item.card_number)).replace(/ /g, '');
+  const numberCode = number
+    ? (/^\d+$/.test(number) ? number.padStart(3, '0') : number)
+    : skuText(item.card_name).replace(/ /g, '').slice(0, 8) || 'CARD';
+
+  const condition = item.grading_company
+    ? `${item.grading_company}${Number(item.grade)}`
+    : CONDITION_CODES[item.condition] || skuText(item.condition).replace(/ /g, '').slice(0, 3) || 'NA';
+
+  const variant = VARIANT_CODES[item.variant || 'normal'] || 'N';
+
+  return [setCode, numberCode, language, condition, variant].join('-');
+}
+
+// Uppercase ASCII letters and digits, anything else becomes a single space
+function skuText(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Validate sealed product details ({ sealedType, upc })
+ * @returns {Object} { sealedType, upc } with upc null when not given
+ */
+export function readSealed(sealed) {
+  const sealedType = String((sealed && sealed.sealedType) || '').trim().toLowerCase();
+  if (!SEALED_TYPES.includes(sealedType)) {
+    throw statusError(`Sealed type must be one of: ${SEALED_TYPES.join(', ')}`, 400);
+  }
+
+  const upc = sealed.upc === undefined || sealed.upc === null ? '' : String(sealed.upc).replace(/[\s-]/g, '');
+  if (upc && !/^\d{8,14}$/.test(upc)) {
+    throw statusError('UPC must be 8 to 14 digits (UPC-A, EAN-13 or GTIN-14)', 400);
+  }
+
+  return { sealedType, upc: upc || null };
+}
+
+/**
+ * Validate a new hold ({ quantity, customerName, customerContact, note, expiresAt | hours })
+ * Without expiresAt the hold lasts `hours`, or HOLD_HOURS (default 48).
+ * @returns {Object} Hold fields for placeHold (snake_case, like the inventory_holds columns)
+ */
+export function readHold(input = {}) {
+  const quantity = input.quantity === undefined ? 1 : Number(input.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw statusError('Quantity must be a positive whole number', 400);
+  }
+
+  const customerName = input.customerName ? String(input.customerName).trim() : '';
+  if (!customerName) {
+    throw statusError('Customer name is required', 400);
+  }
+
+  let expiresAt;
+  if (input.expiresAt) {
+    expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      throw statusError('expiresAt must be a date/time', 400);
+    }
+  } else {
+    const hours = Number(input.hours ?? (parseFloat(process.env.HOLD_HOURS) || DEFAULT_HOLD_HOURS));
+    if (Number.isNaN(hours) || hours <= 0) {
+      throw statusError('Hours must be a positive number', 400);
+    }
+    expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  }
+
+  if (expiresAt.getTime() <= Date.now()) {
+    throw statusError('A hold must expire in the future', 400);
+  }
+
+  return {
+    quantity,
+    customer_name: customerName,
+    customer_contact: input.customerContact ? String(input.customerContact).trim() : null,
+    note: input.note || null,
+    expires_at: expiresAt.toISOString()
+  };
+}
+
+// Whether a row has these match fields (see getMatchFields), with the same rules as
+// the add_inventory_card lookup: case-insensitive text, null meaning "is null"
+export function rowMatches(row, match) {
+  return Object.entries(match).every(([key, value]) => {
+    if (value === null) {
+      return row[key] === null || row[key] === undefined;
+    }
+    if (key === 'grade') {
+      return Number(row[key]) === Number(value);
+    }
+    return row[key] !== null && row[key] !== undefined &&
+      String(row[key]).toLowerCase() === String(value).toLowerCase();
+  });
+}
+
+// Copies that can still be sold or held: on-hand stock less active holds
+export function availableStock(item) {
+  return Math.max((item.stock || 0) - (item.held_stock || 0), 0);
+}
+
+// Label used for grade breakdowns, e.g. "PSA 10" or "BGS 9.5"
+export function gradeLabel(company, grade) {
+  return `${company} ${Number(grade)}`;
+}
+
+// Cost per unit in dollars, or null when unknown/invalid
+export function parseCost(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const cost = parseFloat(value);
+  return Number.isNaN(cost) || cost < 0 ? null : cost;
+}
+
+export function roundMoney(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
@@ -0,0 +1,24 @@
+// services/inventory.js
+// The inventory store the app uses, chosen with INVENTORY_STORE
+//   supabase (default) - SupabaseInventory, needs SUPABASE_URL and SUPABASE_KEY
+//   memory             - MemoryInventory, for offline development and tests
+
+import { INVENTORY_STORE_TYPE } from './inventory-store-type.js';
+import supabaseInventory from './supabase-inventory.js';
+import memoryInventory from './memory-inventory.js';
+
+export const INVENTORY_STORES = {
+  supabase: supabaseInventory,
+  memory: memoryInventory
+};
+
+const storeType = INVENTORY_STORE_TYPE;
+
+if (!INVENTORY_STORES[storeType]) {
+  throw new Error(`Unknown INVENTORY_STORE "${storeType}" (expected one of: ${Object.keys(INVENTORY_STORES).join(', ')})`);
+}
+
+const inventoryStore = INVENTORY_STORES[storeType];
+console.log(`🗄️ Using ${storeType} inventory store`);
+
+export default inventoryStore;
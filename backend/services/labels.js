@@ -0,0 +1,154 @@
+// services/labels.js
+// Printable shelf/sleeve label sheets: SKU barcode, name, set and price per label
+
+import inventoryStore from './inventory.js';
+import exchangeRates from './exchange-rates.js';
+import { buildSku } from './inventory-store.js';
+import { code128Svg } from './barcode.js';
+import { statusError } from './errors.js';
+
+// Largest sheet one request may print
+const MAX_LABELS = 1000;
+
+class LabelSheets {
+  /**
+   * Render a label sheet for chosen items
+   * @param {Object} selection - { ids } for specific items, otherwise { filters } (GET /api/inventory filters)
+   * @param {Object} options - { copies: 'one' | 'stock', currency } where currency shows prices converted
+   * @returns {Promise<Object>} { html, labelCount, missingIds }
+   */
+  async render(selection = {}, options = {}) {
+    const { items, missingIds } = await this.loadItems(selection);
+    const priced = options.currency
+      ? await exchangeRates.addDisplayPrices(items, options.currency)
+      : items;
+
+    const labels = [];
+    for (const item of priced) {
+      const copies = options.copies === 'stock' ? Math.max(item.stock || 0, 0) : 1;
+      for (let copy = 0; copy < copies; copy++) {
+        labels.push(item);
+      }
+    }
+
+    if (labels.length > MAX_LABELS) {
+      throw statusError(`That would print ${labels.length} labels; choose fewer items (at most ${MAX_LABELS} labels)`, 400);
+    }
+
+    return {
+      html: this.renderSheet(labels),
+      labelCount: labels.length,
+      missingIds
+    };
+  }
+
+  async loadItems(selection) {
+    if (selection.ids && selection.ids.length > 0) {
+      const items = [];
+      const missingIds = [];
+
+      for (const id of selection.ids) {
+        const item = await inventoryStore.getItemById(id);
+        if (item) {
+          items.push(item);
+        } else {
+          missingIds.push(id);
+        }
+      }
+
+      return { items, missingIds };
+    }
+
+    const items = [];
+    for await (const item of inventoryStore.iterateItems(selection.filters || {})) {
+      items.push(item);
+    }
+
+    return { items, missingIds: [] };
+  }
+
+  /**
+   * HTML page laid out for US Letter 30-up address labels (2.625" × 1", e.g. Avery 5160)
+   */
+  renderSheet(items) {
+    const labels = items.map(item => {
+      // Items from before SKUs were stored get theirs worked out here
+      const sku = item.sku || buildSku(item);
+      const price = item.display_currency
+        ? formatPrice(item.display_price, item.display_currency)
+        : formatPrice(item.listed_price, item.price_currency || 'USD');
+      const details = [
+        item.set_name,
+        item.product_type === 'sealed' ? sealedLabel(item.sealed_type) : null,
+        item.card_number ? `#${item.card_number}` : null
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      return `<div class="label">
+  <div class="top"><span class="name">${escapeHtml(item.card_name)}</span><span class="price">${escapeHtml(price)}</span></div>
+  <div class="details">${escapeHtml(details)}</div>
+  <div class="barcode">${code128Svg(sku)}</div>
+  <div class="sku">${escapeHtml(sku)}</div>
+</div>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Inventory labels</title>
+<style>
+  @page { size: letter; margin: 0.5in 0.19in; }
+  body { margin: 0; font-family: Arial, sans-serif; }
+  .sheet { display: grid; grid-template-columns: repeat(3, 2.625in); grid-auto-rows: 1in; column-gap: 0.125in; }
+  .label { box-sizing: border-box; padding: 0.05in 0.1in; overflow: hidden; break-inside: avoid; }
+  .top { display: flex; justify-content: space-between; gap: 0.05in; font-size: 9pt; font-weight: bold; }
+  .name { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .price { white-space: nowrap; }
+  .details { font-size: 7pt; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .barcode svg { display: block; width: 100%; height: 0.4in; }
+  .sku { font-family: monospace; font-size: 7pt; text-align: center; }
+  @media screen { .label { outline: 1px dashed #ccc; } }
+</style>
+</head>
+<body>
+<div class="sheet">
+${labels.join('\n')}
+</div>
+</body>
+</html>
+`;
+  }
+}
+
+// "elite-trainer-box" → "Elite Trainer Box"
+function sealedLabel(sealedType) {
+  return String(sealedType || 'sealed').split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+function formatPrice(amount, currency) {
+  if (amount === null || amount === undefined) {
+    return '';
+  }
+
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${Number(amount).toFixed(2)}`;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Create singleton instance
+const labelSheets = new LabelSheets();
+
+export default labelSheets;
@@ -0,0 +1,222 @@
+// services/locations.js
+// Physical storage locations and per-location stock for inventory items
+
+import supabase from './supabase-client.js';
+import { statusError } from './errors.js';
+
+export const LOCATION_TYPES = ['binder', 'box', 'display-case', 'shelf', 'page', 'slot', 'other'];
+
+// Postgres error codes raised by the location functions
+const ERROR_STATUS = {
+  '22023': 400, // invalid move (bad quantity, not enough copies, same location)
+  'P0002': 404, // inventory item not found
+  '23503': 409  // location still referenced (children or stock placed in it)
+};
+
+class Locations {
+  constructor() {
+    this.tableName = 'locations';
+  }
+
+  /**
+   * List all locations (ordered so parents come before their pages/slots)
+   */
+  async getAll() {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .order('parent_id', { ascending: true, nullsFirst: true })
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Supabase list locations error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a location by ID
+   */
+  async getById(id) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Supabase get location error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Create a location
+   * @param {Object} location - { name, type, parent_id, notes }
+   */
+  async create(location) {
+    const row = this.validate(location, true);
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .insert([{ ...row, created_at: new Date().toISOString() }])
+      .select();
+
+    if (error) {
+      console.error('Supabase insert location error:', error);
+      throw withStatus(error);
+    }
+
+    console.log(`📦 Created location: ${data[0].name} (${data[0].type})`);
+    return data[0];
+  }
+
+  /**
+   * Update a location's name, type, parent or notes
+   */
+  async update(id, updates) {
+    const row = this.validate(updates, false);
+
+    if (row.parent_id !== undefined && String(row.parent_id) === String(id)) {
+      throw statusError('A location cannot be its own parent', 400);
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('Supabase update location error:', error);
+      throw withStatus(error);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Delete an empty location
+   * Fails with 409 while it still has child locations or placed stock
+   */
+  async remove(id) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('Supabase delete location error:', error);
+      throw withStatus(error, 'Location still has child locations or stock placed in it');
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * How many copies of an inventory item are in each location
+   */
+  async getBreakdown(inventoryId) {
+    const { data, error } = await supabase.rpc('inventory_location_breakdown', {
+      p_inventory_id: inventoryId
+    });
+
+    if (error) {
+      console.error('Supabase location breakdown error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Move copies of an inventory item from one location to another
+   * A null location means the item's home location
+   * @returns {Promise<Object>} Breakdown after the move
+   */
+  async moveStock(inventoryId, fromLocationId, toLocationId, quantity) {
+    const { data, error } = await supabase.rpc('move_inventory_stock', {
+      p_inventory_id: inventoryId,
+      p_from: fromLocationId ?? null,
+      p_to: toLocationId ?? null,
+      p_quantity: quantity
+    });
+
+    if (error) {
+      console.error('Supabase move stock error:', error);
+      throw withStatus(error);
+    }
+
+    console.log(`🚚 Moved ${quantity} of item ${inventoryId}: ${fromLocationId ?? 'home'} → ${toLocationId ?? 'home'}`);
+    return data;
+  }
+
+  /**
+   * Inventory ids with copies in a location (including nested pages/slots)
+   */
+  async getInventoryIdsAt(locationId) {
+    const { data, error } = await supabase.rpc('inventory_ids_at_location', {
+      p_location_id: locationId
+    });
+
+    if (error) {
+      console.error('Supabase location filter error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Pick the writable location fields and check them
+   */
+  validate(input, requireName) {
+    const row = {};
+
+    if (input.name !== undefined || requireName) {
+      if (!input.name || !String(input.name).trim()) {
+        throw statusError('Location name is required', 400);
+      }
+      row.name = String(input.name).trim();
+    }
+
+    if (input.type !== undefined) {
+      if (!LOCATION_TYPES.includes(input.type)) {
+        throw statusError(`Location type must be one of: ${LOCATION_TYPES.join(', ')}`, 400);
+      }
+      row.type = input.type;
+    }
+
+    if (input.parent_id !== undefined) {
+      row.parent_id = input.parent_id || null;
+    }
+
+    if (input.notes !== undefined) {
+      row.notes = input.notes || null;
+    }
+
+    return row;
+  }
+}
+
+// Attach an HTTP status to a Supabase error based on its Postgres code
+function withStatus(error, message) {
+  const status = ERROR_STATUS[error.code];
+  if (!status) {
+    return error;
+  }
+  return statusError(message && status === 409 ? message : error.message, status);
+}
+
+// Create singleton instance
+const locations = new Locations();
+
+export default locations;
@@ -0,0 +1,866 @@
+// services/memory-inventory.js
+// In-memory inventory store with the same behaviour as SupabaseInventory
+// Used for offline development and tests (INVENTORY_STORE=memory). Nothing is
+// persisted: the inventory starts empty every time the process starts.
+// Storage locations, shop-wide reorder thresholds and market price history live
+// in Supabase tables, so they are not available with this store. Low-stock alerts
+// still fire, against each item's own threshold or the default.
+
+import { MOVEMENT_REASONS } from './stock-movements.js';
+import stores from './stores.js';
+import { InventoryStore, parseCost, roundMoney, gradeLabel, availableStock, rowMatches } from './inventory-store.js';
+import exchangeRates, { baseCurrency } from './exchange-rates.js';
+import stockThresholds from './stock-thresholds.js';
+import { statusError } from './errors.js';
+
+// Reorder threshold used when an item has none of its own (same fallback as inventory_reorder_levels)
+const DEFAULT_REORDER_THRESHOLD = 3;
+
+export class MemoryInventory extends InventoryStore {
+  constructor() {
+    super('memory');
+    this.items = new Map(); // id -> row
+    this.movements = [];
+    this.holds = new Map(); // hold id -> hold
+    this.transfers = [];
+    this.nextId = 1;
+    this.nextMovementId = 1;
+    this.nextHoldId = 1;
+    this.nextTransferId = 1;
+  }
+
+  /**
+   * Add a card to inventory
+   * Merges into an existing row with the same match fields, like add_inventory_card
+   * @param {Object} context - Optional movement context ({ user, note })
+   */
+  async addCard(cardData, context = {}) {
+    const quantity = cardData.quantity || 1;
+    const storeId = await stores.readStoreId(cardData.storeId);
+    const item = this.buildItem({ ...cardData, storeId });
+    await this.assertCertAvailable(item);
+
+    const { row: savedItem, created } = this.mergeOrInsert(item, this.getMatchFields(item), quantity);
+
+    if (created) {
+      console.log(`✅ Added new card to memory store: ${savedItem.card_name} (Stock: ${savedItem.stock})`);
+    } else {
+      console.log(`✅ Incremented stock for: ${savedItem.card_name} (Stock: ${savedItem.stock - quantity} → ${savedItem.stock})`);
+    }
+
+    await this.recordMovement(savedItem.id, quantity, savedItem.stock, 'scan-in', context);
+    return { ...savedItem };
+  }
+
+  /**
+   * The row addCard would merge these match fields into (see SupabaseInventory.findMatchingItem)
+   */
+  async findMatchingItem(match) {
+    const row = this.findMatchingRow(match);
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Find exact card match (see SupabaseInventory.findExactCard)
+   */
+  async findExactCard(cardName, setName, cardNumber, condition, language, grading = null, variant = 'normal', storeId = null) {
+    const row = this.liveRows().find(item =>
+      sameText(item.card_name, cardName) &&
+      item.language === language &&
+      item.product_type === 'single' &&
+      item.variant === (variant || 'normal') &&
+      !item.consignor_id &&
+      (grading
+        ? item.grading_company === grading.company &&
+          Number(item.grade) === Number(grading.grade) &&
+          (!grading.certNumber || item.cert_number === grading.certNumber)
+        : !item.grading_company && item.condition === condition) &&
+      (!setName || sameText(item.set_name, setName)) &&
+      (!cardNumber || item.card_number === cardNumber) &&
+      (!storeId || String(item.store_id) === String(storeId))
+    );
+
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Decrease stock by a specified amount (see SupabaseInventory.decrementStock)
+   */
+  async decrementStock(id, deleteWhenZero = false, quantity = 1, context = {}) {
+    const row = this.getRow(id);
+
+    if (!row) {
+      console.error('Card not found:', id);
+      throw new Error('Card not found');
+    }
+
+    const currentStock = row.stock || 0;
+
+    if (currentStock < quantity) {
+      if (currentStock <= 0 && !context.strict) {
+        console.warn(`⚠️ Cannot decrement - stock already at 0 for card: ${row.card_name}`);
+        return { ...row };
+      }
+
+      throw new Error(`Insufficient stock for ${row.card_name} (Stock: ${currentStock}, requested: ${quantity})`);
+    }
+
+    // Sales (context.heldAllowance set) can't take copies held for customers
+    if (context.heldAllowance !== undefined && currentStock - quantity < (row.held_stock || 0) - context.heldAllowance) {
+      throw new Error(`Insufficient available stock for ${row.card_name} (Stock: ${currentStock}, held: ${row.held_stock}, requested: ${quantity})`);
+    }
+
+    row.stock = currentStock - quantity;
+    row.availability = row.stock > 0;
+    row.updated_at = new Date().toISOString();
+
+    const movementContext = { reason: 'sale', ...context };
+    await this.recordMovement(row.id, -quantity, row.stock, movementContext.reason, movementContext);
+    await stockThresholds.checkThresholdCrossed({ ...row }, currentStock, reorderThreshold(row));
+
+    if (row.stock === 0 && deleteWhenZero) {
+      return await this.removeCard(row.id, movementContext);
+    }
+
+    console.log(`📉 Decremented stock for: ${row.card_name} (Stock: ${currentStock} → ${row.stock})`);
+    return { ...row };
+  }
+
+  /**
+   * Get a single inventory item by ID
+   * Items in the trash are only returned when includeDeleted is true
+   */
+  async getItemById(id, includeDeleted = false) {
+    const row = this.getRow(id, includeDeleted);
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Increase stock by a specified amount (see SupabaseInventory.incrementStock)
+   */
+  async incrementStock(id, quantity = 1, context = {}) {
+    const row = this.getRow(id);
+
+    if (!row) {
+      throw new Error('Card not found');
+    }
+
+    row.unit_cost = blendUnitCost(row.unit_cost, row.stock || 0, parseCost(context.unitCost), quantity);
+    row.stock = (row.stock || 0) + quantity;
+    row.availability = row.stock > 0;
+    row.updated_at = new Date().toISOString();
+
+    console.log(`📈 Incremented stock for: ${row.card_name} (Stock: ${row.stock - quantity} → ${row.stock})`);
+    await this.recordMovement(row.id, quantity, row.stock, context.reason || 'manual-adjust', context);
+    return { ...row };
+  }
+
+  /**
+   * Set stock to a specific value (see SupabaseInventory.setStock)
+   */
+  async setStock(id, quantity, context = {}) {
+    const row = this.getRow(id);
+
+    if (!row) {
+      throw new Error('Card not found');
+    }
+
+    // Like set_inventory_stock: copies held for customers can't be counted away
+    if (quantity < (row.held_stock || 0)) {
+      throw statusError(`${row.held_stock} held for customers; release holds before setting stock below that`, 409);
+    }
+
+    const previousStock = row.stock || 0;
+    row.stock = quantity;
+    row.availability = quantity > 0;
+    row.updated_at = new Date().toISOString();
+
+    console.log(`🔢 Set stock for: ${row.card_name} (Stock: ${previousStock} → ${quantity})`);
+    await this.recordMovement(row.id, quantity - previousStock, quantity, context.reason || 'stocktake', context);
+    return { ...row };
+  }
+
+  /**
+   * Get total stock quantity across all cards
+   */
+  async getTotalStock() {
+    return this.liveRows().reduce((sum, item) => sum + (item.stock || 0), 0);
+  }
+
+  /**
+   * Get inventory count for a specific card (by name + set + number)
+   */
+  async getCardCount(cardName, setName = null, cardNumber = null) {
+    return this.cardRows(cardName, setName, cardNumber).length;
+  }
+
+  /**
+   * Get stock quantity for a specific card
+   */
+  async getCardStock(cardName, setName = null, cardNumber = null) {
+    const rows = this.cardRows(cardName, setName, cardNumber);
+    return {
+      onHand: rows.reduce((sum, item) => sum + (item.stock || 0), 0),
+      available: rows.reduce((sum, item) => sum + availableStock(item), 0)
+    };
+  }
+
+  /**
+   * Count items matching the filters, split into singles and sealed product
+   */
+  async countByProductType(filters = {}) {
+    const rows = this.filterRows(filters);
+    return {
+      single: rows.filter(row => row.product_type === 'single').length,
+      sealed: rows.filter(row => row.product_type === 'sealed').length
+    };
+  }
+
+  /**
+   * Get all inventory items
+   */
+  async getAllItems() {
+    return this.sortedRows(this.liveRows(), 'added_at', false).map(row => ({ ...row }));
+  }
+
+  /**
+   * Get inventory items with filters
+   */
+  async getItems(filters = {}) {
+    return this.sortedRows(this.filterRows(filters), 'added_at', false).map(row => ({ ...row }));
+  }
+
+  /**
+   * Get one page of inventory items (see SupabaseInventory.queryItems)
+   */
+  async queryItems(filters = {}, options = {}) {
+    const { page, limit, sortColumn, ascending, from } = this.readPaging(options);
+    const rows = this.sortedRows(this.filterRows(filters), sortColumn, ascending);
+    const total = rows.length;
+
+    return {
+      items: rows.slice(from, from + limit).map(row => ({ ...row })),
+      total: total,
+      page: page,
+      limit: limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Walk inventory items matching the filters
+   */
+  async *iterateItems(filters = {}) {
+    for (const row of await this.getItems(filters)) {
+      yield row;
+    }
+  }
+
+  /**
+   * Remove a card from inventory by ID (moves it to the trash)
+   */
+  async removeCard(id, context = {}) {
+    const row = this.getRow(id);
+
+    if (!row) {
+      return null;
+    }
+
+    row.deleted_at = new Date().toISOString();
+    row.updated_at = row.deleted_at;
+    await this.releaseActiveHolds(row.id);
+
+    console.log(`🗑️ Moved card to trash: ${row.card_name} (ID: ${row.id})`);
+    await this.recordMovement(row.id, -(row.stock || 0), 0, context.reason || 'removal', context);
+    return { ...row };
+  }
+
+  /**
+   * Restore a trashed card, bringing its stock back
+   */
+  async restoreCard(id, context = {}) {
+    const row = this.getRow(id, true);
+
+    if (!row || !row.deleted_at) {
+      return null;
+    }
+
+    // Merged items stay in the trash: their stock already lives on the target
+    if (row.merged_into) {
+      throw statusError(`Item ${row.id} was merged into item ${row.merged_into}; its stock is already there`, 409);
+    }
+
+    row.deleted_at = null;
+    row.updated_at = new Date().toISOString();
+
+    console.log(`♻️ Restored card from trash: ${row.card_name} (ID: ${row.id})`);
+    await this.recordMovement(row.id, row.stock || 0, row.stock || 0, 'restore', context);
+    return { ...row };
+  }
+
+  /**
+   * Permanently delete trashed cards (see SupabaseInventory.purgeDeleted)
+   */
+  async purgeDeleted(id = null, deletedBefore = null) {
+    const purged = [];
+
+    for (const row of this.items.values()) {
+      if (!row.deleted_at) continue;
+      if (id !== null && String(row.id) !== String(id)) continue;
+      if (deletedBefore && !(row.deleted_at < deletedBefore)) continue;
+
+      this.items.delete(row.id);
+      purged.push({ ...row });
+
+      // Holds go with the row, like the on delete cascade on inventory_holds
+      for (const hold of this.holds.values()) {
+        if (hold.inventory_id === row.id) this.holds.delete(hold.id);
+      }
+    }
+
+    console.log(`🔥 Purged ${purged.length} card(s) from trash`);
+    return purged;
+  }
+
+  /**
+   * Update a card in inventory
+   * If the update changes stock, the difference is logged as a movement
+   */
+  async updateCard(id, updates, context = {}) {
+    const row = this.getRow(id);
+
+    if (!row) {
+      return null;
+    }
+
+    const previousStock = row.stock || 0;
+    Object.assign(row, updates, { id: row.id, updated_at: new Date().toISOString() });
+
+    console.log(`✏️ Updated card in memory store: ${row.card_name} (ID: ${row.id})`);
+    if (updates.stock !== undefined) {
+      await this.recordMovement(row.id, (row.stock || 0) - previousStock, row.stock || 0, context.reason || 'manual-adjust', context);
+    }
+    return { ...row };
+  }
+
+  /**
+   * Put copies of an item on hold for a customer (see SupabaseInventory.placeHold)
+   */
+  async placeHold(id, hold, context = {}) {
+    const row = this.getRow(id);
+
+    if (!row) {
+      return null;
+    }
+
+    const available = availableStock(row);
+    if (available < hold.quantity) {
+      const error = new Error(`Only ${available} available to hold`);
+      error.status = 409;
+      throw error;
+    }
+
+    row.held_stock = (row.held_stock || 0) + hold.quantity;
+
+    const saved = {
+      id: this.nextHoldId++,
+      inventory_id: row.id,
+      ...hold,
+      status: 'active',
+      sale_id: null,
+      user_name: context.user || null,
+      created_at: new Date().toISOString(),
+      released_at: null
+    };
+    this.holds.set(saved.id, saved);
+
+    console.log(`🔖 Held ${hold.quantity} of item ${row.id} for ${hold.customer_name} until ${hold.expires_at}`);
+    return { ...saved };
+  }
+
+  /**
+   * Close an active hold (see SupabaseInventory.releaseHold)
+   */
+  async releaseHold(holdId, status = 'released', saleId = null) {
+    const hold = this.holds.get(Number(holdId));
+
+    if (!hold || hold.status !== 'active') {
+      return null;
+    }
+
+    Object.assign(hold, { status, sale_id: saleId, released_at: new Date().toISOString() });
+
+    const row = this.items.get(hold.inventory_id);
+    if (row) {
+      row.held_stock = Math.max((row.held_stock || 0) - hold.quantity, 0);
+    }
+
+    console.log(`🔖 Hold #${hold.id} ${status} (${hold.quantity} of item ${hold.inventory_id})`);
+    return { ...hold };
+  }
+
+  /**
+   * Get a hold by ID
+   */
+  async getHold(holdId) {
+    const hold = this.holds.get(Number(holdId));
+    return hold ? { ...hold } : null;
+  }
+
+  /**
+   * List holds, soonest expiry first (see SupabaseInventory.getHolds)
+   */
+  async getHolds(filters = {}, limit = 200) {
+    return Array.from(this.holds.values())
+      .filter(hold =>
+        (!filters.inventoryId || String(hold.inventory_id) === String(filters.inventoryId)) &&
+        (!filters.status || hold.status === filters.status) &&
+        (!filters.customer || contains(hold.customer_name, filters.customer))
+      )
+      .sort((a, b) => a.expires_at.localeCompare(b.expires_at))
+      .slice(0, limit)
+      .map(hold => ({ ...hold }));
+  }
+
+  /**
+   * Expire every active hold past its expiry time
+   */
+  async releaseExpiredHolds() {
+    const now = new Date().toISOString();
+    const expired = [];
+
+    for (const hold of this.holds.values()) {
+      if (hold.status === 'active' && hold.expires_at <= now) {
+        expired.push(await this.releaseHold(hold.id, 'expired'));
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Move copies of an item to another store (see SupabaseInventory.transferStock)
+   */
+  async transferStock(id, toStoreId, quantity, context = {}) {
+    const source = this.getRow(id);
+
+    if (!source) {
+      return null;
+    }
+
+    if (String(source.store_id) === String(toStoreId)) {
+      throw statusError('Item is already in that store', 409);
+    }
+
+    const available = availableStock(source);
+    if (available < quantity) {
+      throw statusError(`Only ${available} available to transfer`, 409);
+    }
+
+    const { item, match } = this.buildTransferItem(source, toStoreId, quantity);
+
+    source.stock = (source.stock || 0) - quantity;
+    source.availability = source.stock > 0;
+    source.updated_at = new Date().toISOString();
+
+    const { row: destination, created } = this.mergeOrInsert(item, match, quantity);
+
+    const transfer = {
+      id: this.nextTransferId++,
+      from_store_id: source.store_id,
+      to_store_id: destination.store_id,
+      from_inventory_id: source.id,
+      to_inventory_id: destination.id,
+      quantity: quantity,
+      unit_cost: source.unit_cost ?? null,
+      user_name: context.user || null,
+      note: context.note || null,
+      created_at: new Date().toISOString()
+    };
+    this.transfers.push(transfer);
+
+    const movementContext = { ...context, reference: `transfer:${transfer.id}` };
+    await this.recordMovement(source.id, -quantity, source.stock, 'transfer', movementContext);
+    await this.recordMovement(destination.id, quantity, destination.stock, 'transfer', movementContext);
+    await stockThresholds.checkThresholdCrossed({ ...source }, source.stock + quantity, reorderThreshold(source));
+
+    console.log(`🚚 Transferred ${quantity} of ${source.card_name}: store ${transfer.from_store_id} → ${toStoreId} (item ${destination.id})`);
+    return { from: { ...source }, to: { ...destination }, created, transfer: { ...transfer } };
+  }
+
+  /**
+   * Merge duplicate items into one (see SupabaseInventory.mergeItems)
+   */
+  async mergeItems(targetId, sourceIds, options = {}) {
+    const loaded = await this.loadMerge(targetId, sourceIds, options.force);
+    if (!loaded) {
+      return null;
+    }
+
+    const target = this.getRow(loaded.target.id);
+    const now = new Date().toISOString();
+    const merged = [];
+
+    for (const { id } of loaded.sources) {
+      const source = this.getRow(id);
+      const stock = source.stock || 0;
+
+      target.unit_cost = blendUnitCost(target.unit_cost, target.stock || 0, source.unit_cost, stock);
+      target.stock = (target.stock || 0) + stock;
+      target.held_stock = (target.held_stock || 0) + (source.held_stock || 0);
+      target.availability = target.stock > 0;
+      for (const field of ['tcgdex_id', 'image_url', 'rarity']) {
+        target[field] = target[field] ?? source[field] ?? null;
+      }
+      target.merged_ids = [...(target.merged_ids || []), source.id, ...(source.merged_ids || [])];
+
+      for (const hold of this.holds.values()) {
+        if (hold.inventory_id === source.id && hold.status === 'active') hold.inventory_id = target.id;
+      }
+
+      Object.assign(source, { stock: 0, held_stock: 0, availability: false, merged_into: target.id, deleted_at: now, updated_at: now });
+      merged.push({ id: source.id, stock });
+    }
+
+    target.updated_at = now;
+    await this.recordMerge(target, merged, options);
+
+    console.log(`🧬 Merged ${merged.length} duplicate(s) into ${target.card_name} (item ${target.id}, Stock: ${target.stock})`);
+    return { target: { ...target }, merged };
+  }
+
+  /**
+   * List stock transfers, newest first (see SupabaseInventory.getTransfers)
+   */
+  async getTransfers(filters = {}, limit = 100) {
+    const involves = (fromValue, toValue, value) =>
+      String(fromValue) === String(value) || String(toValue) === String(value);
+
+    return this.transfers
+      .filter(transfer => filters.inventoryId
+        ? involves(transfer.from_inventory_id, transfer.to_inventory_id, filters.inventoryId)
+        : !filters.storeId || involves(transfer.from_store_id, transfer.to_store_id, filters.storeId))
+      .reverse()
+      .slice(0, limit)
+      .map(transfer => ({ ...transfer }));
+  }
+
+  /**
+   * Get total inventory count (number of unique cards)
+   */
+  async getTotalCount() {
+    return this.liveRows().length;
+  }
+
+  /**
+   * Get inventory statistics, shaped like the inventory_stats database function
+   * realizedProfit is always 0 here (GET /api/sales/summary reports it for the memory store)
+   * Money totals are converted into the shop base currency like the database function does
+   * @param {Object} filters - Optional { graded, gradingCompany, grade, productType, storeId } to limit the stats
+   */
+  async getStats(filters = {}) {
+    const rows = this.filterRows({
+      graded: filters.graded ?? undefined,
+      gradingCompany: filters.gradingCompany,
+      grade: filters.grade ?? undefined,
+      productType: filters.productType,
+      storeId: filters.storeId
+    });
+    const base = baseCurrency();
+    const rates = await exchangeRates.getRateTable();
+    const missingRates = new Set();
+    const stats = {
+      currency: base,
+      storeId: filters.storeId || null,
+      totalCards: rows.length,
+      totalStock: 0,
+      bySource: {},
+      byLanguage: {},
+      byCondition: {},
+      byGrade: {},
+      gradedStock: 0,
+      rawStock: 0,
+      byProductType: {
+        single: { items: 0, stock: 0, value: 0 },
+        sealed: { items: 0, stock: 0, value: 0 }
+      },
+      bySealedType: {},
+      totalValue: 0,
+      marketValue: 0,
+      totalCost: 0,
+      unrealizedProfit: 0,
+      uncostedStock: 0,
+      realizedProfit: 0,
+      unconvertedItems: 0,
+      missingRates: [],
+      outOfStock: 0,
+      lowStock: 0,
+      trashed: this.filterRows({ trashed: true, storeId: filters.storeId }).length
+    };
+
+    for (const item of rows) {
+      const stock = item.stock || 0;
+      const listedPrice = parseFloat(item.listed_price) || 0;
+      const marketPrice = parseFloat(item.market_price) || 0;
+      const priceRate = rates[item.price_currency || 'USD'];
+      const marketRate = rates[item.market_price_currency || 'USD'];
+      const threshold = reorderThreshold(item);
+
+      stats.totalStock += stock;
+      addTo(stats.bySource, item.source, stock);
+      addTo(stats.byLanguage, item.language, stock);
+      if (item.grading_company) {
+        addTo(stats.byGrade, gradeLabel(item.grading_company, item.grade), stock);
+        stats.gradedStock += stock;
+      } else if (item.product_type === 'single') {
+        addTo(stats.byCondition, item.condition, stock);
+        stats.rawStock += stock;
+      } else {
+        addTo(stats.bySealedType, item.sealed_type, stock);
+      }
+
+      const byType = stats.byProductType[item.product_type];
+      byType.items++;
+      byType.stock += stock;
+      if (priceRate !== undefined) byType.value += listedPrice * stock * priceRate;
+
+      if (priceRate === undefined) missingRates.add(item.price_currency);
+      if (marketRate === undefined && marketPrice > 0) missingRates.add(item.market_price_currency);
+      if (priceRate === undefined || (marketRate === undefined && marketPrice > 0)) stats.unconvertedItems++;
+
+      if (priceRate !== undefined) stats.totalValue += listedPrice * stock * priceRate;
+      if (marketRate !== undefined) stats.marketValue += marketPrice * stock * marketRate;
+
+      if (item.unit_cost === null || item.unit_cost === undefined) {
+        stats.uncostedStock += stock;
+      } else if (priceRate !== undefined) {
+        stats.totalCost += item.unit_cost * stock * priceRate;
+        stats.unrealizedProfit += (listedPrice - item.unit_cost) * stock * priceRate;
+      }
+
+      if (stock === 0) stats.outOfStock++;
+      if (stock > 0 && stock <= threshold) stats.lowStock++;
+    }
+
+    stats.byProductType.single.value = roundMoney(stats.byProductType.single.value);
+    stats.byProductType.sealed.value = roundMoney(stats.byProductType.sealed.value);
+    stats.totalValue = roundMoney(stats.totalValue);
+    stats.marketValue = roundMoney(stats.marketValue);
+    stats.missingRates = Array.from(missingRates).sort();
+    stats.totalCost = roundMoney(stats.totalCost);
+    stats.unrealizedProfit = roundMoney(stats.unrealizedProfit);
+
+    return stats;
+  }
+
+  /**
+   * Get the stock movement history for an inventory item, oldest first
+   * (including the duplicates merged into it, see SupabaseInventory.getHistory)
+   */
+  async getHistory(id) {
+    const row = this.items.get(Number(id));
+    const ids = [id, ...((row && row.merged_ids) || [])].map(String);
+
+    return this.movements
+      .filter(movement => ids.includes(String(movement.inventory_id)))
+      .map(movement => ({ ...movement }));
+  }
+
+  /**
+   * Log a stock change to the movement ledger
+   */
+  async recordMovement(id, delta, stockAfter, reason, context = {}) {
+    if (!delta) {
+      return null;
+    }
+
+    const movement = {
+      id: this.nextMovementId++,
+      inventory_id: id,
+      delta: delta,
+      stock_after: stockAfter ?? null,
+      reason: MOVEMENT_REASONS.includes(reason) ? reason : 'manual-adjust',
+      user_name: context.user || null,
+      note: context.note || null,
+      reference: context.reference || null,
+      created_at: new Date().toISOString()
+    };
+
+    this.movements.push(movement);
+    return { ...movement };
+  }
+
+  /**
+   * Clear all inventory (moves every item to the trash; needs a token from createClearToken)
+   */
+  async clearAll(confirmToken, context = {}) {
+    this.requireClearToken(confirmToken);
+
+    const rows = this.liveRows();
+    const now = new Date().toISOString();
+
+    for (const row of rows) {
+      row.deleted_at = now;
+      row.updated_at = now;
+      await this.recordMovement(row.id, -(row.stock || 0), 0, 'removal', context);
+    }
+    await this.releaseActiveHolds();
+
+    console.log(`🗑️ Moved all inventory to trash (${rows.length} items)`);
+    return rows.length;
+  }
+
+  // Oldest live row matching `match`, like add_inventory_card's lookup
+  findMatchingRow(match) {
+    return this.sortedRows(this.liveRows(), 'id', true).find(row => rowMatches(row, match)) || null;
+  }
+
+  /**
+   * Add copies to the first row matching `match`, or insert `item` as a new row
+   * (the in-memory version of the add_inventory_card database function)
+   * @returns {Object} { row, created }
+   */
+  mergeOrInsert(item, match, quantity) {
+    const existing = this.findMatchingRow(match);
+
+    if (existing) {
+      existing.unit_cost = blendUnitCost(existing.unit_cost, existing.stock || 0, item.unit_cost, quantity);
+      existing.stock = (existing.stock || 0) + quantity;
+      existing.availability = true;
+      existing.updated_at = new Date().toISOString();
+      return { row: existing, created: false };
+    }
+
+    const row = {
+      id: this.nextId++,
+      ...item,
+      held_stock: 0,
+      reorder_threshold: null,
+      merged_into: null,
+      merged_ids: [],
+      deleted_at: null,
+      updated_at: null
+    };
+    this.items.set(row.id, row);
+    return { row, created: true };
+  }
+
+  getRow(id, includeDeleted = false) {
+    const row = this.items.get(Number(id));
+    if (!row || (row.deleted_at && !includeDeleted)) {
+      return null;
+    }
+    return row;
+  }
+
+  liveRows() {
+    return Array.from(this.items.values()).filter(row => !row.deleted_at);
+  }
+
+  cardRows(cardName, setName, cardNumber) {
+    return this.liveRows().filter(item =>
+      sameText(item.card_name, cardName) &&
+      (!setName || sameText(item.set_name, setName)) &&
+      (!cardNumber || item.card_number === cardNumber)
+    );
+  }
+
+  /**
+   * Rows matching the standard inventory filters (see SupabaseInventory.applyFilters)
+   */
+  filterRows(filters = {}) {
+    if (filters.location !== undefined) {
+      const error = new Error('Location filters need the Supabase inventory store');
+      error.status = 501;
+      throw error;
+    }
+
+    const term = filters.q
+      ? String(filters.q).replace(/[,()"\\%*]/g, ' ').trim().toLowerCase()
+      : '';
+    const ids = filters.ids ? filters.ids.map(String) : null;
+
+    return Array.from(this.items.values()).filter(item => {
+      const stock = item.stock || 0;
+      const price = parseFloat(item.listed_price) || 0;
+
+      if (Boolean(filters.trashed) !== Boolean(item.deleted_at)) return false;
+      if (filters.cardName && !contains(item.card_name, filters.cardName)) return false;
+      if (filters.setName && !contains(item.set_name, filters.setName)) return false;
+      if (filters.language && item.language !== filters.language) return false;
+      if (filters.condition && item.condition !== filters.condition) return false;
+      if (filters.source && item.source !== filters.source) return false;
+      if (filters.variant && item.variant !== filters.variant) return false;
+      if (filters.productType && item.product_type !== filters.productType) return false;
+      if (filters.sealedType && item.sealed_type !== filters.sealedType) return false;
+      if (filters.upc && item.upc !== String(filters.upc).replace(/[\s-]/g, '')) return false;
+      if (filters.sku && item.sku !== String(filters.sku).trim().toUpperCase()) return false;
+      if (filters.graded !== undefined && Boolean(item.grading_company) !== Boolean(filters.graded)) return false;
+      if (filters.gradingCompany && item.grading_company !== String(filters.gradingCompany).toUpperCase()) return false;
+      if (filters.grade !== undefined && Number(item.grade) !== filters.grade) return false;
+      if (filters.minGrade !== undefined && !(item.grade !== null && Number(item.grade) >= filters.minGrade)) return false;
+      if (filters.certNumber && item.cert_number !== filters.certNumber) return false;
+      if (filters.consigned !== undefined && Boolean(item.consignor_id) !== Boolean(filters.consigned)) return false;
+      if (filters.consignorId && String(item.consignor_id) !== String(filters.consignorId)) return false;
+      if (filters.storeId && String(item.store_id) !== String(filters.storeId)) return false;
+      if (filters.inStock && stock <= 0) return false;
+      if (ids && !ids.includes(String(item.id))) return false;
+      if (term && ![item.card_name, item.set_name, item.card_number].some(value => contains(value, term))) return false;
+      if (filters.minPrice !== undefined && price < filters.minPrice) return false;
+      if (filters.maxPrice !== undefined && price > filters.maxPrice) return false;
+      if (filters.minStock !== undefined && stock < filters.minStock) return false;
+      if (filters.maxStock !== undefined && stock > filters.maxStock) return false;
+
+      return true;
+    });
+  }
+
+  /**
+   * Sort rows by one column (nulls last), then by id
+   */
+  sortedRows(rows, column, ascending) {
+    return rows.slice().sort((a, b) => {
+      const left = a[column];
+      const right = b[column];
+
+      if (left !== right) {
+        if (left === null || left === undefined) return 1;
+        if (right === null || right === undefined) return -1;
+        if (left < right) return ascending ? -1 : 1;
+        if (left > right) return ascending ? 1 : -1;
+      }
+
+      return a.id - b.id;
+    });
+  }
+}
+
+function sameText(left, right) {
+  return String(left ?? '').toLowerCase() === String(right ?? '').toLowerCase();
+}
+
+function contains(value, term) {
+  return String(value ?? '').toLowerCase().includes(String(term).toLowerCase());
+}
+
+function addTo(totals, key, amount) {
+  const name = key ?? 'unknown';
+  totals[name] = (totals[name] || 0) + amount;
+}
+
+// Item's own reorder threshold, or the default (shop-wide thresholds live in Supabase)
+function reorderThreshold(item) {
+  return item.reorder_threshold ?? DEFAULT_REORDER_THRESHOLD;
+}
+
+// Weighted average cost, like the blend_unit_cost database function
+function blendUnitCost(currentCost, currentStock, cost, quantity) {
+  if (cost === null || cost === undefined) return currentCost ?? null;
+  if (currentCost === null || currentCost === undefined || currentStock <= 0) return cost;
+  return roundMoney((currentCost * currentStock + cost * quantity) / (currentStock + quantity));
+}
+
+// Create singleton instance
+const memoryInventory = new MemoryInventory();
+
+export default memoryInventory;
@@ -0,0 +1,280 @@
+// services/price-history.js
+// Market price observations per card, kept so price trends can be checked before listing
+
+import supabase, { hasSupabaseCredentials } from './supabase-client.js';
+import { roundMoney, PRINT_VARIANTS, variantFromKey } from './inventory-store.js';
+import { statusError } from './errors.js';
+
+export const PRICE_SOURCES = ['tcgdex', 'google-sheet', 'manual'];
+
+// Same variants inventory items are stored with
+export const PRICE_VARIANTS = PRINT_VARIANTS;
+
+class PriceHistory {
+  constructor() {
+    this.tableName = 'market_price_history';
+  }
+
+  /**
+   * Store price observations
+   * Repeats of a price already seen today (same card, source, variant and currency)
+   * are skipped. A failed write is logged rather than thrown, like stock movements:
+   * price history must never break a search, scan or refresh.
+   * @param {Array<Object>} observations - { card_name, set_name, card_number, source, variant, currency, price, user, note }
+   * @returns {Promise<number>} How many observations were offered for storage
+   */
+  async record(observations) {
+    const rows = (observations || [])
+      .filter(observation => observation && observation.card_name && observation.price > 0)
+      .map(observation => ({
+        card_key: cardKey(observation.card_name, observation.set_name, observation.card_number),
+        card_name: observation.card_name,
+        set_name: observation.set_name || null,
+        card_number: observation.card_number || null,
+        source: observation.source || 'manual',
+        variant: observation.variant || 'normal',
+        currency: (observation.currency || 'USD').toUpperCase(),
+        price: roundMoney(observation.price),
+        user_name: observation.user || null,
+        note: observation.note || null
+      }));
+
+    // Price history lives in Supabase; without credentials (memory store) nothing is kept
+    if (rows.length === 0 || !hasSupabaseCredentials()) {
+      return 0;
+    }
+
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .upsert(rows, {
+          onConflict: 'card_key,source,variant,currency,observed_on,price',
+          ignoreDuplicates: true
+        });
+
+      if (error) {
+        console.error('Supabase insert price history error:', error);
+        return 0;
+      }
+
+      return rows.length;
+    } catch (error) {
+      console.error('Error recording market prices:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Record every price in a TCGdex-shaped card's pricing block
+   * (TCGdex cards, and Google Sheet cards which are formatted the same way)
+   */
+  async recordCard(card, source, options = {}) {
+    return await this.record(this.observationsFromCard(card, source, options));
+  }
+
+  /**
+   * Turn a card's pricing into observations: TCGplayer market prices per variant
+   * and Cardmarket averages (normal and holo)
+   * Accepts TCGdex cards (set.name, localId) and add-to-inventory payloads (set_name, number)
+   * @param {Object} options - { currency } for sources that don't state one (e.g. the sheet)
+   */
+  observationsFromCard(card, source, options = {}) {
+    if (!card || !card.pricing) {
+      return [];
+    }
+
+    const base = {
+      card_name: card.name,
+      set_name: (card.set && card.set.name) || card.set_name || null,
+      card_number: card.localId || card.number || null,
+      source: source
+    };
+    const observations = [];
+
+    const tcp = card.pricing.tcgplayer;
+    if (tcp) {
+      for (const [key, prices] of Object.entries(tcp)) {
+        const variant = variantFromKey(key);
+        if (variant && prices && prices.marketPrice) {
+          observations.push({
+            ...base,
+            variant: variant,
+            currency: tcp.unit || options.currency || 'USD',
+            price: prices.marketPrice
+          });
+        }
+      }
+    }
+
+    const cm = card.pricing.cardmarket;
+    if (cm) {
+      const currency = cm.unit || options.currency || 'EUR';
+      if (cm.avg) observations.push({ ...base, variant: 'normal', currency, price: cm.avg });
+      if (cm['avg-holo']) observations.push({ ...base, variant: 'holofoil', currency, price: cm['avg-holo'] });
+    }
+
+    return observations;
+  }
+
+  /**
+   * Record a manually entered market price
+   * @param {string} key - Card key
+   * @param {Object} input - { card_name, set_name, card_number, price, variant, currency, note }
+   */
+  async recordManual(key, input, user) {
+    const price = Number(input.price);
+
+    if (input.price === undefined || input.price === null || input.price === '' || Number.isNaN(price) || price <= 0) {
+      throw statusError('Price must be a positive number', 400);
+    }
+
+    const variant = input.variant || 'normal';
+    if (!PRICE_VARIANTS.includes(variant)) {
+      throw statusError(`Variant must be one of: ${PRICE_VARIANTS.join(', ')}`, 400);
+    }
+
+    const currency = String(input.currency || 'USD').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw statusError('Currency must be a three-letter code such as USD', 400);
+    }
+
+    // The key's own parts are used when the card details aren't sent
+    const [name, setName, number] = String(key).split('~');
+    const observation = {
+      card_name: input.card_name || name,
+      set_name: input.set_name || setName || null,
+      card_number: input.card_number || number || null,
+      source: 'manual',
+      variant: variant,
+      currency: currency,
+      price: price,
+      user: user,
+      note: input.note
+    };
+
+    if (cardKey(observation.card_name, observation.set_name, observation.card_number) !== key) {
+      throw statusError('Card details do not match the card key', 400);
+    }
+
+    const row = {
+      card_key: key,
+      card_name: observation.card_name,
+      set_name: observation.set_name,
+      card_number: observation.card_number,
+      source: 'manual',
+      variant: variant,
+      currency: currency,
+      price: roundMoney(price),
+      user_name: user || null,
+      note: input.note || null
+    };
+
+    // Entering today's manual price again updates that row's note and user
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .upsert([row], { onConflict: 'card_key,source,variant,currency,observed_on,price' })
+      .select();
+
+    if (error) {
+      console.error('Supabase insert manual price error:', error);
+      throw error;
+    }
+
+    console.log(`💲 Manual market price for ${row.card_name}: ${row.currency} ${row.price} (${row.variant})`);
+    return data[0];
+  }
+
+  /**
+   * Price observations for one card, oldest first, plus a per-series trend summary
+   * @param {string} key - Card key (see cardKey)
+   * @param {Object} filters - { source, variant, currency, from, to }
+   */
+  async getHistory(key, filters = {}) {
+    let query = supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('card_key', key);
+
+    if (filters.source) query = query.eq('source', filters.source);
+    if (filters.variant) query = query.eq('variant', filters.variant);
+    if (filters.currency) query = query.eq('currency', String(filters.currency).toUpperCase());
+    if (filters.from) query = query.gte('observed_at', filters.from);
+    if (filters.to) query = query.lt('observed_at', filters.to);
+
+    const { data, error } = await query
+      .order('observed_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error('Supabase price history error:', error);
+      throw error;
+    }
+
+    const observations = data || [];
+    return { observations, series: this.summarize(observations) };
+  }
+
+  /**
+   * First, latest, low, high and % change for each source/variant/currency series
+   */
+  summarize(observations) {
+    const series = new Map();
+
+    for (const observation of observations) {
+      const id = `${observation.source}|${observation.variant}|${observation.currency}`;
+      const price = parseFloat(observation.price);
+      const entry = series.get(id);
+
+      if (!entry) {
+        series.set(id, {
+          source: observation.source,
+          variant: observation.variant,
+          currency: observation.currency,
+          observations: 1,
+          first: price,
+          latest: price,
+          low: price,
+          high: price,
+          firstObservedAt: observation.observed_at,
+          latestObservedAt: observation.observed_at
+        });
+        continue;
+      }
+
+      entry.observations++;
+      entry.latest = price;
+      entry.low = Math.min(entry.low, price);
+      entry.high = Math.max(entry.high, price);
+      entry.latestObservedAt = observation.observed_at;
+    }
+
+    return Array.from(series.values()).map(entry => ({
+      ...entry,
+      changePercent: entry.first > 0
+        ? Math.round((entry.latest - entry.first) / entry.first * 1000) / 10
+        : null,
+      trend: entry.latest > entry.first ? 'up' : (entry.latest < entry.first ? 'down' : 'flat')
+    }));
+  }
+}
+
+/**
+ * Key for one printing of a card: normalized "name~set~number"
+ * e.g. cardKey('Pikachu', 'Base Set', '58') === 'pikachu~base-set~58'
+ */
+export function cardKey(name, setName, number) {
+  return [name, setName, number].map(slug).join('~');
+}
+
+function slug(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Create singleton instance
+const priceHistory = new PriceHistory();
+
+export default priceHistory;
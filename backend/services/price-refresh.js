@@ -0,0 +1,194 @@
+// services/price-refresh.js
+// Re-check every inventory item's market price against TCGdex and report big movers
+
+import inventoryStore from './inventory.js';
+import { fetchCardById, searchCardsByName, extractMarketQuote } from './TCGdex.js';
+import priceHistory from './price-history.js';
+import { roundMoney, languageCode } from './inventory-store.js';
+import exchangeRates from './exchange-rates.js';
+
+class PriceRefresh {
+  constructor() {
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Look up every inventory item on TCGdex and update its market_price
+   * Requests go one at a time through the TCGdex client (and its retry/backoff),
+   * with a pause between items so a large inventory doesn't trip rate limits.
+   * @param {Object} options - { moverPercent, delayMs, filters }
+   *   moverPercent: report items whose price moved at least this much (default PRICE_MOVER_PERCENT or 20)
+   *   delayMs: pause between items (default TCGDEX_REQUEST_DELAY_MS or 250)
+   *   filters: limit the run to items matching GET /api/inventory filters
+   * @returns {Promise<Object>} Run report: counts, movers and items that could not be priced
+   */
+  async refreshAll(options = {}) {
+    if (this.running) {
+      const error = new Error('A market price refresh is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    const moverPercent = options.moverPercent ?? (parseFloat(process.env.PRICE_MOVER_PERCENT) || 20);
+    const delayMs = options.delayMs ?? (parseInt(process.env.TCGDEX_REQUEST_DELAY_MS) || 250);
+
+    const report = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      moverPercent: moverPercent,
+      checked: 0,
+      updated: 0,
+      unchanged: 0,
+      notFound: [],
+      noPrice: [],
+      errors: [],
+      movers: []
+    };
+
+    this.running = true;
+    console.log('💹 Market price refresh started');
+
+    try {
+      const rates = await exchangeRates.getRateTable();
+
+      // Collect the items first: updating rows while paging through them could skip or repeat some
+      const items = [];
+      // Sealed product has no TCGdex card to look up, and a graded slab isn't worth the raw card's price
+      for await (const item of inventoryStore.iterateItems({ ...options.filters, productType: 'single', graded: false })) {
+        items.push(item);
+      }
+
+      for (const item of items) {
+        if (report.checked > 0 && delayMs > 0) {
+          await sleep(delayMs);
+        }
+
+        report.checked++;
+
+        try {
+          await this.refreshItem(item, report, rates);
+        } catch (error) {
+          console.error(`Price refresh failed for item ${item.id}:`, error);
+          report.errors.push({ id: item.id, card_name: item.card_name, error: error.message });
+        }
+      }
+    } finally {
+      this.running = false;
+      report.finishedAt = new Date().toISOString();
+      this.lastReport = report;
+    }
+
+    console.log(`💹 Market price refresh finished: ${report.updated} updated, ${report.movers.length} mover(s), ${report.notFound.length} not found`);
+    for (const mover of report.movers) {
+      console.warn(`💹 ${mover.card_name}: ${mover.oldCurrency} ${mover.oldPrice} → ${mover.currency} ${mover.newPrice} (${mover.changePercent > 0 ? '+' : ''}${mover.changePercent}%)`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Refresh one item and add the outcome to the report
+   * @param {Object} rates - From exchangeRates.getRateTable(), to compare prices that changed currency
+   */
+  async refreshItem(item, report, rates) {
+    const card = await this.findCard(item);
+    const summary = { id: item.id, card_name: item.card_name, set_name: item.set_name, card_number: item.card_number };
+
+    if (!card) {
+      report.notFound.push(summary);
+      return;
+    }
+
+    await priceHistory.recordCard(card, 'tcgdex');
+
+    const quote = extractMarketQuote(card, item.variant || 'normal');
+
+    if (quote === null) {
+      report.noPrice.push({ ...summary, tcgdex_id: card.id });
+      return;
+    }
+
+    const newPrice = quote.price;
+    const currency = quote.currency;
+    const oldCurrency = item.market_price_currency || 'USD';
+    const oldPrice = roundMoney(parseFloat(item.market_price) || 0);
+
+    await inventoryStore.updateCard(item.id, {
+      market_price: newPrice,
+      market_price_currency: currency,
+      market_price_updated_at: new Date().toISOString(),
+      tcgdex_id: card.id
+    });
+
+    if (newPrice === oldPrice && currency === oldCurrency) {
+      report.unchanged++;
+      return;
+    }
+
+    report.updated++;
+
+    // A price that switched currency is compared after converting the old one;
+    // an item with no previous (or no convertible) price counts as a mover whenever it gains one
+    const comparable = currency === oldCurrency
+      ? oldPrice
+      : exchangeRates.convert(oldPrice, oldCurrency, currency, rates);
+    const changePercent = comparable > 0
+      ? Math.round((newPrice - comparable) / comparable * 1000) / 10
+      : null;
+
+    if (changePercent === null || Math.abs(changePercent) >= report.moverPercent) {
+      report.movers.push({ ...summary, oldPrice, oldCurrency, newPrice, currency, changePercent });
+    }
+  }
+
+  /**
+   * Find the TCGdex card for an inventory item
+   * Uses the stored tcgdex_id when there is one; otherwise searches by name and
+   * picks the result with the same card number and set.
+   */
+  async findCard(item) {
+    const language = toTcgdexLanguage(item.language);
+
+    if (item.tcgdex_id) {
+      return await fetchCardById(item.tcgdex_id, language);
+    }
+
+    const results = await searchCardsByName(item.card_name, 50, language);
+    const candidates = results.filter(brief =>
+      sameText(brief.name, item.card_name) &&
+      (!item.card_number || sameText(brief.localId, item.card_number))
+    );
+
+    // Search results are briefs without set or pricing, so fetch each candidate
+    for (const brief of candidates) {
+      const card = await fetchCardById(brief.id, language);
+      if (!card) continue;
+
+      const setName = card.set && card.set.name;
+      if (!item.set_name || sameText(setName, item.set_name) || candidates.length === 1) {
+        return card;
+      }
+    }
+
+    return null;
+  }
+}
+
+function toTcgdexLanguage(language) {
+  const code = languageCode(language);
+  return code && /^[a-z]{2}(-[a-z]{2})?$/.test(code) ? code : 'en';
+}
+
+function sameText(left, right) {
+  return String(left ?? '').trim().toLowerCase() === String(right ?? '').trim().toLowerCase();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create singleton instance
+const priceRefresh = new PriceRefresh();
+
+export default priceRefresh;
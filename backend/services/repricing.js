@@ -0,0 +1,228 @@
+// services/repricing.js
+// Rule-based repricing: work out listed prices from market price, condition, rarity and cost
+// Market prices are converted into each item's listed price currency first; price
+// floors are given in the shop base currency.
+
+import inventoryStore from './inventory.js';
+import { CONDITIONS } from './inventory-import.js';
+import { roundMoney } from './inventory-store.js';
+import exchangeRates, { baseCurrency } from './exchange-rates.js';
+import { statusError } from './errors.js';
+
+export const ROUNDING_MODES = ['none', '.99', '.49/.99'];
+
+// Used for any rule the request leaves out
+export const DEFAULT_RULES = {
+  defaultPercent: 100, // % of market price for conditions without their own percentage
+  conditionPercent: {
+    'Near Mint': 100,
+    'Lightly Played': 85,
+    'Moderately Played': 70,
+    'Heavily Played': 50,
+    'Damaged': 30
+  },
+  rarityFloors: {}, // e.g. { "Rare Holo": 2.00 } in the base currency
+  minimumPrice: 0, // Floor for every card, below any rarity floor (base currency)
+  rounding: '.99',
+  neverBelowCost: true
+};
+
+class Repricing {
+  /**
+   * Show old and new listed prices for the inventory matching the filters, without writing
+   * Graded slabs are left out: their market price and condition rules are those of a raw card.
+   * @param {Object} filters - Same filters as GET /api/inventory
+   * @param {Object} rules - Overrides for DEFAULT_RULES
+   * @returns {Promise<Object>} { rules, items, summary }
+   */
+  async preview(filters = {}, rules = {}) {
+    const resolvedRules = this.resolveRules(rules);
+    const rates = await exchangeRates.getRateTable();
+    const items = [];
+
+    for await (const item of inventoryStore.iterateItems({ ...filters, graded: false })) {
+      items.push(this.priceItem(item, resolvedRules, rates));
+    }
+
+    return { rules: resolvedRules, items, summary: this.summarize(items, rates) };
+  }
+
+  /**
+   * Reprice the matching inventory and save every changed price through updateCard
+   * Prices are recalculated here rather than taken from an earlier preview, so
+   * market or cost changes since then are picked up.
+   * @param {Object} options - { user }
+   */
+  async apply(filters = {}, rules = {}, options = {}) {
+    const preview = await this.preview(filters, rules);
+    let applied = 0;
+
+    for (const line of preview.items) {
+      if (line.status !== 'change') continue;
+
+      try {
+        await inventoryStore.updateCard(line.id, { listed_price: line.newPrice }, { user: options.user });
+        applied++;
+      } catch (error) {
+        line.status = 'error';
+        line.error = error.message;
+      }
+    }
+
+    console.log(`🏷️ Repriced ${applied} item(s)`);
+    return { ...preview, summary: { ...this.summarize(preview.items, await exchangeRates.getRateTable()), applied } };
+  }
+
+  /**
+   * Work out the new listed price for one inventory item
+   * Order: % of market for its condition → rarity/minimum floor → never below cost → round up
+   * Rounding goes up to the next ending so it can never undercut a floor or the cost.
+   * @param {Object} rates - From exchangeRates.getRateTable()
+   */
+  priceItem(item, rules, rates) {
+    const currency = item.price_currency || 'USD';
+    const marketCurrency = item.market_price_currency || 'USD';
+    const marketPrice = parseFloat(item.market_price) || 0;
+    const oldPrice = roundMoney(parseFloat(item.listed_price) || 0);
+    const unitCost = item.unit_cost === null || item.unit_cost === undefined ? null : parseFloat(item.unit_cost);
+
+    const line = {
+      id: item.id,
+      card_name: item.card_name,
+      set_name: item.set_name,
+      card_number: item.card_number,
+      condition: item.condition,
+      rarity: item.rarity,
+      currency: currency,
+      market_price: marketPrice,
+      market_price_currency: marketCurrency,
+      unit_cost: unitCost,
+      stock: item.stock || 0,
+      oldPrice: oldPrice
+    };
+
+    if (marketPrice <= 0) {
+      return { ...line, newPrice: oldPrice, status: 'skipped', reason: 'No market price' };
+    }
+
+    const market = exchangeRates.convert(marketPrice, marketCurrency, currency, rates);
+    const baseFloor = Math.max(findRule(rules.rarityFloors, item.rarity) ?? 0, rules.minimumPrice);
+    const floor = exchangeRates.convert(baseFloor, baseCurrency(), currency, rates);
+
+    if (market === null || floor === null) {
+      const missing = [marketCurrency, currency, baseCurrency()].filter(code => rates[code] === undefined);
+      return { ...line, newPrice: oldPrice, status: 'skipped', reason: `No exchange rate for ${[...new Set(missing)].join(', ')}` };
+    }
+
+    const percent = findRule(rules.conditionPercent, item.condition) ?? rules.defaultPercent;
+    let price = market * percent / 100;
+    let basis = `${percent}% of market`;
+
+    if (price < floor) {
+      price = floor;
+      basis = 'price floor';
+    }
+
+    if (rules.neverBelowCost && unitCost !== null && price < unitCost) {
+      price = unitCost;
+      basis = 'cost';
+    }
+
+    const newPrice = roundPrice(price, rules.rounding);
+
+    return {
+      ...line,
+      newPrice: newPrice,
+      change: roundMoney(newPrice - oldPrice),
+      basis: basis,
+      status: newPrice === oldPrice ? 'unchanged' : 'change'
+    };
+  }
+
+  /**
+   * Merge rule overrides over DEFAULT_RULES and check them
+   */
+  resolveRules(rules = {}) {
+    const resolved = {
+      ...DEFAULT_RULES,
+      ...rules,
+      conditionPercent: { ...DEFAULT_RULES.conditionPercent, ...(rules.conditionPercent || {}) },
+      rarityFloors: { ...DEFAULT_RULES.rarityFloors, ...(rules.rarityFloors || {}) }
+    };
+
+    resolved.defaultPercent = readAmount(resolved.defaultPercent, 'defaultPercent', true);
+    resolved.minimumPrice = readAmount(resolved.minimumPrice, 'minimumPrice', false);
+    resolved.neverBelowCost = resolved.neverBelowCost !== false && resolved.neverBelowCost !== 'false';
+
+    for (const [condition, percent] of Object.entries(resolved.conditionPercent)) {
+      if (!CONDITIONS.includes(condition)) {
+        throw statusError(`Unknown condition "${condition}" (expected one of: ${CONDITIONS.join(', ')})`, 400);
+      }
+      resolved.conditionPercent[condition] = readAmount(percent, `conditionPercent["${condition}"]`, true);
+    }
+
+    for (const [rarity, floor] of Object.entries(resolved.rarityFloors)) {
+      resolved.rarityFloors[rarity] = readAmount(floor, `rarityFloors["${rarity}"]`, false);
+    }
+
+    if (!ROUNDING_MODES.includes(resolved.rounding)) {
+      throw statusError(`Rounding must be one of: ${ROUNDING_MODES.join(', ')}`, 400);
+    }
+
+    return resolved;
+  }
+
+  // valueChange is the change in inventory value, in the base currency
+  summarize(items, rates) {
+    const summary = { matched: items.length, changed: 0, unchanged: 0, skipped: 0, errors: 0, valueChange: 0, currency: baseCurrency() };
+
+    for (const line of items) {
+      if (line.status === 'change') {
+        summary.changed++;
+        summary.valueChange += exchangeRates.convert(line.change * line.stock, line.currency, baseCurrency(), rates) || 0;
+      }
+      if (line.status === 'unchanged') summary.unchanged++;
+      if (line.status === 'skipped') summary.skipped++;
+      if (line.status === 'error') summary.errors++;
+    }
+
+    summary.valueChange = roundMoney(summary.valueChange);
+    return summary;
+  }
+}
+
+// Rule lookup by condition/rarity name, ignoring case
+function findRule(rules, key) {
+  if (!key) return undefined;
+  const match = Object.keys(rules).find(name => name.toLowerCase() === String(key).toLowerCase());
+  return match === undefined ? undefined : rules[match];
+}
+
+// Round a price up to the next allowed ending (.99, or .49/.99)
+function roundPrice(price, rounding) {
+  const cents = Math.round(price * 100);
+
+  if (rounding === 'none') {
+    return cents / 100;
+  }
+
+  const endings = rounding === '.49/.99' ? [49, 99] : [99];
+  const dollars = Math.floor(cents / 100) * 100;
+  const ending = endings.find(end => dollars + end >= cents);
+  const rounded = ending === undefined ? dollars + 100 + endings[0] : dollars + ending;
+
+  return rounded / 100;
+}
+
+function readAmount(value, name, mustBePositive) {
+  const amount = Number(value);
+  if (value === null || value === '' || Number.isNaN(amount) || amount < 0 || (mustBePositive && amount === 0)) {
+    throw statusError(`${name} must be a ${mustBePositive ? 'positive' : 'non-negative'} number`, 400);
+  }
+  return amount;
+}
+
+// Create singleton instance
+const repricing = new Repricing();
+
+export default repricing;
@@ -0,0 +1,483 @@
+// services/sales.js
+// Point-of-sale checkout and refunds on top of the inventory stock methods
+
+import supabase from './supabase-client.js';
+import inventoryStore from './inventory.js';
+import { isMemoryStore } from './inventory-store-type.js';
+import { baseCurrency } from './exchange-rates.js';
+import { splitConsignedLine } from './consignments.js';
+import { availableStock, roundMoney } from './inventory-store.js';
+
+class SalesService {
+  constructor() {
+    this.tableName = 'sales';
+    // Sales kept in this process with the memory inventory store
+    this.localSales = new Map();
+    this.nextLocalId = 1;
+  }
+
+  /**
+   * Check out a cart of inventory items
+   * Every line must have enough stock before anything is decremented.
+   * All lines must be priced in the same currency, which the sale is recorded in.
+   * If a decrement or the sale insert fails, stock already taken is put back.
+   * Consigned lines are split into the shop's commission and the consignor's share;
+   * the consignor's share counts as the line's cost, so profit is the commission.
+   * Copies held for customers can't be sold, except on a line that names the hold
+   * (holdId): that line may use the held copies, and the hold is marked fulfilled.
+   * With options.storeId every item must be stocked in that store (the till's store).
+   * @param {Array<{id: number, quantity: number, holdId: number}>} cart - Inventory ids and quantities
+   * @param {Object} options - Optional sale metadata ({ note, user, storeId })
+   * @returns {Promise<Object>} Stored sale record
+   */
+  async checkout(cart, options = {}) {
+    const lines = this.mergeCartLines(cart);
+
+    // Load every item and validate stock before touching anything
+    const problems = [];
+    const saleLines = [];
+
+    for (const line of lines) {
+      const item = await inventoryStore.getItemById(line.id);
+
+      if (!item) {
+        problems.push({ id: line.id, error: 'Item not found' });
+        continue;
+      }
+
+      if (options.storeId && String(item.store_id) !== String(options.storeId)) {
+        problems.push({ id: line.id, error: 'Item is stocked in another store', storeId: item.store_id });
+        continue;
+      }
+
+      let hold = null;
+      if (line.holdId) {
+        hold = await inventoryStore.getHold(line.holdId);
+
+        if (!hold || String(hold.inventory_id) !== String(item.id)) {
+          problems.push({ id: line.id, holdId: line.holdId, error: 'Hold not found for this item' });
+          continue;
+        }
+
+        if (hold.status !== 'active' || new Date(hold.expires_at) <= new Date()) {
+          problems.push({ id: line.id, holdId: line.holdId, error: `Hold is no longer active (${hold.status === 'active' ? 'expired' : hold.status})` });
+          continue;
+        }
+      }
+
+      const available = availableStock(item) + (hold ? hold.quantity : 0);
+      if (available < line.quantity) {
+        problems.push({
+          id: line.id,
+          error: 'Insufficient stock',
+          available: available,
+          onHand: item.stock || 0,
+          requested: line.quantity
+        });
+        continue;
+      }
+
+      const unitPrice = parseFloat(item.listed_price) || 0;
+      const lineTotal = roundMoney(unitPrice * line.quantity);
+      const consignment = splitConsignedLine(item, lineTotal);
+      const unitCost = consignment
+        ? consignment.consignor_share / line.quantity
+        : item.unit_cost === null || item.unit_cost === undefined ? null : parseFloat(item.unit_cost);
+
+      saleLines.push({
+        inventory_id: item.id,
+        store_id: item.store_id ?? null,
+        hold_id: hold ? hold.id : null,
+        held_quantity: hold ? hold.quantity : 0,
+        sku: item.sku || null,
+        product_type: item.product_type || 'single',
+        upc: item.upc || null,
+        card_name: item.card_name,
+        set_name: item.set_name,
+        card_number: item.card_number,
+        condition: item.condition,
+        language: item.language,
+        variant: item.variant || 'normal',
+        grading_company: item.grading_company || null,
+        grade: item.grade ?? null,
+        cert_number: item.cert_number || null,
+        quantity: line.quantity,
+        currency: item.price_currency || 'USD',
+        unit_price: unitPrice,
+        line_total: lineTotal,
+        unit_cost: unitCost === null ? null : roundMoney(unitCost),
+        line_profit: unitCost === null ? null : roundMoney(lineTotal - unitCost * line.quantity),
+        consignor_id: consignment ? consignment.consignor_id : null,
+        commission_rate: consignment ? consignment.commission_rate : null,
+        shop_share: consignment ? consignment.shop_share : lineTotal,
+        consignor_share: consignment ? consignment.consignor_share : 0
+      });
+    }
+
+    const currencies = [...new Set(saleLines.map(line => line.currency))];
+    if (currencies.length > 1) {
+      const error = new Error(`Cart mixes currencies (${currencies.join(', ')}); check out each currency separately`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (problems.length > 0) {
+      const error = new Error('Cart cannot be fulfilled');
+      error.status = 409;
+      error.lines = problems;
+      throw error;
+    }
+
+    // Decrement all lines, undoing earlier lines if a later one fails
+    // Lines without a hold go first, while the holds still cover their held copies
+    const decremented = [];
+    try {
+      const ordered = [...saleLines].sort((a, b) => Number(Boolean(a.hold_id)) - Number(Boolean(b.hold_id)));
+
+      for (const line of ordered) {
+        await inventoryStore.decrementStock(line.inventory_id, false, line.quantity, {
+          reason: 'sale',
+          user: options.user,
+          strict: true,
+          heldAllowance: line.held_quantity
+        });
+        decremented.push(line);
+      }
+
+      // Profit only counts lines whose cost is known
+      const costedLines = saleLines.filter(line => line.unit_cost !== null);
+
+      const sale = {
+        items: saleLines,
+        item_count: saleLines.reduce((sum, line) => sum + line.quantity, 0),
+        total: roundMoney(saleLines.reduce((sum, line) => sum + line.line_total, 0)),
+        cost_total: roundMoney(costedLines.reduce((sum, line) => sum + line.line_total - line.line_profit, 0)),
+        profit: roundMoney(costedLines.reduce((sum, line) => sum + line.line_profit, 0)),
+        consignor_total: roundMoney(saleLines.reduce((sum, line) => sum + line.consignor_share, 0)),
+        currency: currencies[0] || baseCurrency(),
+        status: 'completed',
+        store_id: options.storeId || null,
+        note: options.note || null,
+        user_name: options.user || null,
+        created_at: new Date().toISOString()
+      };
+
+      const saved = await this.insertSale(sale);
+
+      console.log(`🧾 Recorded sale #${saved.id}: ${sale.item_count} item(s), total ${sale.currency} ${sale.total}`);
+      await this.fulfillHolds(saleLines, saved.id);
+      return saved;
+    } catch (error) {
+      console.error('Checkout failed, restoring stock:', error);
+      const unrestored = await this.restoreStock(decremented, {
+        reason: 'sale',
+        user: options.user,
+        note: 'Checkout rolled back'
+      });
+      if (unrestored.length > 0) {
+        console.error(`Checkout rollback left ${unrestored.length} line(s) decremented:`, unrestored);
+        error.unrestored = unrestored;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a completed sale and put its stock back
+   * Every line's item (or the item it was merged into) must still be in inventory:
+   * restore trashed items first, so the refund never promises stock it can't return.
+   * @returns {Promise<Object>} { sale, unrestored } - lines whose stock still failed to go back, if any
+   */
+  async refund(saleId, options = {}) {
+    const sale = await this.getSale(saleId);
+
+    if (!sale) {
+      const error = new Error('Sale not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (sale.status === 'refunded') {
+      const error = new Error('Sale has already been refunded');
+      error.status = 409;
+      throw error;
+    }
+
+    const missing = [];
+    for (const line of sale.items || []) {
+      const inventoryId = await inventoryStore.resolveMergedId(line.inventory_id);
+      if (!(await inventoryStore.getItemById(inventoryId))) {
+        missing.push({ id: line.inventory_id, error: 'Item is no longer in inventory (restore it from the trash first)' });
+      }
+    }
+
+    if (missing.length > 0) {
+      const error = new Error('Sale stock cannot be restored');
+      error.status = 409;
+      error.lines = missing;
+      throw error;
+    }
+
+    // Mark refunded first so a retry can never return stock twice
+    const refunded = await this.writeSale(saleId, {
+      status: 'refunded',
+      refunded_at: new Date().toISOString(),
+      refund_note: options.note || null
+    }, 'completed');
+
+    if (!refunded) {
+      const conflict = new Error('Sale has already been refunded');
+      conflict.status = 409;
+      throw conflict;
+    }
+
+    const unrestored = await this.restoreStock(sale.items || [], {
+      reason: 'refund',
+      user: options.user,
+      reference: `sale:${saleId}`
+    });
+
+    if (unrestored.length > 0) {
+      console.error(`Refund of sale #${saleId} could not restore ${unrestored.length} line(s):`, unrestored);
+    }
+
+    console.log(`↩️ Refunded sale #${saleId}`);
+    return { sale: refunded, unrestored };
+  }
+
+  /**
+   * Get a sale by ID
+   */
+  async getSale(saleId) {
+    if (isMemoryStore()) {
+      const sale = this.localSales.get(Number(saleId));
+      return sale ? { ...sale } : null;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', saleId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      console.error('Supabase get sale error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * List recent sales, newest first
+   */
+  async getSales(limit = 50) {
+    if (isMemoryStore()) {
+      return Array.from(this.localSales.values())
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(sale => ({ ...sale }));
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Supabase list sales error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Revenue, cost and realized profit for completed sales in a date range
+   * consignorShare is the part of revenue that belongs to consignors (already inside cost)
+   * @param {string} from - ISO date/time (inclusive), optional
+   * @param {string} to - ISO date/time (exclusive), optional
+   */
+  async getSummary(from, to) {
+    const data = await this.getCompletedSales(from, to);
+    const summary = { sales: 0, itemsSold: 0, revenue: 0, cost: 0, realizedProfit: 0, consignorShare: 0 };
+
+    for (const sale of data || []) {
+      summary.sales++;
+      summary.itemsSold += sale.item_count || 0;
+      summary.revenue += parseFloat(sale.total) || 0;
+      summary.cost += parseFloat(sale.cost_total) || 0;
+      summary.realizedProfit += parseFloat(sale.profit) || 0;
+      summary.consignorShare += parseFloat(sale.consignor_total) || 0;
+    }
+
+    summary.revenue = roundMoney(summary.revenue);
+    summary.cost = roundMoney(summary.cost);
+    summary.realizedProfit = roundMoney(summary.realizedProfit);
+    summary.consignorShare = roundMoney(summary.consignorShare);
+
+    return summary;
+  }
+
+  /**
+   * Completed sales in a date range (see getSummary)
+   */
+  async getCompletedSales(from, to) {
+    if (isMemoryStore()) {
+      return Array.from(this.localSales.values()).filter(sale =>
+        sale.status === 'completed' &&
+        (!from || new Date(sale.created_at) >= new Date(from)) &&
+        (!to || new Date(sale.created_at) < new Date(to))
+      );
+    }
+
+    let query = supabase
+      .from(this.tableName)
+      .select('total, cost_total, profit, item_count, consignor_total')
+      .eq('status', 'completed');
+
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lt('created_at', to);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase sales summary error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  async insertSale(sale) {
+    if (isMemoryStore()) {
+      const saved = { id: this.nextLocalId++, ...sale, refunded_at: null, refund_note: null };
+      this.localSales.set(saved.id, saved);
+      return { ...saved };
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .insert([sale])
+      .select();
+
+    if (error) {
+      console.error('Supabase insert sale error:', error);
+      throw error;
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Update a sale only while it still has the expected status
+   * @returns {Promise<Object|null>} Updated sale, or null if its status had changed
+   */
+  async writeSale(id, updates, expectedStatus) {
+    if (isMemoryStore()) {
+      const sale = this.localSales.get(Number(id));
+      if (!sale || sale.status !== expectedStatus) {
+        return null;
+      }
+      Object.assign(sale, updates);
+      return { ...sale };
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .update(updates)
+      .eq('id', id)
+      .eq('status', expectedStatus)
+      .select();
+
+    if (error) {
+      console.error('Supabase update sale error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Normalize cart input: validate quantities and combine repeated ids
+   */
+  mergeCartLines(cart) {
+    if (!Array.isArray(cart) || cart.length === 0) {
+      const error = new Error('Cart must contain at least one item');
+      error.status = 400;
+      throw error;
+    }
+
+    const merged = new Map();
+
+    for (const line of cart) {
+      const id = line && line.id;
+      const holdId = (line && line.holdId) || null;
+      const quantity = line && line.quantity !== undefined ? Number(line.quantity) : 1;
+
+      if (id === undefined || id === null || id === '') {
+        const error = new Error('Every cart line needs an inventory id');
+        error.status = 400;
+        throw error;
+      }
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        const error = new Error(`Invalid quantity for item ${id}`);
+        error.status = 400;
+        throw error;
+      }
+
+      const key = `${id}:${holdId || ''}`;
+      const existing = merged.get(key);
+      merged.set(key, { id, holdId, quantity: (existing ? existing.quantity : 0) + quantity });
+    }
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Close the holds a sale was for
+   * The sale is already recorded, so a failure here is logged rather than thrown;
+   * an unreleased hold still expires on its own.
+   */
+  async fulfillHolds(lines, saleId) {
+    for (const line of lines) {
+      if (!line.hold_id) continue;
+      try {
+        await inventoryStore.releaseHold(line.hold_id, 'fulfilled', saleId);
+      } catch (error) {
+        console.error(`Failed to mark hold #${line.hold_id} fulfilled:`, error);
+      }
+    }
+  }
+
+  /**
+   * Put stock back for sale lines (used by refunds and failed checkouts)
+   * @returns {Promise<Array<Object>>} Lines whose stock could not be put back: [{ inventory_id, quantity, error }]
+   */
+  async restoreStock(lines, context = {}) {
+    const unrestored = [];
+
+    for (const line of lines) {
+      try {
+        // An item merged into another since the sale gets its copies back on that one
+        const inventoryId = await inventoryStore.resolveMergedId(line.inventory_id);
+        await inventoryStore.incrementStock(inventoryId, line.quantity, context);
+      } catch (error) {
+        console.error(`Failed to restore stock for item ${line.inventory_id}:`, error);
+        unrestored.push({ inventory_id: line.inventory_id, quantity: line.quantity, error: error.message });
+      }
+    }
+
+    return unrestored;
+  }
+}
+
+// Create singleton instance
+const salesService = new SalesService();
+
+export default salesService;
@@ -0,0 +1,90 @@
+// services/stock-movements.js
+// Append-only ledger of every stock change made through SupabaseInventory
+
+import supabase from './supabase-client.js';
+
+export const MOVEMENT_REASONS = [
+  'scan-in',
+  'sale',
+  'refund',
+  'manual-adjust',
+  'stocktake',
+  'removal',
+  'restore',
+  'transfer',
+  'merge'
+];
+
+class StockMovements {
+  constructor() {
+    this.tableName = 'stock_movements';
+  }
+
+  /**
+   * Record a single stock movement
+   * A failed write is logged rather than thrown: the stock change it describes
+   * has already happened and the caller should still see it succeed.
+   * @param {Object} movement - { inventoryId, delta, stockAfter, reason, user, note, reference }
+   * @returns {Promise<Object|null>} Stored movement, or null if nothing was recorded
+   */
+  async record(movement) {
+    if (!movement.delta) {
+      return null;
+    }
+
+    const reason = MOVEMENT_REASONS.includes(movement.reason) ? movement.reason : 'manual-adjust';
+
+    const entry = {
+      inventory_id: movement.inventoryId,
+      delta: movement.delta,
+      stock_after: movement.stockAfter ?? null,
+      reason: reason,
+      user_name: movement.user || null,
+      note: movement.note || null,
+      reference: movement.reference || null,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([entry])
+        .select();
+
+      if (error) {
+        console.error('Supabase insert movement error:', error);
+        return null;
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the movement history for an inventory item, oldest first
+   */
+  async getHistory(inventoryId) {
+    // Several ids give one combined history (an item and the duplicates merged into it)
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .in('inventory_id', [].concat(inventoryId))
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error('Supabase movement history error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+}
+
+// Create singleton instance
+const stockMovements = new StockMovements();
+
+export default stockMovements;
@@ -0,0 +1,194 @@
+// services/stock-thresholds.js
+// Reorder thresholds (per item, set, rarity or shop default) and low-stock alerts
+
+import axios from 'axios';
+import supabase from './supabase-client.js';
+import { statusError } from './errors.js';
+
+export const THRESHOLD_SCOPES = ['set', 'rarity', 'default'];
+
+class StockThresholds {
+  constructor() {
+    this.tableName = 'stock_thresholds';
+    this.listeners = [];
+  }
+
+  /**
+   * List the set, rarity and default thresholds
+   */
+  async getAll() {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .order('scope', { ascending: true })
+      .order('value', { ascending: true });
+
+    if (error) {
+      console.error('Supabase list thresholds error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Create or replace the threshold for a set, a rarity or the shop default
+   * @param {string} scope - 'set', 'rarity' or 'default'
+   * @param {string} value - Set name or rarity (ignored for 'default')
+   * @param {number} threshold - Reorder when stock is at or below this
+   */
+  async setThreshold(scope, value, threshold) {
+    const key = scope === 'default' ? '' : String(value || '').trim();
+
+    if (scope !== 'default' && !key) {
+      throw statusError(`A ${scope} threshold needs a value`, 400);
+    }
+
+    const existing = await this.find(scope, key);
+    const row = { scope, value: key, threshold, updated_at: new Date().toISOString() };
+
+    const query = existing
+      ? supabase.from(this.tableName).update(row).eq('id', existing.id)
+      : supabase.from(this.tableName).insert([row]);
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      console.error('Supabase save threshold error:', error);
+      throw error;
+    }
+
+    console.log(`🔔 Reorder threshold for ${scope}${key ? ` "${key}"` : ''} set to ${threshold}`);
+    return data[0];
+  }
+
+  /**
+   * Remove a threshold by ID
+   */
+  async removeThreshold(id) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('Supabase delete threshold error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Find a threshold row by scope and (case-insensitive) value
+   */
+  async find(scope, value) {
+    let query = supabase.from(this.tableName).select('*').eq('scope', scope);
+    query = value ? query.ilike('value', value) : query.eq('value', '');
+
+    const { data, error } = await query.limit(1);
+
+    if (error) {
+      console.error('Supabase find threshold error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Effective reorder threshold for one inventory item
+   */
+  async getEffectiveThreshold(inventoryId) {
+    const { data, error } = await supabase
+      .from('inventory_reorder_levels')
+      .select('effective_threshold')
+      .eq('id', inventoryId)
+      .single();
+
+    if (error) {
+      console.error('Supabase effective threshold error:', error);
+      throw error;
+    }
+
+    return data.effective_threshold;
+  }
+
+  /**
+   * Items at or below their reorder threshold, most urgent first
+   */
+  async getLowStockItems(includeOutOfStock = true) {
+    const { data, error } = await supabase.rpc('low_stock_items', {
+      p_include_out_of_stock: includeOutOfStock
+    });
+
+    if (error) {
+      console.error('Supabase low stock report error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Register a listener called when a sale takes an item to or below its threshold
+   * @param {Function} listener - async (alert) => void, alert = { item, previousStock, stock, threshold }
+   */
+  onLowStock(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Fire low-stock listeners if stock just crossed the item's threshold
+   * Listener failures are logged and never bubble up to the sale
+   * @param {Object} item - Inventory row after the stock change
+   * @param {number} previousStock - Stock before the change
+   * @param {number} [threshold] - Effective threshold, when the caller already knows it
+   */
+  async checkThresholdCrossed(item, previousStock, threshold = null) {
+    try {
+      const stock = item.stock || 0;
+      threshold = threshold ?? await this.getEffectiveThreshold(item.id);
+
+      if (!(previousStock > threshold && stock <= threshold)) {
+        return null;
+      }
+
+      const alert = { item, previousStock, stock, threshold, at: new Date().toISOString() };
+
+      for (const listener of this.listeners) {
+        try {
+          await listener(alert);
+        } catch (error) {
+          console.error('Low stock listener failed:', error);
+        }
+      }
+
+      return alert;
+    } catch (error) {
+      console.error('Error checking low stock threshold:', error);
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const stockThresholds = new StockThresholds();
+
+// Always log alerts to the console
+stockThresholds.onLowStock(alert => {
+  console.warn(`🔔 Low stock: ${alert.item.card_name} (Stock: ${alert.stock}, threshold: ${alert.threshold})`);
+});
+
+// Optionally forward alerts to a webhook (Slack, Discord, Zapier, ...)
+if (process.env.LOW_STOCK_WEBHOOK_URL) {
+  stockThresholds.onLowStock(async alert => {
+    await axios.post(process.env.LOW_STOCK_WEBHOOK_URL, {
+      event: 'inventory.low_stock',
+      ...alert
+    }, { timeout: 5000 });
+  });
+}
+
+export default stockThresholds;
@@ -0,0 +1,330 @@
+// services/stores.js
+// Stores (the shop, event booths, ...) that inventory is stocked in
+
+import supabase from './supabase-client.js';
+import { isMemoryStore } from './inventory-store-type.js';
+import { statusError } from './errors.js';
+
+export const STORE_TYPES = ['shop', 'event', 'warehouse', 'online'];
+
+// Postgres error codes raised by store writes
+const ERROR_STATUS = {
+  '23505': 409, // name already taken
+  '23503': 409  // store still has inventory or transfers
+};
+
+class Stores {
+  constructor() {
+    this.tableName = 'stores';
+    // Stores kept in this process with the memory inventory store,
+    // starting with the same default store the migration creates
+    this.localStores = new Map([[1, {
+      id: 1,
+      name: 'Main store',
+      type: 'shop',
+      address: null,
+      notes: null,
+      is_default: true,
+      created_at: new Date().toISOString(),
+      updated_at: null
+    }]]);
+    this.nextLocalId = 2;
+  }
+
+  /**
+   * List all stores, the default store first
+   */
+  async getAll() {
+    if (isMemoryStore()) {
+      return Array.from(this.localStores.values())
+        .sort((a, b) => Number(b.is_default) - Number(a.is_default) || a.name.localeCompare(b.name))
+        .map(store => ({ ...store }));
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .order('is_default', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Supabase list stores error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a store by ID
+   */
+  async getById(id) {
+    if (isMemoryStore()) {
+      const store = this.localStores.get(Number(id));
+      return store ? { ...store } : null;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return null;
+      }
+      console.error('Supabase get store error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * The store new inventory goes to when none is given
+   */
+  async getDefault() {
+    if (isMemoryStore()) {
+      const store = Array.from(this.localStores.values()).find(entry => entry.is_default);
+      return store ? { ...store } : null;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('is_default', true)
+      .limit(1);
+
+    if (error) {
+      console.error('Supabase get default store error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Resolve the store an inventory write is for
+   * @param {number|string} storeId - Store ID; blank means the default store
+   * @returns {Promise<number>} ID of an existing store
+   */
+  async readStoreId(storeId) {
+    if (storeId === undefined || storeId === null || storeId === '') {
+      const store = await this.getDefault();
+      if (!store) {
+        throw statusError('No default store is set; choose a store', 400);
+      }
+      return store.id;
+    }
+
+    const store = await this.getById(storeId);
+    if (!store) {
+      throw statusError(`Store ${storeId} not found`, 400);
+    }
+    return store.id;
+  }
+
+  /**
+   * Create a store
+   * @param {Object} store - { name, type, address, notes, is_default }
+   */
+  async create(store) {
+    const { is_default: makeDefault, ...row } = this.validate(store, true);
+    let saved;
+
+    if (isMemoryStore()) {
+      this.assertNameFree(row.name);
+      saved = {
+        id: this.nextLocalId++,
+        name: row.name,
+        type: row.type || 'shop',
+        address: row.address ?? null,
+        notes: row.notes ?? null,
+        is_default: false,
+        created_at: new Date().toISOString(),
+        updated_at: null
+      };
+      this.localStores.set(saved.id, saved);
+      saved = { ...saved };
+    } else {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([{ ...row, created_at: new Date().toISOString() }])
+        .select();
+
+      if (error) {
+        console.error('Supabase insert store error:', error);
+        throw withStatus(error, `A store named "${row.name}" already exists`);
+      }
+
+      saved = data[0];
+    }
+
+    console.log(`🏬 Created store: ${saved.name} (${saved.type})`);
+    // Only takes the default over once the store exists
+    return makeDefault ? await this.update(saved.id, { is_default: true }) : saved;
+  }
+
+  /**
+   * Update a store; is_default: true makes it the default store
+   * (the default can only be moved to another store, not switched off)
+   */
+  async update(id, updates) {
+    const row = this.validate(updates, false);
+
+    if (row.is_default === false) {
+      throw statusError('Make another store the default instead', 400);
+    }
+
+    const existing = await this.getById(id);
+    if (!existing) {
+      return null;
+    }
+
+    if (isMemoryStore() && row.name) {
+      this.assertNameFree(row.name, existing.id);
+    }
+
+    if (row.is_default) {
+      await this.clearDefault(id);
+    }
+
+    if (isMemoryStore()) {
+      const store = this.localStores.get(existing.id);
+      Object.assign(store, row, { updated_at: new Date().toISOString() });
+      return { ...store };
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('Supabase update store error:', error);
+      throw withStatus(error, `A store named "${row.name}" already exists`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Delete a store with no inventory or transfers (the default store can't be deleted)
+   */
+  async remove(id) {
+    const store = await this.getById(id);
+    if (!store) {
+      return null;
+    }
+
+    if (store.is_default) {
+      throw statusError('The default store cannot be deleted; make another store the default first', 409);
+    }
+
+    if (isMemoryStore()) {
+      this.localStores.delete(store.id);
+      return store;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      console.error('Supabase delete store error:', error);
+      throw withStatus(error, 'Store still has inventory or transfers');
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Unset the current default store (before another one becomes the default)
+   */
+  async clearDefault(exceptId = null) {
+    if (isMemoryStore()) {
+      for (const store of this.localStores.values()) {
+        if (String(store.id) !== String(exceptId)) store.is_default = false;
+      }
+      return;
+    }
+
+    let query = supabase
+      .from(this.tableName)
+      .update({ is_default: false, updated_at: new Date().toISOString() })
+      .eq('is_default', true);
+
+    if (exceptId !== null) {
+      query = query.neq('id', exceptId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('Supabase clear default store error:', error);
+      throw error;
+    }
+  }
+
+  // Same rule as the unique stores_name_idx index
+  assertNameFree(name, exceptId = null) {
+    const taken = Array.from(this.localStores.values())
+      .some(store => store.name.toLowerCase() === name.toLowerCase() && store.id !== exceptId);
+
+    if (taken) {
+      throw statusError(`A store named "${name}" already exists`, 409);
+    }
+  }
+
+  /**
+   * Pick the writable store fields and check them
+   */
+  validate(input, requireName) {
+    const row = {};
+
+    if (input.name !== undefined || requireName) {
+      if (!input.name || !String(input.name).trim()) {
+        throw statusError('Store name is required', 400);
+      }
+      row.name = String(input.name).trim();
+    }
+
+    if (input.type !== undefined) {
+      if (!STORE_TYPES.includes(input.type)) {
+        throw statusError(`Store type must be one of: ${STORE_TYPES.join(', ')}`, 400);
+      }
+      row.type = input.type;
+    }
+
+    if (input.address !== undefined) {
+      row.address = input.address || null;
+    }
+
+    if (input.notes !== undefined) {
+      row.notes = input.notes || null;
+    }
+
+    if (input.is_default !== undefined) {
+      row.is_default = Boolean(input.is_default);
+    }
+
+    return row;
+  }
+}
+
+function withStatus(error, message) {
+  const status = ERROR_STATUS[error.code];
+  if (!status) {
+    return error;
+  }
+  return statusError(message && status === 409 ? message : error.message, status);
+}
+
+// Create singleton instance
+const stores = new Stores();
+
+export default stores;
@@ -0,0 +1,58 @@
+// services/supabase-client.js
+// Shared Supabase client used by the inventory and sales services
+// The client is created on first use, so the server can start with the
+// memory inventory store (INVENTORY_STORE=memory) and no Supabase credentials.
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+// Make sure dotenv is loaded
+dotenv.config();
+
+let client = null;
+
+/**
+ * Whether SUPABASE_URL and a key are configured
+ */
+export function hasSupabaseCredentials() {
+  return Boolean(process.env.SUPABASE_URL && (process.env.SUPABASE_KEY || process.env.SUPABASE_ANON_KEY));
+}
+
+/**
+ * Get the Supabase client, creating it the first time
+ * Throws when the credentials are missing
+ */
+export function getSupabaseClient() {
+  if (client) {
+    return client;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_KEY || process.env.SUPABASE_ANON_KEY;
+
+  console.log('🔍 Checking Supabase credentials...');
+  console.log('SUPABASE_URL:', supabaseUrl ? '✅ Found' : '❌ Missing');
+  console.log('SUPABASE_KEY:', supabaseKey ? '✅ Found' : '❌ Missing');
+
+  if (!supabaseUrl || !supabaseKey) {
+    console.error('⚠️ Supabase credentials missing!');
+    console.error('Please set SUPABASE_URL and SUPABASE_KEY in your .env file');
+    throw new Error('Supabase credentials are required');
+  }
+
+  client = createClient(supabaseUrl, supabaseKey);
+  console.log('✅ Supabase client initialized successfully');
+
+  return client;
+}
+
+// Stands in for the client so services can keep calling supabase.from(...) / supabase.rpc(...)
+const supabase = new Proxy({}, {
+  get(target, property) {
+    const instance = getSupabaseClient();
+    const value = instance[property];
+    return typeof value === 'function' ? value.bind(instance) : value;
+  }
+});
+
+export default supabase;
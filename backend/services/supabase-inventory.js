@@ -1,30 +1,17 @@
 // services/supabase-inventory.js
 // Supabase inventory storage with stock management
 
-import { createClient } from '@supabase/supabase-js';
-import dotenv from 'dotenv';
-
-// Make sure dotenv is loaded
-dotenv.config();
-
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY || process.env.SUPABASE_ANON_KEY;
-
-console.log('🔍 Checking Supabase credentials...');
-console.log('SUPABASE_URL:', supabaseUrl ? '✅ Found' : '❌ Missing');
-console.log('SUPABASE_KEY:', supabaseKey ? '✅ Found' : '❌ Missing');
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error('⚠️ Supabase credentials missing!');
-  console.error('Please set SUPABASE_URL and SUPABASE_KEY in your .env file');
-  throw new Error('Supabase credentials are required');
-}
-
-const supabase = createClient(supabaseUrl, supabaseKey);
-console.log('✅ Supabase client initialized successfully');
-
-class SupabaseInventory {
+import supabase from './supabase-client.js';
+import stockMovements from './stock-movements.js';
+import locations from './locations.js';
+import stores from './stores.js';
+import stockThresholds from './stock-thresholds.js';
+import { InventoryStore, PRODUCT_TYPES, parseCost, roundMoney, availableStock } from './inventory-store.js';
+import { baseCurrency } from './exchange-rates.js';
+
+export class SupabaseInventory extends InventoryStore {
   constructor() {
+    super('supabase');
     this.tableName = 'inventory'; // Your Supabase table name
   }
 
@@ -32,85 +19,102 @@ class SupabaseInventory {
    * Add a card to inventory in Supabase
    * If card already exists (same name, set, number, condition, language), increment stock
    * Otherwise, create new entry with stock = 1
+   * Both cases run atomically in the add_inventory_card database function
+   * cardData.quantity adds several copies at once (defaults to 1)
+   * cardData.locationId puts the new copies in that storage location
+   * cardData.unitCost is what we paid per copy; it is averaged into the item's unit_cost
+   * cardData.grading ({ company, grade, certNumber }) adds a graded slab instead of a raw card
+   * cardData.storeId is the store receiving the copies (the default store when not given)
+   * @param {Object} context - Optional movement context ({ user, note })
    */
-  async addCard(cardData) {
+  async addCard(cardData, context = {}) {
     try {
-      // Check if this exact card already exists
-      const existingCard = await this.findExactCard(
-        cardData.card.name,
-        cardData.card.set_name,
-        cardData.card.number,
-        cardData.condition,
-        cardData.language
-      );
+      const quantity = cardData.quantity || 1;
 
-      if (existingCard) {
-        // Card exists - increment stock
-        const newStock = (existingCard.stock || 0) + 1;
-        const { data, error } = await supabase
-          .from(this.tableName)
-          .update({ 
-            stock: newStock,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existingCard.id)
-          .select();
-
-        if (error) {
-          console.error('Supabase update stock error:', error);
-          throw error;
-        }
+      const storeId = await stores.readStoreId(cardData.storeId);
+      const item = this.buildItem({ ...cardData, storeId });
+      await this.assertCertAvailable(item);
 
-        console.log(`✅ Incremented stock for: ${existingCard.card_name} (Stock: ${existingCard.stock} → ${newStock})`);
-        return data[0];
+      // Merge-or-insert runs as one locked database call so concurrent scans
+      // of the same card can't both insert or lose an increment
+      const { data, error } = await supabase.rpc('add_inventory_card', {
+        p_item: item,
+        p_match: this.getMatchFields(item),
+        p_quantity: quantity
+      });
+
+      if (error) {
+        console.error('Supabase add card error:', error);
+        throw error;
       }
 
-      // Card doesn't exist - create new entry
-      const item = {
-        card_name: cardData.card.name,
-        set_name: cardData.card.set_name || null,
-        card_number: cardData.card.number || null,
-        rarity: cardData.card.rarity || null,
-        image_url: cardData.card.image_url || null,
-        market_price: cardData.card.price ? (cardData.card.price / 100) : 0, // Convert cents to dollars
-        listed_price: cardData.card.listedPrice || 0, // Already in dollars
-        condition: cardData.condition,
-        language: cardData.language,
-        source: cardData.card.source || 'unknown',
-        availability: true,
-        added_at: new Date().toISOString(),
-        stock: 1
-      };
+      const savedItem = data.item;
 
-      const { data, error } = await supabase
-        .from(this.tableName)
-        .insert([item])
-        .select();
+      if (data.created) {
+        console.log(`✅ Added new card to Supabase: ${savedItem.card_name} (Stock: ${savedItem.stock})`);
+      } else {
+        console.log(`✅ Incremented stock for: ${savedItem.card_name} (Stock: ${savedItem.stock - quantity} → ${savedItem.stock})`);
+      }
 
-      if (error) {
-        console.error('Supabase insert error:', error);
-        throw error;
+      await this.recordMovement(savedItem.id, quantity, savedItem.stock, 'scan-in', context);
+
+      // Merged copies land in the item's home location; move them if they were shelved elsewhere
+      if (cardData.locationId && String(cardData.locationId) !== String(savedItem.location_id)) {
+        await locations.moveStock(savedItem.id, null, cardData.locationId, quantity);
       }
 
-      console.log(`✅ Added new card to Supabase: ${item.card_name} (Stock: 1)`);
-      return data[0];
+      return savedItem;
     } catch (error) {
       console.error('Error adding card to Supabase:', error);
       throw error;
     }
   }
 
+  /**
+   * The row addCard would merge these match fields into (see getMatchFields), or null
+   * Uses the same lookup as add_inventory_card, so a preview can't disagree with the write
+   */
+  async findMatchingItem(match) {
+    const { data, error } = await supabase.rpc('find_inventory_match', { p_match: match });
+
+    if (error) {
+      console.error('Supabase find matching item error:', error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
   /**
    * Find exact card match (name + set + number + condition + language)
+   * Pass grading ({ company, grade, certNumber }) to find a graded item; without it only raw items match
+   * Pass storeId to only look in that store's stock
    */
-  async findExactCard(cardName, setName, cardNumber, condition, language) {
+  async findExactCard(cardName, setName, cardNumber, condition, language, grading = null, variant = 'normal', storeId = null) {
     try {
       let query = supabase
         .from(this.tableName)
         .select('*')
+        .is('deleted_at', null)
         .ilike('card_name', cardName)
-        .eq('condition', condition)
-        .eq('language', language);
+        .eq('language', language)
+        .eq('product_type', 'single')
+        .eq('variant', variant || 'normal')
+        .is('consignor_id', null); // Consigned copies are never the shop's own stock
+
+      if (grading) {
+        query = query
+          .eq('grading_company', grading.company)
+          .eq('grade', grading.grade);
+
+        if (grading.certNumber) {
+          query = query.eq('cert_number', grading.certNumber);
+        }
+      } else {
+        query = query
+          .is('grading_company', null)
+          .eq('condition', condition);
+      }
 
       if (setName) {
         query = query.ilike('set_name', setName);
@@ -120,6 +124,10 @@ class SupabaseInventory {
         query = query.eq('card_number', cardNumber);
       }
 
+      if (storeId) {
+        query = query.eq('store_id', storeId);
+      }
+
       const { data, error } = await query.limit(1).single();
 
       if (error) {
@@ -139,65 +147,64 @@ class SupabaseInventory {
   }
 
   /**
-   * Decrease stock by 1 (when card is sold)
+   * Decrease stock by a specified amount (when card is sold, defaults to 1)
    * If stock reaches 0, optionally mark as unavailable or delete
+   * @param {Object} context - Optional movement context ({ reason, user, note, reference }), reason defaults to 'sale'.
+   *   Pass strict: true to throw instead of returning the card unchanged when its stock is already 0.
    */
-  async decrementStock(id, deleteWhenZero = false) {
+  async decrementStock(id, deleteWhenZero = false, quantity = 1, context = {}) {
     try {
-      // Get current card
-      const { data: currentCard, error: fetchError } = await supabase
-        .from(this.tableName)
-        .select('*')
-        .eq('id', id)
-        .single();
+      // Take the stock in one conditional update so concurrent sales can't oversell
+      // context.heldAllowance (sales) keeps copies held for customers out of reach
+      const { data, error } = await supabase.rpc('adjust_inventory_stock', {
+        p_id: id,
+        p_delta: -quantity,
+        p_held_allowance: context.heldAllowance ?? null
+      });
 
-      if (fetchError || !currentCard) {
-        console.error('Card not found:', fetchError);
-        throw new Error('Card not found');
-      }
+      if (error) throw error;
+
+      if (!data || data.length === 0) {
+        // Nothing changed - work out whether the card is missing or short on stock
+        const currentCard = await this.getItemById(id);
+
+        if (!currentCard) {
+          console.error('Card not found:', id);
+          throw new Error('Card not found');
+        }
 
-      const currentStock = currentCard.stock || 0;
-      
-      if (currentStock <= 0) {
-        console.warn(`⚠️ Cannot decrement - stock already at 0 for card: ${currentCard.card_name}`);
-        return currentCard;
+        const currentStock = currentCard.stock || 0;
+
+        if (currentStock <= 0 && !context.strict) {
+          console.warn(`⚠️ Cannot decrement - stock already at 0 for card: ${currentCard.card_name}`);
+          return currentCard;
+        }
+
+        if (context.heldAllowance !== undefined && currentStock >= quantity) {
+          throw new Error(`Insufficient available stock for ${currentCard.card_name} (Stock: ${currentStock}, held: ${currentCard.held_stock}, requested: ${quantity})`);
+        }
+
+        throw new Error(`Insufficient stock for ${currentCard.card_name} (Stock: ${currentStock}, requested: ${quantity})`);
       }
 
-      const newStock = currentStock - 1;
+      const updatedCard = data[0];
+      const newStock = updatedCard.stock || 0;
+      const movementContext = { reason: 'sale', ...context };
+
+      await this.recordMovement(id, -quantity, newStock, movementContext.reason, movementContext);
+      await stockThresholds.checkThresholdCrossed(updatedCard, newStock + quantity);
 
       if (newStock === 0 && deleteWhenZero) {
         // Delete the card entirely
-        return await this.removeCard(id);
+        return await this.removeCard(id, movementContext);
       } else if (newStock === 0) {
-        // Mark as unavailable but keep in database
-        const { data, error } = await supabase
-          .from(this.tableName)
-          .update({ 
-            stock: 0,
-            availability: false,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', id)
-          .select();
-
-        if (error) throw error;
-        console.log(`📉 Stock depleted for: ${currentCard.card_name} (marked unavailable)`);
-        return data[0];
+        // Marked unavailable by the database function, but kept in the table
+        console.log(`📉 Stock depleted for: ${updatedCard.card_name} (marked unavailable)`);
       } else {
-        // Just decrease stock
-        const { data, error } = await supabase
-          .from(this.tableName)
-          .update({ 
-            stock: newStock,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', id)
-          .select();
-
-        if (error) throw error;
-        console.log(`📉 Decremented stock for: ${currentCard.card_name} (Stock: ${currentStock} → ${newStock})`);
-        return data[0];
+        console.log(`📉 Decremented stock for: ${updatedCard.card_name} (Stock: ${newStock + quantity} → ${newStock})`);
       }
+
+      return updatedCard;
     } catch (error) {
       console.error('Error decrementing stock:', error);
       throw error;
@@ -205,36 +212,62 @@ class SupabaseInventory {
   }
 
   /**
-   * Increase stock by a specified amount
+   * Get a single inventory item by ID
+   * Items in the trash are only returned when includeDeleted is true
    */
-  async incrementStock(id, quantity = 1) {
+  async getItemById(id, includeDeleted = false) {
     try {
-      const { data: currentCard, error: fetchError } = await supabase
+      let query = supabase
         .from(this.tableName)
         .select('*')
-        .eq('id', id)
-        .single();
+        .eq('id', id);
 
-      if (fetchError || !currentCard) {
-        throw new Error('Card not found');
+      if (!includeDeleted) {
+        query = query.is('deleted_at', null);
       }
 
-      const currentStock = currentCard.stock || 0;
-      const newStock = currentStock + quantity;
+      const { data, error } = await query.single();
 
-      const { data, error } = await supabase
-        .from(this.tableName)
-        .update({ 
-          stock: newStock,
-          availability: true, // Make available again if it was unavailable
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id)
-        .select();
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Supabase get item error:', error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error getting item from Supabase:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Increase stock by a specified amount
+   * @param {Object} context - Optional movement context ({ reason, user, note, reference }), reason defaults to 'manual-adjust'.
+   *   context.unitCost is the price paid per new copy, averaged into the item's unit_cost.
+   */
+  async incrementStock(id, quantity = 1, context = {}) {
+    try {
+      const { data, error } = await supabase.rpc('adjust_inventory_stock', {
+        p_id: id,
+        p_delta: quantity,
+        p_unit_cost: parseCost(context.unitCost)
+      });
 
       if (error) throw error;
-      console.log(`📈 Incremented stock for: ${currentCard.card_name} (Stock: ${currentStock} → ${newStock})`);
-      return data[0];
+
+      if (!data || data.length === 0) {
+        throw new Error('Card not found');
+      }
+
+      const updatedCard = data[0];
+      const newStock = updatedCard.stock || 0;
+
+      console.log(`📈 Incremented stock for: ${updatedCard.card_name} (Stock: ${newStock - quantity} → ${newStock})`);
+      await this.recordMovement(id, quantity, newStock, context.reason || 'manual-adjust', context);
+      return updatedCard;
     } catch (error) {
       console.error('Error incrementing stock:', error);
       throw error;
@@ -243,32 +276,34 @@ class SupabaseInventory {
 
   /**
    * Set stock to a specific value
+   * @param {Object} context - Optional movement context ({ reason, user, note }), reason defaults to 'stocktake'
    */
-  async setStock(id, quantity) {
+  async setStock(id, quantity, context = {}) {
     try {
-      const { data: currentCard, error: fetchError } = await supabase
-        .from(this.tableName)
-        .select('*')
-        .eq('id', id)
-        .single();
+      const { data, error } = await supabase.rpc('set_inventory_stock', {
+        p_id: id,
+        p_stock: quantity
+      });
+
+      if (error) {
+        if (error.code === '22023') {
+          const conflict = new Error(error.message);
+          conflict.status = 409;
+          throw conflict;
+        }
+        throw error;
+      }
 
-      if (fetchError || !currentCard) {
+      if (!data) {
         throw new Error('Card not found');
       }
 
-      const { data, error } = await supabase
-        .from(this.tableName)
-        .update({ 
-          stock: quantity,
-          availability: quantity > 0,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id)
-        .select();
+      const updatedCard = data.item;
+      const previousStock = data.previous_stock || 0;
 
-      if (error) throw error;
-      console.log(`🔢 Set stock for: ${currentCard.card_name} (Stock: ${currentCard.stock} → ${quantity})`);
-      return data[0];
+      console.log(`🔢 Set stock for: ${updatedCard.card_name} (Stock: ${previousStock} → ${quantity})`);
+      await this.recordMovement(id, quantity - previousStock, quantity, context.reason || 'stocktake', context);
+      return updatedCard;
     } catch (error) {
       console.error('Error setting stock:', error);
       throw error;
@@ -282,7 +317,8 @@ class SupabaseInventory {
     try {
       const { data, error } = await supabase
         .from(this.tableName)
-        .select('stock');
+        .select('stock')
+        .is('deleted_at', null);
 
       if (error) throw error;
 
@@ -302,6 +338,7 @@ class SupabaseInventory {
       let query = supabase
         .from(this.tableName)
         .select('id', { count: 'exact', head: true })
+        .is('deleted_at', null)
         .ilike('card_name', cardName);
 
       // Match by set name if provided
@@ -335,7 +372,8 @@ class SupabaseInventory {
     try {
       let query = supabase
         .from(this.tableName)
-        .select('stock')
+        .select('stock, held_stock')
+        .is('deleted_at', null)
         .ilike('card_name', cardName);
 
       if (setName) {
@@ -350,11 +388,13 @@ class SupabaseInventory {
 
       if (error) throw error;
 
-      const totalStock = data.reduce((sum, item) => sum + (item.stock || 0), 0);
-      return totalStock;
+      return {
+        onHand: data.reduce((sum, item) => sum + (item.stock || 0), 0),
+        available: data.reduce((sum, item) => sum + availableStock(item), 0)
+      };
     } catch (error) {
       console.error('Error getting card stock:', error);
-      return 0;
+      return { onHand: 0, available: 0 };
     }
   }
 
@@ -366,6 +406,7 @@ class SupabaseInventory {
       const { data, error } = await supabase
         .from(this.tableName)
         .select('*')
+        .is('deleted_at', null)
         .order('added_at', { ascending: false });
 
       if (error) {
@@ -385,81 +426,390 @@ class SupabaseInventory {
    */
   async getItems(filters = {}) {
     try {
-      let query = supabase.from(this.tableName).select('*');
+      const resolved = await this.resolveFilters(filters);
+      let query = this.applyFilters(supabase.from(this.tableName).select('*'), resolved);
+
+      query = query.order('added_at', { ascending: false });
 
-      if (filters.cardName) {
-        query = query.ilike('card_name', `%${filters.cardName}%`);
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Supabase filtered select error:', error);
+        throw error;
       }
 
-      if (filters.setName) {
-        query = query.ilike('set_name', `%${filters.setName}%`);
+      return data || [];
+    } catch (error) {
+      console.error('Error getting filtered items from Supabase:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get one page of inventory items with sorting, filters and a total count
+   * @param {Object} filters - Same filters as getItems (plus q and price/stock ranges)
+   * @param {Object} options - { page, limit, sort, direction }
+   * @returns {Promise<{items: Array, total: number, page: number, limit: number, totalPages: number}>}
+   */
+  async queryItems(filters = {}, options = {}) {
+    const { page, limit, sortColumn, ascending, from } = this.readPaging(options);
+
+    const resolved = await this.resolveFilters(filters);
+    let query = this.applyFilters(
+      supabase.from(this.tableName).select('*', { count: 'exact' }),
+      resolved
+    );
+
+    query = query
+      .order(sortColumn, { ascending, nullsFirst: false })
+      .order('id', { ascending: true })
+      .range(from, from + limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('Supabase paged select error:', error);
+      throw error;
+    }
+
+    const total = count || 0;
+
+    return {
+      items: data || [],
+      total: total,
+      page: page,
+      limit: limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Count items matching the filters, split into singles and sealed product
+   * @returns {Promise<Object>} { single, sealed }
+   */
+  async countByProductType(filters = {}) {
+    const resolved = await this.resolveFilters(filters);
+    const counts = {};
+
+    for (const productType of PRODUCT_TYPES) {
+      if (filters.productType && filters.productType !== productType) {
+        counts[productType] = 0;
+        continue;
       }
 
-      if (filters.language) {
-        query = query.eq('language', filters.language);
+      const { count, error } = await this.applyFilters(
+        supabase.from(this.tableName).select('id', { count: 'exact', head: true }),
+        { ...resolved, productType }
+      );
+
+      if (error) {
+        console.error('Supabase product type count error:', error);
+        throw error;
       }
 
-      if (filters.condition) {
-        query = query.eq('condition', filters.condition);
+      counts[productType] = count || 0;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Walk inventory items matching the filters one page at a time
+   * Used by the export endpoint so the whole table is never held in memory
+   * @param {Object} filters - Same filters as getItems
+   * @param {number} pageSize - Rows fetched per request
+   */
+  async *iterateItems(filters = {}, pageSize = 1000) {
+    const resolved = await this.resolveFilters(filters);
+
+    for (let from = 0; ; from += pageSize) {
+      const query = this.applyFilters(supabase.from(this.tableName).select('*'), resolved)
+        .order('added_at', { ascending: false })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Supabase paged select error:', error);
+        throw error;
       }
 
-      if (filters.source) {
-        query = query.eq('source', filters.source);
+      for (const item of data || []) {
+        yield item;
       }
 
-      if (filters.inStock) {
-        query = query.gt('stock', 0);
+      if (!data || data.length < pageSize) {
+        return;
       }
+    }
+  }
 
-      query = query.order('added_at', { ascending: false });
+  /**
+   * Turn filters that need their own lookup into plain ones for applyFilters
+   * (a location filter becomes the list of item ids stored there)
+   */
+  async resolveFilters(filters = {}) {
+    if (filters.location === undefined) {
+      return filters;
+    }
 
-      const { data, error } = await query;
+    const { location, ...rest } = filters;
+    const ids = await locations.getInventoryIdsAt(location);
+    return { ...rest, ids: ids };
+  }
+
+  /**
+   * Apply the standard inventory filters to a Supabase query
+   */
+  applyFilters(query, filters = {}) {
+    // Trashed items are hidden unless the trash itself is being listed
+    query = filters.trashed
+      ? query.not('deleted_at', 'is', null)
+      : query.is('deleted_at', null);
+
+    if (filters.cardName) {
+      query = query.ilike('card_name', `%${filters.cardName}%`);
+    }
+
+    if (filters.setName) {
+      query = query.ilike('set_name', `%${filters.setName}%`);
+    }
+
+    if (filters.language) {
+      query = query.eq('language', filters.language);
+    }
+
+    if (filters.condition) {
+      query = query.eq('condition', filters.condition);
+    }
+
+    if (filters.source) {
+      query = query.eq('source', filters.source);
+    }
+
+    if (filters.variant) {
+      query = query.eq('variant', filters.variant);
+    }
+
+    if (filters.productType) {
+      query = query.eq('product_type', filters.productType);
+    }
+
+    if (filters.sealedType) {
+      query = query.eq('sealed_type', filters.sealedType);
+    }
+
+    if (filters.upc) {
+      query = query.eq('upc', String(filters.upc).replace(/[\s-]/g, ''));
+    }
+
+    if (filters.sku) {
+      query = query.eq('sku', String(filters.sku).trim().toUpperCase());
+    }
+
+    if (filters.graded !== undefined) {
+      query = filters.graded
+        ? query.not('grading_company', 'is', null)
+        : query.is('grading_company', null);
+    }
+
+    if (filters.gradingCompany) {
+      query = query.eq('grading_company', String(filters.gradingCompany).toUpperCase());
+    }
+
+    if (filters.grade !== undefined) {
+      query = query.eq('grade', filters.grade);
+    }
+
+    if (filters.minGrade !== undefined) {
+      query = query.gte('grade', filters.minGrade);
+    }
+
+    if (filters.certNumber) {
+      query = query.eq('cert_number', filters.certNumber);
+    }
+
+    if (filters.consigned !== undefined) {
+      query = filters.consigned
+        ? query.not('consignor_id', 'is', null)
+        : query.is('consignor_id', null);
+    }
+
+    if (filters.consignorId) {
+      query = query.eq('consignor_id', filters.consignorId);
+    }
+
+    if (filters.storeId) {
+      query = query.eq('store_id', filters.storeId);
+    }
+
+    if (filters.inStock) {
+      query = query.gt('stock', 0);
+    }
+
+    if (filters.ids) {
+      query = query.in('id', filters.ids);
+    }
+
+    // Free-text search across name, set and number
+    if (filters.q) {
+      // Characters with meaning in PostgREST filter syntax are dropped from the term
+      const term = String(filters.q).replace(/[,()"\\%*]/g, ' ').trim();
+      if (term) {
+        query = query.or(
+          `card_name.ilike.%${term}%,set_name.ilike.%${term}%,card_number.ilike.%${term}%`
+        );
+      }
+    }
+
+    if (filters.minPrice !== undefined) {
+      query = query.gte('listed_price', filters.minPrice);
+    }
+
+    if (filters.maxPrice !== undefined) {
+      query = query.lte('listed_price', filters.maxPrice);
+    }
+
+    if (filters.minStock !== undefined) {
+      query = query.gte('stock', filters.minStock);
+    }
+
+    if (filters.maxStock !== undefined) {
+      query = query.lte('stock', filters.maxStock);
+    }
+
+    return query;
+  }
+
+  /**
+   * Remove a card from inventory by ID (moves it to the trash)
+   * @param {Object} context - Optional movement context ({ reason, user, note }), reason defaults to 'removal'
+   */
+  async removeCard(id, context = {}) {
+    try {
+      // Soft delete: the row moves to the trash and can be restored until purged
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({
+          deleted_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .is('deleted_at', null)
+        .select();
 
       if (error) {
-        console.error('Supabase filtered select error:', error);
+        console.error('Supabase delete error:', error);
         throw error;
       }
 
-      return data || [];
+      if (data && data.length > 0) {
+        await this.releaseActiveHolds(data[0].id);
+        console.log(`🗑️ Moved card to trash: ${data[0].card_name} (ID: ${id})`);
+        await this.recordMovement(id, -(data[0].stock || 0), 0, context.reason || 'removal', context);
+        return data[0];
+      }
+
+      return null;
     } catch (error) {
-      console.error('Error getting filtered items from Supabase:', error);
-      return [];
+      console.error('Error removing card from Supabase:', error);
+      throw error;
     }
   }
 
   /**
-   * Remove a card from inventory by ID
+   * Restore a trashed card, bringing its stock back
+   * Items merged into another one can't be restored (409)
    */
-  async removeCard(id) {
+  async restoreCard(id, context = {}) {
     try {
       const { data, error } = await supabase
         .from(this.tableName)
-        .delete()
+        .update({
+          deleted_at: null,
+          updated_at: new Date().toISOString()
+        })
         .eq('id', id)
+        .not('deleted_at', 'is', null)
+        .is('merged_into', null)
         .select();
 
       if (error) {
-        console.error('Supabase delete error:', error);
+        console.error('Supabase restore error:', error);
         throw error;
       }
 
       if (data && data.length > 0) {
-        console.log(`🗑️ Removed card from Supabase: ${data[0].card_name} (ID: ${id})`);
+        console.log(`♻️ Restored card from trash: ${data[0].card_name} (ID: ${id})`);
+        await this.recordMovement(id, data[0].stock || 0, data[0].stock || 0, 'restore', context);
         return data[0];
       }
 
+      // Merged items stay in the trash: their stock already lives on the target
+      const trashed = await this.getItemById(id, true);
+      if (trashed && trashed.merged_into) {
+        const conflict = new Error(`Item ${id} was merged into item ${trashed.merged_into}; its stock is already there`);
+        conflict.status = 409;
+        throw conflict;
+      }
+
       return null;
     } catch (error) {
-      console.error('Error removing card from Supabase:', error);
+      console.error('Error restoring card in Supabase:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete trashed cards
+   * @param {number|null} id - One trashed card, or null for the whole trash
+   * @param {string|null} deletedBefore - ISO date; only purge items trashed before it
+   * @returns {Promise<Array>} Purged rows
+   */
+  async purgeDeleted(id = null, deletedBefore = null) {
+    try {
+      let query = supabase
+        .from(this.tableName)
+        .delete()
+        .not('deleted_at', 'is', null);
+
+      if (id !== null) {
+        query = query.eq('id', id);
+      }
+
+      if (deletedBefore) {
+        query = query.lt('deleted_at', deletedBefore);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) {
+        console.error('Supabase purge error:', error);
+        throw error;
+      }
+
+      console.log(`🔥 Purged ${data ? data.length : 0} card(s) from trash`);
+      return data || [];
+    } catch (error) {
+      console.error('Error purging trash in Supabase:', error);
       throw error;
     }
   }
 
   /**
    * Update a card in inventory
+   * If the update changes stock, the difference is logged as a movement
+   * @param {Object} context - Optional movement context ({ reason, user, note }), reason defaults to 'manual-adjust'
    */
-  async updateCard(id, updates) {
+  async updateCard(id, updates, context = {}) {
     try {
+      let previousStock = null;
+      if (updates.stock !== undefined) {
+        const currentCard = await this.getItemById(id);
+        previousStock = currentCard ? (currentCard.stock || 0) : null;
+      }
+
       const updateData = {
         ...updates,
         updated_at: new Date().toISOString()
@@ -469,6 +819,7 @@ class SupabaseInventory {
         .from(this.tableName)
         .update(updateData)
         .eq('id', id)
+        .is('deleted_at', null)
         .select();
 
       if (error) {
@@ -478,6 +829,10 @@ class SupabaseInventory {
 
       if (data && data.length > 0) {
         console.log(`✏️ Updated card in Supabase: ${data[0].card_name} (ID: ${id})`);
+        if (previousStock !== null) {
+          const newStock = data[0].stock || 0;
+          await this.recordMovement(id, newStock - previousStock, newStock, context.reason || 'manual-adjust', context);
+        }
         return data[0];
       }
 
@@ -488,6 +843,245 @@ class SupabaseInventory {
     }
   }
 
+  /**
+   * Put copies of an item on hold for a customer
+   * Held copies stay in stock but are no longer available to sell or hold.
+   * @param {Object} hold - From readHold()
+   * @param {Object} context - Optional { user }
+   * @returns {Promise<Object|null>} The hold, or null if the item doesn't exist (409 if too few are available)
+   */
+  async placeHold(id, hold, context = {}) {
+    const { data, error } = await supabase.rpc('place_inventory_hold', {
+      p_inventory_id: id,
+      p_hold: { ...hold, user_name: context.user || null }
+    });
+
+    if (error) {
+      if (error.code === 'P0002' || error.code === '22P02') {
+        return null;
+      }
+      console.error('Supabase place hold error:', error);
+      if (error.code === '22023') {
+        const conflict = new Error(error.message);
+        conflict.status = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+
+    console.log(`🔖 Held ${hold.quantity} of item ${id} for ${hold.customer_name} until ${hold.expires_at}`);
+    return data[0];
+  }
+
+  /**
+   * Close an active hold and make its copies available again
+   * @param {string} status - 'released' (by staff), 'expired' or 'fulfilled' (sold to the customer)
+   * @param {number} saleId - Sale that fulfilled the hold, if any
+   * @returns {Promise<Object|null>} The closed hold, or null if it wasn't active
+   */
+  async releaseHold(holdId, status = 'released', saleId = null) {
+    const { data, error } = await supabase.rpc('release_inventory_hold', {
+      p_hold_id: holdId,
+      p_status: status,
+      p_sale_id: saleId
+    });
+
+    if (error) {
+      console.error('Supabase release hold error:', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    console.log(`🔖 Hold #${holdId} ${status} (${data[0].quantity} of item ${data[0].inventory_id})`);
+    return data[0];
+  }
+
+  /**
+   * Get a hold by ID
+   */
+  async getHold(holdId) {
+    const { data, error } = await supabase
+      .from('inventory_holds')
+      .select('*')
+      .eq('id', holdId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return null;
+      }
+      console.error('Supabase get hold error:', error);
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * List holds, soonest expiry first
+   * @param {Object} filters - Optional { inventoryId, status, customer }
+   */
+  async getHolds(filters = {}, limit = 200) {
+    let query = supabase
+      .from('inventory_holds')
+      .select('*')
+      .order('expires_at', { ascending: true })
+      .limit(limit);
+
+    if (filters.inventoryId) {
+      query = query.eq('inventory_id', filters.inventoryId);
+    }
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    if (filters.customer) {
+      query = query.ilike('customer_name', `%${filters.customer}%`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase list holds error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Expire every active hold past its expiry time (see jobs/hold-expiry-job.js)
+   * @returns {Promise<Array<Object>>} The holds that expired
+   */
+  async releaseExpiredHolds() {
+    const { data, error } = await supabase.rpc('release_expired_holds');
+
+    if (error) {
+      console.error('Supabase expire holds error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Move copies of an item to another store
+   * They join the matching row in that store (created if it has none) at their
+   * unit cost; copies held for customers can't be transferred.
+   * @param {Object} context - Optional { user, note }
+   * @returns {Promise<Object|null>} { from, to, created, transfer }, or null if the item doesn't exist (409 if too few are available)
+   */
+  async transferStock(id, toStoreId, quantity, context = {}) {
+    const source = await this.getItemById(id);
+    if (!source) {
+      return null;
+    }
+
+    const { item, match } = this.buildTransferItem(source, toStoreId, quantity);
+
+    const { data, error } = await supabase.rpc('transfer_inventory_stock', {
+      p_id: source.id,
+      p_to_store_id: toStoreId,
+      p_quantity: quantity,
+      p_item: item,
+      p_match: match,
+      p_user: context.user || null,
+      p_note: context.note || null
+    });
+
+    if (error) {
+      if (error.code === 'P0002') {
+        return null;
+      }
+      console.error('Supabase transfer stock error:', error);
+      if (error.code === '22023') {
+        const conflict = new Error(error.message);
+        conflict.status = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+
+    const movementContext = { ...context, reference: `transfer:${data.transfer.id}` };
+    await this.recordMovement(data.from.id, -quantity, data.from.stock, 'transfer', movementContext);
+    await this.recordMovement(data.to.id, quantity, data.to.stock, 'transfer', movementContext);
+    await stockThresholds.checkThresholdCrossed(data.from, data.from.stock + quantity);
+
+    console.log(`🚚 Transferred ${quantity} of ${source.card_name}: store ${data.transfer.from_store_id} → ${toStoreId} (item ${data.to.id})`);
+    return data;
+  }
+
+  /**
+   * Merge duplicate items into one (see findDuplicates)
+   * The target gains their stock (blending unit cost), active holds and storage
+   * placements; they go to the trash pointing at the target (merged_into) and keep
+   * their movements, which the target's history includes from then on.
+   * @param {Array} sourceIds - Items to merge into targetId
+   * @param {Object} options - { force, user, note }; force merges items that aren't duplicates
+   * @returns {Promise<Object|null>} { target, merged: [{ id, stock }] }, or null if the target doesn't exist
+   */
+  async mergeItems(targetId, sourceIds, options = {}) {
+    const loaded = await this.loadMerge(targetId, sourceIds, options.force);
+    if (!loaded) {
+      return null;
+    }
+
+    const { data, error } = await supabase.rpc('merge_inventory_items', {
+      p_target_id: loaded.target.id,
+      p_source_ids: loaded.sources.map(source => source.id)
+    });
+
+    if (error) {
+      if (error.code === 'P0002') {
+        return null;
+      }
+      console.error('Supabase merge items error:', error);
+      if (error.code === '22023') {
+        const conflict = new Error(error.message);
+        conflict.status = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+
+    await this.recordMerge(data.target, data.merged, options);
+
+    console.log(`🧬 Merged ${data.merged.length} duplicate(s) into ${data.target.card_name} (item ${data.target.id}, Stock: ${data.target.stock})`);
+    return data;
+  }
+
+  /**
+   * List stock transfers, newest first
+   * @param {Object} filters - Optional { storeId, inventoryId }, matching either side of the transfer
+   */
+  async getTransfers(filters = {}, limit = 100) {
+    let query = supabase
+      .from('stock_transfers')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    // An item's transfers all involve its own store, so inventoryId wins over storeId
+    if (filters.inventoryId) {
+      query = query.or(`from_inventory_id.eq.${Number(filters.inventoryId)},to_inventory_id.eq.${Number(filters.inventoryId)}`);
+    } else if (filters.storeId) {
+      query = query.or(`from_store_id.eq.${Number(filters.storeId)},to_store_id.eq.${Number(filters.storeId)}`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase list transfers error:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
   /**
    * Get total inventory count (number of unique cards)
    */
@@ -495,7 +1089,8 @@ class SupabaseInventory {
     try {
       const { count, error } = await supabase
         .from(this.tableName)
-        .select('id', { count: 'exact', head: true });
+        .select('id', { count: 'exact', head: true })
+        .is('deleted_at', null);
 
       if (error) {
         console.error('Supabase total count error:', error);
@@ -511,76 +1106,109 @@ class SupabaseInventory {
 
   /**
    * Get inventory statistics
+   * Aggregated in Postgres by the inventory_stats function
+   * lowStock counts in-stock items at or below their reorder threshold
+   * @param {Object} filters - Optional { graded, gradingCompany, grade, productType, storeId } to limit the stats
    */
-  async getStats() {
+  async getStats(filters = {}) {
     try {
-      const items = await this.getAllItems();
-
-      const stats = {
-        totalCards: items.length,
-        totalStock: 0,
-        bySource: {},
-        byLanguage: {},
-        byCondition: {},
-        totalValue: 0,
-        outOfStock: 0,
-        lowStock: 0 // Cards with stock <= 3
-      };
-
-      for (const item of items) {
-        const stock = item.stock || 0;
-        stats.totalStock += stock;
-
-        // Count by source
-        const source = item.source || 'unknown';
-        stats.bySource[source] = (stats.bySource[source] || 0) + stock;
-
-        // Count by language
-        const lang = item.language || 'unknown';
-        stats.byLanguage[lang] = (stats.byLanguage[lang] || 0) + stock;
+      const { data, error } = await supabase.rpc('inventory_stats', {
+        p_graded: filters.graded ?? null,
+        p_grading_company: filters.gradingCompany || null,
+        p_grade: filters.grade ?? null,
+        p_base_currency: baseCurrency(),
+        p_product_type: filters.productType || null,
+        p_store_id: filters.storeId || null
+      });
 
-        // Count by condition
-        const condition = item.condition || 'unknown';
-        stats.byCondition[condition] = (stats.byCondition[condition] || 0) + stock;
-
-        // Calculate total value
-        if (item.listed_price) {
-          stats.totalValue += parseFloat(item.listed_price) * stock;
-        }
-
-        // Track out of stock
-        if (stock === 0) {
-          stats.outOfStock++;
-        } else if (stock <= 3) {
-          stats.lowStock++;
-        }
+      if (error) {
+        console.error('Supabase stats error:', error);
+        throw error;
       }
 
-      return stats;
+      return {
+        ...data,
+        byProductType: Object.fromEntries(Object.entries(data.byProductType || {})
+          .map(([type, totals]) => [type, { ...totals, value: roundMoney(totals.value) }])),
+        totalValue: roundMoney(data.totalValue),
+        marketValue: roundMoney(data.marketValue),
+        totalCost: roundMoney(data.totalCost),
+        unrealizedProfit: roundMoney(data.unrealizedProfit),
+        realizedProfit: roundMoney(data.realizedProfit)
+      };
     } catch (error) {
       console.error('Error getting stats from Supabase:', error);
       return {
+        currency: baseCurrency(),
+        storeId: filters.storeId || null,
         totalCards: 0,
         totalStock: 0,
         bySource: {},
         byLanguage: {},
         byCondition: {},
+        byGrade: {},
+        gradedStock: 0,
+        rawStock: 0,
+        byProductType: {
+          single: { items: 0, stock: 0, value: 0 },
+          sealed: { items: 0, stock: 0, value: 0 }
+        },
+        bySealedType: {},
         totalValue: 0,
+        marketValue: 0,
+        totalCost: 0,
+        unrealizedProfit: 0,
+        uncostedStock: 0,
+        realizedProfit: 0,
+        unconvertedItems: 0,
+        missingRates: [],
         outOfStock: 0,
-        lowStock: 0
+        lowStock: 0,
+        trashed: 0
       };
     }
   }
 
+  /**
+   * Get the stock movement history for an inventory item
+   * Includes the movements of duplicates merged into it (their own inventory_id)
+   */
+  async getHistory(id) {
+    const item = await this.getItemById(id, true);
+    return await stockMovements.getHistory([id, ...((item && item.merged_ids) || [])]);
+  }
+
+  /**
+   * Log a stock change to the movement ledger
+   */
+  async recordMovement(id, delta, stockAfter, reason, context = {}) {
+    return await stockMovements.record({
+      inventoryId: id,
+      delta: delta,
+      stockAfter: stockAfter,
+      reason: reason,
+      user: context.user,
+      note: context.note,
+      reference: context.reference
+    });
+  }
+
   /**
    * Clear all inventory (use with caution!)
+   * Moves every item to the trash; needs a token from createClearToken
    */
-  async clearAll() {
+  async clearAll(confirmToken, context = {}) {
     try {
+      this.requireClearToken(confirmToken);
+
       const { data, error } = await supabase
         .from(this.tableName)
-        .delete()
-        .neq('id', 0); // Delete all rows
+        .update({
+          deleted_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .is('deleted_at', null) // Trash every live row
+        .select();
 
       if (error) {
         console.error('Supabase clear all error:', error);
@@ -588,7 +1216,13 @@ class SupabaseInventory {
       }
 
       const count = data ? data.length : 0;
-      console.log(`🗑️ Cleared all inventory from Supabase (${count} items removed)`);
+      await this.releaseActiveHolds();
+      console.log(`🗑️ Moved all inventory to trash (${count} items)`);
+
+      for (const item of data || []) {
+        await this.recordMovement(item.id, -(item.stock || 0), 0, 'removal', context);
+      }
+
       return count;
     } catch (error) {
       console.error('Error clearing all from Supabase:', error);
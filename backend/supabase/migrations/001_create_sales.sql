@@ -0,0 +1,17 @@
+-- Sales recorded by POST /api/sales
+-- Each sale keeps its lines (inventory id, quantity, unit price) as JSON so the
+-- record stays readable even if the inventory row is later edited or removed.
+
+create table if not exists sales (
+  id bigint generated by default as identity primary key,
+  items jsonb not null default '[]'::jsonb,
+  item_count integer not null default 0,
+  total numeric(12, 2) not null default 0,
+  status text not null default 'completed' check (status in ('completed', 'refunded')),
+  note text,
+  refund_note text,
+  created_at timestamptz not null default now(),
+  refunded_at timestamptz
+);
+
+create index if not exists sales_created_at_idx on sales (created_at desc);
@@ -0,0 +1,32 @@
+-- Append-only ledger of stock changes (GET /api/inventory/:id/history)
+-- inventory_id is deliberately not a foreign key: history must survive the
+-- removal of the inventory row it describes.
+
+create table if not exists stock_movements (
+  id bigint generated by default as identity primary key,
+  inventory_id bigint not null,
+  delta integer not null,
+  stock_after integer,
+  reason text not null check (reason in ('scan-in', 'sale', 'refund', 'manual-adjust', 'stocktake', 'removal')),
+  user_name text,
+  note text,
+  reference text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_inventory_idx on stock_movements (inventory_id, created_at);
+
+-- Movements are never edited or removed once written
+create or replace function stock_movements_append_only() returns trigger as $$
+begin
+  raise exception 'stock_movements is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists stock_movements_no_update on stock_movements;
+create trigger stock_movements_no_update
+  before update or delete on stock_movements
+  for each row execute function stock_movements_append_only();
+
+-- Sales now record which staff member rang them up
+alter table sales add column if not exists user_name text;
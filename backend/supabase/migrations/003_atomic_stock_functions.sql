@@ -0,0 +1,105 @@
+-- Atomic stock changes for SupabaseInventory
+-- Every function below reads and writes stock inside one statement or one
+-- locked transaction, so concurrent scans and sales can no longer overwrite
+-- each other's stock counts.
+
+-- Adjust stock by a delta (positive for restocks, negative for sales).
+-- Returns the updated row, or no rows if the item is missing or the change
+-- would take stock below zero.
+create or replace function adjust_inventory_stock(p_id bigint, p_delta integer)
+returns setof inventory
+language sql
+as $$
+  update inventory
+     set stock = coalesce(stock, 0) + p_delta,
+         availability = coalesce(stock, 0) + p_delta > 0,
+         updated_at = now()
+   where id = p_id
+     and coalesce(stock, 0) + p_delta >= 0
+  returning *;
+$$;
+
+-- Set stock to an absolute value and report what it was before.
+-- Returns { item, previous_stock }, or null if the item does not exist.
+create or replace function set_inventory_stock(p_id bigint, p_stock integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_previous integer;
+  v_row inventory;
+begin
+  select coalesce(stock, 0) into v_previous
+    from inventory
+   where id = p_id
+     for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update inventory
+     set stock = p_stock,
+         availability = p_stock > 0,
+         updated_at = now()
+   where id = p_id
+  returning * into v_row;
+
+  return jsonb_build_object('item', to_jsonb(v_row), 'previous_stock', v_previous);
+end;
+$$;
+
+-- Merge-or-insert used by SupabaseInventory.addCard.
+-- p_match holds the columns that identify "the same card" (compared
+-- case-insensitively, JSON null meaning IS NULL); p_item is the full row to
+-- insert when nothing matches. Concurrent calls for the same card name are
+-- serialized with an advisory lock so two scans can never both insert, nor
+-- both read the same stock value.
+-- Returns { item, created }.
+create or replace function add_inventory_card(p_item jsonb, p_match jsonb, p_quantity integer default 1)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_where text;
+  v_columns text;
+  v_row inventory;
+begin
+  perform pg_advisory_xact_lock(hashtext('inventory:' || lower(coalesce(p_match->>'card_name', ''))));
+
+  select string_agg(
+           case when value is null
+                then format('%I is null', key)
+                else format('lower(%I::text) = lower(%L)', key, value)
+           end,
+           ' and ')
+    into v_where
+    from jsonb_each_text(p_match);
+
+  execute format('select * from inventory where %s order by id limit 1 for update', coalesce(v_where, 'true'))
+     into v_row;
+
+  if v_row.id is not null then
+    update inventory
+       set stock = coalesce(stock, 0) + p_quantity,
+           availability = true,
+           updated_at = now()
+     where id = v_row.id
+    returning * into v_row;
+
+    return jsonb_build_object('item', to_jsonb(v_row), 'created', false);
+  end if;
+
+  select string_agg(format('%I', key), ', ')
+    into v_columns
+    from jsonb_object_keys(p_item) as key;
+
+  execute format(
+    'insert into inventory (%s) select %s from jsonb_populate_record(null::inventory, $1) returning *',
+    v_columns, v_columns)
+    using p_item
+     into v_row;
+
+  return jsonb_build_object('item', to_jsonb(v_row), 'created', true);
+end;
+$$;
@@ -0,0 +1,45 @@
+-- Server-side inventory statistics and indexes for paged/sorted listing
+-- getStats used to load every row into Node and loop over it; inventory_stats
+-- returns the same shape computed by Postgres.
+
+create or replace function inventory_stats(p_low_stock integer default 3)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0)), 0),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', count(*) filter (where coalesce(stock, 0) > 0 and coalesce(stock, 0) <= p_low_stock)
+  )
+  from inventory;
+$$;
+
+-- Sort columns offered by GET /api/inventory
+create index if not exists inventory_added_at_idx on inventory (added_at desc, id);
+create index if not exists inventory_listed_price_idx on inventory (listed_price, id);
+create index if not exists inventory_stock_idx on inventory (stock, id);
+create index if not exists inventory_card_name_idx on inventory (card_name, id);
+
+-- Trigram indexes keep the free-text q search (ilike '%…%') fast
+create extension if not exists pg_trgm;
+create index if not exists inventory_card_name_trgm_idx on inventory using gin (card_name gin_trgm_ops);
+create index if not exists inventory_set_name_trgm_idx on inventory using gin (set_name gin_trgm_ops);
+create index if not exists inventory_card_number_trgm_idx on inventory using gin (card_number gin_trgm_ops);
@@ -0,0 +1,184 @@
+-- Physical storage locations (binders, boxes, display cases, pages, slots)
+-- An inventory row has a home location (inventory.location_id). Copies can be
+-- split across other locations with inventory_locations; any copies not
+-- placed elsewhere are in the home location (or unassigned if there is none).
+
+create table if not exists locations (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  type text not null default 'other'
+    check (type in ('binder', 'box', 'display-case', 'shelf', 'page', 'slot', 'other')),
+  parent_id bigint references locations (id) on delete restrict,
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists locations_parent_idx on locations (parent_id);
+
+alter table inventory
+  add column if not exists location_id bigint references locations (id) on delete set null;
+
+create index if not exists inventory_location_idx on inventory (location_id);
+
+create table if not exists inventory_locations (
+  inventory_id bigint not null references inventory (id) on delete cascade,
+  location_id bigint not null references locations (id) on delete restrict,
+  quantity integer not null check (quantity > 0),
+  updated_at timestamptz not null default now(),
+  primary key (inventory_id, location_id)
+);
+
+create index if not exists inventory_locations_location_idx on inventory_locations (location_id);
+
+-- Move copies of an inventory item between locations.
+-- p_from / p_to of null (or the item's home location) mean the home pool.
+-- Returns the per-location breakdown after the move.
+create or replace function move_inventory_stock(p_inventory_id bigint, p_from bigint, p_to bigint, p_quantity integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_item inventory;
+  v_placed integer;
+  v_from bigint := p_from;
+  v_to bigint := p_to;
+  v_available integer;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Quantity must be positive' using errcode = '22023';
+  end if;
+
+  select * into v_item from inventory where id = p_inventory_id for update;
+  if not found then
+    raise exception 'Inventory item not found' using errcode = 'P0002';
+  end if;
+
+  if v_from = v_item.location_id then v_from := null; end if;
+  if v_to = v_item.location_id then v_to := null; end if;
+
+  if v_from is not distinct from v_to then
+    raise exception 'Source and destination are the same location' using errcode = '22023';
+  end if;
+
+  if v_from is null then
+    select coalesce(sum(quantity), 0) into v_placed from inventory_locations where inventory_id = p_inventory_id;
+    v_available := coalesce(v_item.stock, 0) - v_placed;
+  else
+    select coalesce(quantity, 0) into v_available
+      from inventory_locations
+     where inventory_id = p_inventory_id and location_id = v_from
+       for update;
+    v_available := coalesce(v_available, 0);
+  end if;
+
+  if v_available < p_quantity then
+    raise exception 'Only % copies available at the source location', v_available using errcode = '22023';
+  end if;
+
+  if v_from is not null then
+    update inventory_locations
+       set quantity = quantity - p_quantity, updated_at = now()
+     where inventory_id = p_inventory_id and location_id = v_from;
+    delete from inventory_locations
+     where inventory_id = p_inventory_id and location_id = v_from and quantity <= 0;
+  end if;
+
+  if v_to is not null then
+    insert into inventory_locations (inventory_id, location_id, quantity)
+    values (p_inventory_id, v_to, p_quantity)
+    on conflict (inventory_id, location_id)
+    do update set quantity = inventory_locations.quantity + excluded.quantity, updated_at = now();
+  end if;
+
+  return inventory_location_breakdown(p_inventory_id);
+end;
+$$;
+
+-- Copies per location for one inventory item, home pool included.
+create or replace function inventory_location_breakdown(p_inventory_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  with item as (
+    select id, location_id, coalesce(stock, 0) as stock from inventory where id = p_inventory_id
+  ), placed as (
+    select il.location_id, il.quantity from inventory_locations il where il.inventory_id = p_inventory_id
+  )
+  select jsonb_build_object(
+    'stock', item.stock,
+    'homeLocationId', item.location_id,
+    'locations', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'locationId', l.location_id,
+               'name', loc.name,
+               'type', loc.type,
+               'quantity', l.quantity,
+               'home', l.location_id is not distinct from item.location_id)
+             order by l.quantity desc)
+        from (
+          select location_id, quantity from placed
+          union all
+          select item.location_id, item.stock - coalesce((select sum(quantity) from placed), 0)
+        ) l
+        left join locations loc on loc.id = l.location_id
+       where l.quantity > 0
+    ), '[]'::jsonb)
+  )
+  from item;
+$$;
+
+-- Inventory ids with copies at a location or any location nested inside it.
+create or replace function inventory_ids_at_location(p_location_id bigint)
+returns setof bigint
+language sql
+stable
+as $$
+  with recursive tree as (
+    select id from locations where id = p_location_id
+    union all
+    select l.id from locations l join tree t on l.parent_id = t.id
+  )
+  select i.id from inventory i where i.location_id in (select id from tree)
+  union
+  select il.inventory_id from inventory_locations il
+   where il.location_id in (select id from tree) and il.quantity > 0;
+$$;
+
+-- When stock drops below what is placed in locations (a sale, a stocktake),
+-- take the missing copies out of the smallest placements first.
+create or replace function clamp_inventory_locations() returns trigger as $$
+declare
+  v_excess integer;
+  v_row record;
+begin
+  select coalesce(sum(quantity), 0) - coalesce(new.stock, 0) into v_excess
+    from inventory_locations where inventory_id = new.id;
+
+  for v_row in
+    select location_id, quantity from inventory_locations
+     where inventory_id = new.id
+     order by quantity asc, location_id
+  loop
+    exit when v_excess <= 0;
+    if v_row.quantity <= v_excess then
+      delete from inventory_locations where inventory_id = new.id and location_id = v_row.location_id;
+      v_excess := v_excess - v_row.quantity;
+    else
+      update inventory_locations set quantity = quantity - v_excess, updated_at = now()
+       where inventory_id = new.id and location_id = v_row.location_id;
+      v_excess := 0;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists inventory_clamp_locations on inventory;
+create trigger inventory_clamp_locations
+  after update of stock on inventory
+  for each row
+  when (coalesce(new.stock, 0) < coalesce(old.stock, 0))
+  execute function clamp_inventory_locations();
@@ -0,0 +1,80 @@
+-- Configurable low-stock (reorder) thresholds
+-- Precedence: the item's own reorder_threshold, then a threshold for its set,
+-- then one for its rarity, then the 'default' row, then 3.
+
+alter table inventory add column if not exists reorder_threshold integer check (reorder_threshold >= 0);
+
+create table if not exists stock_thresholds (
+  id bigint generated by default as identity primary key,
+  scope text not null check (scope in ('set', 'rarity', 'default')),
+  value text not null default '',
+  threshold integer not null check (threshold >= 0),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists stock_thresholds_scope_value_idx on stock_thresholds (scope, lower(value));
+
+-- Effective threshold per inventory row (ids only, so new inventory columns
+-- never require recreating the view)
+create or replace view inventory_reorder_levels as
+select
+  i.id,
+  coalesce(i.stock, 0) as stock,
+  coalesce(i.reorder_threshold, by_set.threshold, by_rarity.threshold, by_default.threshold, 3) as effective_threshold,
+  coalesce(i.stock, 0) <= coalesce(i.reorder_threshold, by_set.threshold, by_rarity.threshold, by_default.threshold, 3) as needs_restock
+from inventory i
+left join stock_thresholds by_set
+  on by_set.scope = 'set' and lower(by_set.value) = lower(i.set_name)
+left join stock_thresholds by_rarity
+  on by_rarity.scope = 'rarity' and lower(by_rarity.value) = lower(i.rarity)
+left join stock_thresholds by_default
+  on by_default.scope = 'default';
+
+-- Items at or below their threshold, most urgent first
+create or replace function low_stock_items(p_include_out_of_stock boolean default true)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_agg(
+           to_jsonb(i) || jsonb_build_object('effective_threshold', r.effective_threshold)
+           order by r.stock - r.effective_threshold, i.card_name),
+         '[]'::jsonb)
+    from inventory_reorder_levels r
+    join inventory i on i.id = r.id
+   where r.needs_restock
+     and (p_include_out_of_stock or r.stock > 0);
+$$;
+
+-- lowStock in the stats now follows each item's effective threshold
+drop function if exists inventory_stats(integer);
+
+create or replace function inventory_stats()
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0)), 0),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', (select count(*) from inventory_reorder_levels where stock > 0 and needs_restock)
+  )
+  from inventory;
+$$;
@@ -0,0 +1,125 @@
+-- Acquisition cost per unit, averaged across copies bought at different prices
+-- unit_cost is the weighted average cost of the copies on hand. Adding copies
+-- with a known cost blends it in; adding copies without one (refunds, merges
+-- of uncosted stock) leaves the average unchanged.
+
+alter table inventory add column if not exists unit_cost numeric(12, 2) check (unit_cost >= 0);
+
+alter table sales add column if not exists cost_total numeric(12, 2);
+alter table sales add column if not exists profit numeric(12, 2);
+
+-- Weighted average of the current cost and p_quantity new copies at p_cost
+create or replace function blend_unit_cost(p_current_cost numeric, p_current_stock integer, p_cost numeric, p_quantity integer)
+returns numeric
+language sql
+immutable
+as $$
+  select case
+    when p_cost is null then p_current_cost
+    when p_current_cost is null or coalesce(p_current_stock, 0) <= 0 then p_cost
+    else round((p_current_cost * p_current_stock + p_cost * p_quantity) / (p_current_stock + p_quantity), 2)
+  end;
+$$;
+
+drop function if exists adjust_inventory_stock(bigint, integer);
+
+create or replace function adjust_inventory_stock(p_id bigint, p_delta integer, p_unit_cost numeric default null)
+returns setof inventory
+language sql
+as $$
+  update inventory
+     set stock = coalesce(stock, 0) + p_delta,
+         availability = coalesce(stock, 0) + p_delta > 0,
+         unit_cost = case when p_delta > 0
+                          then blend_unit_cost(unit_cost, coalesce(stock, 0), p_unit_cost, p_delta)
+                          else unit_cost end,
+         updated_at = now()
+   where id = p_id
+     and coalesce(stock, 0) + p_delta >= 0
+  returning *;
+$$;
+
+create or replace function add_inventory_card(p_item jsonb, p_match jsonb, p_quantity integer default 1)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_where text;
+  v_columns text;
+  v_row inventory;
+begin
+  perform pg_advisory_xact_lock(hashtext('inventory:' || lower(coalesce(p_match->>'card_name', ''))));
+
+  select string_agg(
+           case when value is null
+                then format('%I is null', key)
+                else format('lower(%I::text) = lower(%L)', key, value)
+           end,
+           ' and ')
+    into v_where
+    from jsonb_each_text(p_match);
+
+  execute format('select * from inventory where %s order by id limit 1 for update', coalesce(v_where, 'true'))
+     into v_row;
+
+  if v_row.id is not null then
+    update inventory
+       set stock = coalesce(stock, 0) + p_quantity,
+           availability = true,
+           unit_cost = blend_unit_cost(unit_cost, coalesce(stock, 0), (p_item->>'unit_cost')::numeric, p_quantity),
+           updated_at = now()
+     where id = v_row.id
+    returning * into v_row;
+
+    return jsonb_build_object('item', to_jsonb(v_row), 'created', false);
+  end if;
+
+  select string_agg(format('%I', key), ', ')
+    into v_columns
+    from jsonb_object_keys(p_item) as key;
+
+  execute format(
+    'insert into inventory (%s) select %s from jsonb_populate_record(null::inventory, $1) returning *',
+    v_columns, v_columns)
+    using p_item
+     into v_row;
+
+  return jsonb_build_object('item', to_jsonb(v_row), 'created', true);
+end;
+$$;
+
+-- Stats gain cost and profit figures
+create or replace function inventory_stats()
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from inventory group by 1) s
+    ),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0)), 0),
+    'totalCost', coalesce(sum(unit_cost * coalesce(stock, 0)), 0),
+    'unrealizedProfit', coalesce(sum((coalesce(listed_price, 0) - unit_cost) * coalesce(stock, 0))
+                                   filter (where unit_cost is not null), 0),
+    'uncostedStock', coalesce(sum(coalesce(stock, 0)) filter (where unit_cost is null), 0),
+    'realizedProfit', (select coalesce(sum(profit), 0) from sales where status = 'completed'),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', (select count(*) from inventory_reorder_levels where stock > 0 and needs_restock)
+  )
+  from inventory;
+$$;
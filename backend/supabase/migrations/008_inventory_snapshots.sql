@@ -0,0 +1,12 @@
+-- Daily snapshots of the getStats output (GET /api/inventory/stats/history)
+-- One row per day; re-running the job on the same day replaces that day's row.
+
+create table if not exists inventory_snapshots (
+  id bigint generated by default as identity primary key,
+  snapshot_date date not null unique,
+  total_cards integer not null default 0,
+  total_stock integer not null default 0,
+  total_value numeric(14, 2) not null default 0,
+  stats jsonb not null,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,111 @@
+-- Soft delete: removed items go to a trash instead of being deleted outright
+-- A trashed row keeps its stock so restoring it brings the copies back. Trashed
+-- rows are left out of stock changes, stats and low-stock reports, and addCard
+-- never merges new copies into them (its match includes deleted_at is null).
+
+alter table inventory add column if not exists deleted_at timestamptz;
+
+create index if not exists inventory_deleted_at_idx on inventory (deleted_at) where deleted_at is not null;
+
+alter table stock_movements drop constraint if exists stock_movements_reason_check;
+alter table stock_movements add constraint stock_movements_reason_check
+  check (reason in ('scan-in', 'sale', 'refund', 'manual-adjust', 'stocktake', 'removal', 'restore'));
+
+create or replace function adjust_inventory_stock(p_id bigint, p_delta integer, p_unit_cost numeric default null)
+returns setof inventory
+language sql
+as $$
+  update inventory
+     set stock = coalesce(stock, 0) + p_delta,
+         availability = coalesce(stock, 0) + p_delta > 0,
+         unit_cost = case when p_delta > 0
+                          then blend_unit_cost(unit_cost, coalesce(stock, 0), p_unit_cost, p_delta)
+                          else unit_cost end,
+         updated_at = now()
+   where id = p_id
+     and deleted_at is null
+     and coalesce(stock, 0) + p_delta >= 0
+  returning *;
+$$;
+
+create or replace function set_inventory_stock(p_id bigint, p_stock integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_previous integer;
+  v_row inventory;
+begin
+  select coalesce(stock, 0) into v_previous
+    from inventory
+   where id = p_id
+     and deleted_at is null
+     for update;
+
+  if not found then
+    return null;
+  end if;
+
+  update inventory
+     set stock = p_stock,
+         availability = p_stock > 0,
+         updated_at = now()
+   where id = p_id
+  returning * into v_row;
+
+  return jsonb_build_object('item', to_jsonb(v_row), 'previous_stock', v_previous);
+end;
+$$;
+
+create or replace view inventory_reorder_levels as
+select
+  i.id,
+  coalesce(i.stock, 0) as stock,
+  coalesce(i.reorder_threshold, by_set.threshold, by_rarity.threshold, by_default.threshold, 3) as effective_threshold,
+  coalesce(i.stock, 0) <= coalesce(i.reorder_threshold, by_set.threshold, by_rarity.threshold, by_default.threshold, 3) as needs_restock
+from inventory i
+left join stock_thresholds by_set
+  on by_set.scope = 'set' and lower(by_set.value) = lower(i.set_name)
+left join stock_thresholds by_rarity
+  on by_rarity.scope = 'rarity' and lower(by_rarity.value) = lower(i.rarity)
+left join stock_thresholds by_default
+  on by_default.scope = 'default'
+where i.deleted_at is null;
+
+-- Stats cover live items only, plus a count of what's in the trash
+create or replace function inventory_stats()
+returns jsonb
+language sql
+stable
+as $$
+  with live as (select * from inventory where deleted_at is null)
+  select jsonb_build_object(
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0)), 0),
+    'totalCost', coalesce(sum(unit_cost * coalesce(stock, 0)), 0),
+    'unrealizedProfit', coalesce(sum((coalesce(listed_price, 0) - unit_cost) * coalesce(stock, 0))
+                                   filter (where unit_cost is not null), 0),
+    'uncostedStock', coalesce(sum(coalesce(stock, 0)) filter (where unit_cost is null), 0),
+    'realizedProfit', (select coalesce(sum(profit), 0) from sales where status = 'completed'),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', (select count(*) from inventory_reorder_levels where stock > 0 and needs_restock),
+    'trashed', (select count(*) from inventory where deleted_at is not null)
+  )
+  from live;
+$$;
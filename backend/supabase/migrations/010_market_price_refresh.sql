@@ -0,0 +1,6 @@
+-- Market price refresh: remember which TCGdex card an item is and when its price was checked
+-- tcgdex_id is filled in by addCard when the frontend knows it, or by the refresh job
+-- once it has found the card by name, set and number.
+
+alter table inventory add column if not exists tcgdex_id text;
+alter table inventory add column if not exists market_price_updated_at timestamptz;
@@ -0,0 +1,24 @@
+-- Market price observations per card (GET /api/cards/:key/price-history)
+-- card_key identifies a printing independently of inventory rows: the
+-- normalized "name~set~number" built by cardKey in services/price-history.js.
+-- The same price from the same source, variant and currency is kept once per
+-- day, so repeated searches don't flood the table while changes still show.
+
+create table if not exists market_price_history (
+  id bigint generated by default as identity primary key,
+  card_key text not null,
+  card_name text not null,
+  set_name text,
+  card_number text,
+  source text not null,
+  variant text not null default 'normal',
+  currency text not null default 'USD',
+  price numeric(12, 2) not null check (price >= 0),
+  observed_at timestamptz not null default now(),
+  observed_on date not null default (now() at time zone 'utc')::date,
+  user_name text,
+  note text,
+  constraint market_price_history_daily_unique unique (card_key, source, variant, currency, observed_on, price)
+);
+
+create index if not exists market_price_history_card_idx on market_price_history (card_key, observed_at);
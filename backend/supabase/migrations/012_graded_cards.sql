@@ -0,0 +1,80 @@
+-- Graded cards (PSA / BGS / CGC / SGC slabs)
+-- A graded item has a grading company and grade (and usually a certificate
+-- number); raw items have neither. addCard only merges graded copies into rows
+-- with the same company, grade and certificate, and raw copies into raw rows.
+
+alter table inventory add column if not exists grading_company text
+  check (grading_company in ('PSA', 'BGS', 'CGC', 'SGC'));
+alter table inventory add column if not exists grade numeric(3, 1)
+  check (grade >= 1 and grade <= 10);
+alter table inventory add column if not exists cert_number text;
+
+alter table inventory drop constraint if exists inventory_grading_complete;
+alter table inventory add constraint inventory_grading_complete
+  check ((grading_company is null) = (grade is null));
+
+-- A certificate identifies one slab, so it can only be in live inventory once
+create unique index if not exists inventory_cert_number_idx
+  on inventory (grading_company, cert_number)
+  where cert_number is not null and deleted_at is null;
+
+create index if not exists inventory_grade_idx on inventory (grading_company, grade) where grading_company is not null;
+
+-- Stats can be limited to raw or graded items, one company or one grade,
+-- and gain a breakdown by grade ("PSA 10", "BGS 9.5", ...)
+drop function if exists inventory_stats();
+
+create or replace function inventory_stats(
+  p_graded boolean default null,
+  p_grading_company text default null,
+  p_grade numeric default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with live as (
+    select * from inventory
+     where deleted_at is null
+       and (p_graded is null or (grading_company is not null) = p_graded)
+       and (p_grading_company is null or upper(grading_company) = upper(p_grading_company))
+       and (p_grade is null or grade = p_grade)
+  )
+  select jsonb_build_object(
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is null group by 1) s
+    ),
+    'byGrade', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select grading_company || ' ' || trim_scale(grade)::text as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is not null group by 1) s
+    ),
+    'gradedStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is not null), 0),
+    'rawStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is null), 0),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0)), 0),
+    'totalCost', coalesce(sum(unit_cost * coalesce(stock, 0)), 0),
+    'unrealizedProfit', coalesce(sum((coalesce(listed_price, 0) - unit_cost) * coalesce(stock, 0))
+                                   filter (where unit_cost is not null), 0),
+    'uncostedStock', coalesce(sum(coalesce(stock, 0)) filter (where unit_cost is null), 0),
+    'realizedProfit', (select coalesce(sum(profit), 0) from sales where status = 'completed'),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', (select count(*) from inventory_reorder_levels r join live l on l.id = r.id
+                  where r.stock > 0 and r.needs_restock),
+    'trashed', (select count(*) from inventory where deleted_at is not null)
+  )
+  from live;
+$$;
@@ -0,0 +1,17 @@
+-- Print variants: a reverse holo, holo or 1st edition copy is its own inventory row
+-- with its own market price, instead of merging with the normal copy.
+-- Rows that existed before this migration are marked 'normal'; correct them with
+-- PUT /api/inventory/:id/variant where they are really another variant.
+
+alter table inventory add column if not exists variant text not null default 'normal'
+  check (variant in (
+    'normal',
+    'holofoil',
+    'reverse',
+    '1st-edition',
+    '1st-edition-holofoil',
+    'unlimited',
+    'unlimited-holofoil'
+  ));
+
+create index if not exists inventory_variant_idx on inventory (variant);
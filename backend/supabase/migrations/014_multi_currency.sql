@@ -0,0 +1,119 @@
+-- Multi-currency prices
+-- Each inventory price keeps its currency: market_price_currency for the market
+-- price (TCGplayer USD, Cardmarket EUR, sheet prices in SHEET_PRICE_CURRENCY) and
+-- price_currency for the listed price and unit cost. Sales record the currency
+-- they were rung up in. Prices stored before this migration were all dollars.
+--
+-- exchange_rates holds, per base currency, how many units of the base one unit
+-- of another currency is worth. The base comes from BASE_CURRENCY in the server
+-- environment, so rates for an old base are kept but ignored after it changes.
+
+alter table inventory add column if not exists market_price_currency text not null default 'USD'
+  check (market_price_currency ~ '^[A-Z]{3}$');
+alter table inventory add column if not exists price_currency text not null default 'USD'
+  check (price_currency ~ '^[A-Z]{3}$');
+
+alter table sales add column if not exists currency text not null default 'USD'
+  check (currency ~ '^[A-Z]{3}$');
+
+create table if not exists exchange_rates (
+  base_currency text not null check (base_currency ~ '^[A-Z]{3}$'),
+  currency text not null check (currency ~ '^[A-Z]{3}$'),
+  rate numeric(18, 8) not null check (rate > 0),
+  source text not null default 'manual' check (source in ('manual', 'file')),
+  user_name text,
+  updated_at timestamptz not null default now(),
+  primary key (base_currency, currency),
+  check (currency <> base_currency)
+);
+
+-- Units of p_base one unit of p_currency is worth; null when there is no rate
+create or replace function exchange_rate(p_currency text, p_base text)
+returns numeric
+language sql
+stable
+as $$
+  select case
+    when upper(p_currency) = upper(p_base) then 1::numeric
+    else (select rate from exchange_rates
+           where base_currency = upper(p_base) and currency = upper(p_currency))
+  end;
+$$;
+
+-- Money totals are converted into the base currency. Items or sales whose
+-- currency has no rate are left out of the totals and counted in
+-- unconvertedItems / missingRates instead.
+drop function if exists inventory_stats(boolean, text, numeric);
+
+create or replace function inventory_stats(
+  p_graded boolean default null,
+  p_grading_company text default null,
+  p_grade numeric default null,
+  p_base_currency text default 'USD'
+)
+returns jsonb
+language sql
+stable
+as $$
+  with live as (
+    select inventory.*,
+           exchange_rate(price_currency, p_base_currency) as price_rate,
+           exchange_rate(market_price_currency, p_base_currency) as market_rate
+      from inventory
+     where deleted_at is null
+       and (p_graded is null or (grading_company is not null) = p_graded)
+       and (p_grading_company is null or upper(grading_company) = upper(p_grading_company))
+       and (p_grade is null or grade = p_grade)
+  )
+  select jsonb_build_object(
+    'currency', upper(p_base_currency),
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is null group by 1) s
+    ),
+    'byGrade', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select grading_company || ' ' || trim_scale(grade)::text as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is not null group by 1) s
+    ),
+    'gradedStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is not null), 0),
+    'rawStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is null), 0),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0) * price_rate), 0),
+    'marketValue', coalesce(sum(coalesce(market_price, 0) * coalesce(stock, 0) * market_rate), 0),
+    'totalCost', coalesce(sum(unit_cost * coalesce(stock, 0) * price_rate), 0),
+    'unrealizedProfit', coalesce(sum((coalesce(listed_price, 0) - unit_cost) * coalesce(stock, 0) * price_rate)
+                                   filter (where unit_cost is not null), 0),
+    'uncostedStock', coalesce(sum(coalesce(stock, 0)) filter (where unit_cost is null), 0),
+    'realizedProfit', (select coalesce(sum(profit * exchange_rate(currency, p_base_currency)), 0)
+                         from sales where status = 'completed'),
+    'unconvertedItems', count(*) filter (where price_rate is null
+                                            or (coalesce(market_price, 0) > 0 and market_rate is null)),
+    'missingRates', (
+      select coalesce(jsonb_agg(distinct code), '[]'::jsonb)
+        from (select price_currency as code from live where price_rate is null
+              union
+              select market_price_currency from live where market_rate is null and coalesce(market_price, 0) > 0
+              union
+              select currency from sales
+               where status = 'completed' and exchange_rate(currency, p_base_currency) is null) m
+    ),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', (select count(*) from inventory_reorder_levels r join live l on l.id = r.id
+                  where r.stock > 0 and r.needs_restock),
+    'trashed', (select count(*) from inventory where deleted_at is not null)
+  )
+  from live;
+$$;
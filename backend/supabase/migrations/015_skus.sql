@@ -0,0 +1,10 @@
+-- SKUs: a deterministic code per inventory item (SET-NUMBER-LANGUAGE-CONDITION-VARIANT,
+-- see buildSku in services/inventory-store.js), printed as a barcode on shelf labels.
+-- New items get one from addCard; give existing items theirs with
+-- POST /api/inventory/skus once this migration has run.
+-- Not unique: separate rows for the same card, language, condition/grade and variant
+-- (e.g. two slabs with different certificates) share a SKU.
+
+alter table inventory add column if not exists sku text;
+
+create index if not exists inventory_sku_idx on inventory (sku);
@@ -0,0 +1,114 @@
+-- Sealed product (booster boxes, ETBs, packs, tins, ...) kept in the inventory
+-- table next to singles, so stock, movements, sales and stats all work the same.
+-- product_type tells them apart; a sealed row uses card_name for the product
+-- name, has sealed_type and usually a UPC, and has no number, condition or grade.
+
+alter table inventory add column if not exists product_type text not null default 'single'
+  check (product_type in ('single', 'sealed'));
+alter table inventory add column if not exists sealed_type text
+  check (sealed_type in ('booster-box', 'booster-pack', 'booster-bundle', 'elite-trainer-box',
+                         'collection-box', 'tin', 'blister', 'build-and-battle', 'other'));
+alter table inventory add column if not exists upc text
+  check (upc ~ '^[0-9]{8,14}$');
+
+alter table inventory drop constraint if exists inventory_sealed_fields;
+alter table inventory add constraint inventory_sealed_fields
+  check ((product_type = 'sealed') = (sealed_type is not null)
+         and (product_type = 'single' or grading_company is null));
+
+create index if not exists inventory_product_type_idx on inventory (product_type);
+create index if not exists inventory_upc_idx on inventory (upc) where upc is not null;
+
+-- Stats can be limited to singles or sealed, and split them: byProductType has
+-- items, stock and value (base currency) for each; bySealedType counts sealed
+-- stock per product type. byCondition and rawStock cover singles only.
+drop function if exists inventory_stats(boolean, text, numeric, text);
+
+create or replace function inventory_stats(
+  p_graded boolean default null,
+  p_grading_company text default null,
+  p_grade numeric default null,
+  p_base_currency text default 'USD',
+  p_product_type text default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with live as (
+    select inventory.*,
+           exchange_rate(price_currency, p_base_currency) as price_rate,
+           exchange_rate(market_price_currency, p_base_currency) as market_rate
+      from inventory
+     where deleted_at is null
+       and (p_graded is null or (grading_company is not null) = p_graded)
+       and (p_grading_company is null or upper(grading_company) = upper(p_grading_company))
+       and (p_grade is null or grade = p_grade)
+       and (p_product_type is null or product_type = p_product_type)
+  )
+  select jsonb_build_object(
+    'currency', upper(p_base_currency),
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is null and product_type = 'single' group by 1) s
+    ),
+    'byGrade', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select grading_company || ' ' || trim_scale(grade)::text as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is not null group by 1) s
+    ),
+    'gradedStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is not null), 0),
+    'rawStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is null and product_type = 'single'), 0),
+    'byProductType', (
+      select jsonb_object_agg(t.product_type, jsonb_build_object(
+               'items', (select count(*) from live l where l.product_type = t.product_type),
+               'stock', (select coalesce(sum(coalesce(stock, 0)), 0) from live l where l.product_type = t.product_type),
+               'value', (select coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0) * price_rate), 0)
+                           from live l where l.product_type = t.product_type)
+             ))
+        from (values ('single'), ('sealed')) t(product_type)
+    ),
+    'bySealedType', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select sealed_type as key, sum(coalesce(stock, 0)) as total
+                from live where product_type = 'sealed' group by 1) s
+    ),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0) * price_rate), 0),
+    'marketValue', coalesce(sum(coalesce(market_price, 0) * coalesce(stock, 0) * market_rate), 0),
+    'totalCost', coalesce(sum(unit_cost * coalesce(stock, 0) * price_rate), 0),
+    'unrealizedProfit', coalesce(sum((coalesce(listed_price, 0) - unit_cost) * coalesce(stock, 0) * price_rate)
+                                   filter (where unit_cost is not null), 0),
+    'uncostedStock', coalesce(sum(coalesce(stock, 0)) filter (where unit_cost is null), 0),
+    'realizedProfit', (select coalesce(sum(profit * exchange_rate(currency, p_base_currency)), 0)
+                         from sales where status = 'completed'),
+    'unconvertedItems', count(*) filter (where price_rate is null
+                                            or (coalesce(market_price, 0) > 0 and market_rate is null)),
+    'missingRates', (
+      select coalesce(jsonb_agg(distinct code), '[]'::jsonb)
+        from (select price_currency as code from live where price_rate is null
+              union
+              select market_price_currency from live where market_rate is null and coalesce(market_price, 0) > 0
+              union
+              select currency from sales
+               where status = 'completed' and exchange_rate(currency, p_base_currency) is null) m
+    ),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', (select count(*) from inventory_reorder_levels r join live l on l.id = r.id
+                  where r.stock > 0 and r.needs_restock),
+    'trashed', (select count(*) from inventory where deleted_at is not null)
+  )
+  from live;
+$$;
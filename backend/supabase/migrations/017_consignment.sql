@@ -0,0 +1,100 @@
+-- Consignment stock: inventory owned by a customer (the consignor) that the
+-- shop sells for a commission. inventory.consignor_id is null for shop-owned
+-- stock. commission_rate is the percentage of the sale price the shop keeps;
+-- the rest is owed to the consignor. Sale lines snapshot both, plus the
+-- shop_share / consignor_share of the line total.
+-- A payout settles a consignor's unpaid sales in one currency. Each sale can
+-- only be paid out once (and, if refunded after payout, clawed back once).
+
+create table if not exists consignors (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  email text,
+  phone text,
+  commission_rate numeric(5, 2) not null default 20
+    check (commission_rate >= 0 and commission_rate <= 100),
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table inventory
+  add column if not exists consignor_id bigint references consignors (id) on delete restrict;
+alter table inventory
+  add column if not exists commission_rate numeric(5, 2)
+    check (commission_rate >= 0 and commission_rate <= 100);
+
+alter table inventory drop constraint if exists inventory_consignment_terms;
+alter table inventory add constraint inventory_consignment_terms
+  check ((consignor_id is null) = (commission_rate is null));
+
+create index if not exists inventory_consignor_idx on inventory (consignor_id) where consignor_id is not null;
+
+-- Owed to consignors across the sale's lines (in the sale currency)
+alter table sales add column if not exists consignor_total numeric(12, 2) not null default 0;
+
+create index if not exists sales_items_idx on sales using gin (items jsonb_path_ops);
+
+create table if not exists consignment_payouts (
+  id bigint generated by default as identity primary key,
+  consignor_id bigint not null references consignors (id) on delete restrict,
+  currency text not null default 'USD',
+  amount numeric(12, 2) not null,
+  sale_count integer not null default 0,
+  clawback_count integer not null default 0,
+  note text,
+  user_name text,
+  settled_at timestamptz not null default now()
+);
+
+create index if not exists consignment_payouts_consignor_idx on consignment_payouts (consignor_id, settled_at desc);
+
+-- kind 'sale' pays a sale's consignor share; 'clawback' takes it back after a refund
+create table if not exists consignment_payout_sales (
+  payout_id bigint not null references consignment_payouts (id) on delete cascade,
+  consignor_id bigint not null,
+  sale_id bigint not null references sales (id) on delete restrict,
+  kind text not null check (kind in ('sale', 'clawback')),
+  amount numeric(12, 2) not null,
+  primary key (consignor_id, sale_id, kind)
+);
+
+-- Record a settled payout and the sales it covers in one transaction.
+-- p_lines is [{ saleId, kind, amount }] as worked out by the payout report;
+-- a sale already paid (or clawed back) raises unique_violation, so two people
+-- settling at once cannot pay the same sale twice.
+create or replace function record_consignment_payout(
+  p_consignor_id bigint,
+  p_currency text,
+  p_lines jsonb,
+  p_user text default null,
+  p_note text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_payout consignment_payouts;
+begin
+  if jsonb_array_length(coalesce(p_lines, '[]'::jsonb)) = 0 then
+    raise exception 'Nothing to settle' using errcode = '22023';
+  end if;
+
+  insert into consignment_payouts (consignor_id, currency, amount, sale_count, clawback_count, note, user_name)
+  select p_consignor_id,
+         p_currency,
+         coalesce(sum((line->>'amount')::numeric), 0),
+         count(*) filter (where line->>'kind' = 'sale'),
+         count(*) filter (where line->>'kind' = 'clawback'),
+         p_note,
+         p_user
+    from jsonb_array_elements(p_lines) line
+  returning * into v_payout;
+
+  insert into consignment_payout_sales (payout_id, consignor_id, sale_id, kind, amount)
+  select v_payout.id, p_consignor_id, (line->>'saleId')::bigint, line->>'kind', (line->>'amount')::numeric
+    from jsonb_array_elements(p_lines) line;
+
+  return to_jsonb(v_payout);
+end;
+$$;
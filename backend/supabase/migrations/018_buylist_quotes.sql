@@ -0,0 +1,27 @@
+-- Trade-in / buylist quotes (POST /api/buylist)
+-- A quote is one customer's pile of cards being bought by the shop. Each line
+-- keeps the card, its market price and both offers (cash and store credit) as
+-- JSON, like sale lines, so a printed quote can always be reproduced.
+-- Accepting a quote adds every line to inventory with its offer as unit cost;
+-- inventory_id is written back onto each line as it is added.
+
+create table if not exists buylist_quotes (
+  id bigint generated by default as identity primary key,
+  status text not null default 'open' check (status in ('open', 'accepted', 'cancelled')),
+  customer_name text,
+  customer_contact text,
+  currency text not null default 'USD',
+  rules jsonb not null default '{}'::jsonb,
+  lines jsonb not null default '[]'::jsonb,
+  cash_total numeric(12, 2) not null default 0,
+  credit_total numeric(12, 2) not null default 0,
+  payment text check (payment in ('cash', 'credit')),
+  paid_total numeric(12, 2),
+  note text,
+  user_name text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  accepted_at timestamptz
+);
+
+create index if not exists buylist_quotes_status_idx on buylist_quotes (status, created_at desc);
@@ -0,0 +1,142 @@
+-- Customer holds (reservations) on inventory items
+-- A hold sets copies aside for a customer until it expires. Held copies stay in
+-- on-hand stock (inventory.stock) but are not available to sell:
+-- available = stock - held_stock. held_stock is only changed by the hold
+-- functions below, under the inventory row lock, so it always equals the
+-- quantity of the item's active holds.
+
+alter table inventory add column if not exists held_stock integer not null default 0
+  check (held_stock >= 0);
+
+create table if not exists inventory_holds (
+  id bigint generated by default as identity primary key,
+  inventory_id bigint not null references inventory (id) on delete cascade,
+  quantity integer not null check (quantity > 0),
+  customer_name text not null,
+  customer_contact text,
+  note text,
+  status text not null default 'active'
+    check (status in ('active', 'released', 'expired', 'fulfilled')),
+  expires_at timestamptz not null,
+  sale_id bigint references sales (id) on delete set null,
+  user_name text,
+  created_at timestamptz not null default now(),
+  released_at timestamptz,
+  constraint inventory_holds_released check ((status = 'active') = (released_at is null))
+);
+
+create index if not exists inventory_holds_active_idx on inventory_holds (expires_at) where status = 'active';
+create index if not exists inventory_holds_inventory_idx on inventory_holds (inventory_id, status);
+
+-- Sales pass p_held_allowance so they cannot take held copies: the stock left
+-- must still cover held_stock, less the allowance (the quantity of the hold the
+-- sale is fulfilling, or 0). Restocks and manual adjustments pass null and
+-- ignore holds, as before.
+drop function if exists adjust_inventory_stock(bigint, integer, numeric);
+
+create or replace function adjust_inventory_stock(
+  p_id bigint,
+  p_delta integer,
+  p_unit_cost numeric default null,
+  p_held_allowance integer default null
+)
+returns setof inventory
+language sql
+as $$
+  update inventory
+     set stock = coalesce(stock, 0) + p_delta,
+         availability = coalesce(stock, 0) + p_delta > 0,
+         unit_cost = case when p_delta > 0
+                          then blend_unit_cost(unit_cost, coalesce(stock, 0), p_unit_cost, p_delta)
+                          else unit_cost end,
+         updated_at = now()
+   where id = p_id
+     and deleted_at is null
+     and coalesce(stock, 0) + p_delta >= 0
+     and (p_held_allowance is null
+          or p_delta >= 0
+          or coalesce(stock, 0) + p_delta >= held_stock - p_held_allowance)
+  returning *;
+$$;
+
+-- Place a hold if enough copies are available.
+-- p_hold is { quantity, customer_name, customer_contact, note, expires_at, user_name }.
+create or replace function place_inventory_hold(p_inventory_id bigint, p_hold jsonb)
+returns setof inventory_holds
+language plpgsql
+as $$
+declare
+  v_item inventory;
+  v_quantity integer := (p_hold->>'quantity')::integer;
+  v_available integer;
+  v_hold inventory_holds;
+begin
+  select * into v_item from inventory where id = p_inventory_id and deleted_at is null for update;
+  if not found then
+    raise exception 'Inventory item not found' using errcode = 'P0002';
+  end if;
+
+  v_available := greatest(coalesce(v_item.stock, 0) - v_item.held_stock, 0);
+  if v_available < v_quantity then
+    raise exception 'Only % available to hold', v_available using errcode = '22023';
+  end if;
+
+  update inventory set held_stock = held_stock + v_quantity where id = p_inventory_id;
+
+  insert into inventory_holds (inventory_id, quantity, customer_name, customer_contact, note, expires_at, user_name)
+  values (p_inventory_id,
+          v_quantity,
+          p_hold->>'customer_name',
+          p_hold->>'customer_contact',
+          p_hold->>'note',
+          (p_hold->>'expires_at')::timestamptz,
+          p_hold->>'user_name')
+  returning * into v_hold;
+
+  return next v_hold;
+end;
+$$;
+
+-- Close an active hold ('released', 'expired' or 'fulfilled' by p_sale_id) and
+-- give its copies back to available stock. Returns nothing if it wasn't active.
+create or replace function release_inventory_hold(p_hold_id bigint, p_status text default 'released', p_sale_id bigint default null)
+returns setof inventory_holds
+language plpgsql
+as $$
+declare
+  v_hold inventory_holds;
+begin
+  update inventory_holds
+     set status = p_status, released_at = now(), sale_id = p_sale_id
+   where id = p_hold_id and status = 'active'
+  returning * into v_hold;
+
+  if not found then
+    return;
+  end if;
+
+  update inventory set held_stock = greatest(held_stock - v_hold.quantity, 0) where id = v_hold.inventory_id;
+
+  return next v_hold;
+end;
+$$;
+
+-- Expire every active hold past its expiry time (run by the hold sweeper job).
+create or replace function release_expired_holds()
+returns setof inventory_holds
+language sql
+as $$
+  with expired as (
+    update inventory_holds
+       set status = 'expired', released_at = now()
+     where status = 'active' and expires_at <= now()
+    returning *
+  ), released as (
+    update inventory i
+       set held_stock = greatest(i.held_stock - e.quantity, 0)
+      from (select inventory_id, sum(quantity)::integer as quantity from expired group by inventory_id) e
+     where i.id = e.inventory_id
+    returning i.id
+  )
+  select * from expired;
+$$;
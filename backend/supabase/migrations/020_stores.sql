@@ -0,0 +1,242 @@
+-- Stores: the shop itself, a booth at events, a warehouse...
+-- Every inventory row belongs to one store, so a card stocked in two stores is
+-- two rows with their own stock, cost and holds (merging only happens within a
+-- store). Existing inventory goes to the default store created here, and rows
+-- inserted without a store_id land in whichever store is the default.
+-- Transfers move copies between stores: the source row loses them and the
+-- matching row in the destination store gains them (created if needed), with
+-- both sides in stock_movements and the transfer itself in stock_transfers.
+
+create table if not exists stores (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  type text not null default 'shop' check (type in ('shop', 'event', 'warehouse', 'online')),
+  address text,
+  notes text,
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create unique index if not exists stores_name_idx on stores (lower(name));
+-- At most one default store
+create unique index if not exists stores_default_idx on stores (is_default) where is_default;
+
+insert into stores (name, type, is_default)
+select 'Main store', 'shop', true
+ where not exists (select 1 from stores where is_default);
+
+create or replace function default_store_id()
+returns bigint
+language sql
+stable
+as $$
+  select id from stores where is_default order by id limit 1;
+$$;
+
+alter table inventory add column if not exists store_id bigint references stores (id) on delete restrict;
+update inventory set store_id = default_store_id() where store_id is null;
+alter table inventory alter column store_id set default default_store_id();
+alter table inventory alter column store_id set not null;
+
+create index if not exists inventory_store_idx on inventory (store_id);
+
+-- The store a sale was rung up in (lines also keep their item's store_id)
+alter table sales add column if not exists store_id bigint references stores (id) on delete set null;
+
+-- Everything sold so far came from the one store there was
+update sales
+   set store_id = default_store_id(),
+       items = coalesce((select jsonb_agg(line || jsonb_build_object('store_id', default_store_id()))
+                           from jsonb_array_elements(items) line), '[]'::jsonb)
+ where store_id is null;
+
+alter table stock_movements drop constraint if exists stock_movements_reason_check;
+alter table stock_movements add constraint stock_movements_reason_check
+  check (reason in ('scan-in', 'sale', 'refund', 'manual-adjust', 'stocktake', 'removal', 'restore', 'transfer'));
+
+create table if not exists stock_transfers (
+  id bigint generated by default as identity primary key,
+  from_store_id bigint not null references stores (id) on delete restrict,
+  to_store_id bigint not null references stores (id) on delete restrict,
+  -- Not foreign keys, like stock_movements: the record outlives purged rows
+  from_inventory_id bigint not null,
+  to_inventory_id bigint not null,
+  quantity integer not null check (quantity > 0),
+  unit_cost numeric(12, 2),
+  user_name text,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_transfers_from_idx on stock_transfers (from_store_id, created_at desc);
+create index if not exists stock_transfers_to_idx on stock_transfers (to_store_id, created_at desc);
+
+-- Move p_quantity copies of an item to another store in one transaction.
+-- p_item / p_match describe the destination row as for add_inventory_card
+-- (built from the source row with the destination store_id). Copies held for
+-- customers stay behind.
+-- Returns { from, to, created, transfer }.
+create or replace function transfer_inventory_stock(
+  p_id bigint,
+  p_to_store_id bigint,
+  p_quantity integer,
+  p_item jsonb,
+  p_match jsonb,
+  p_user text default null,
+  p_note text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_source inventory;
+  v_added jsonb;
+  v_transfer stock_transfers;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Quantity must be positive' using errcode = '22023';
+  end if;
+
+  select * into v_source from inventory where id = p_id and deleted_at is null for update;
+  if not found then
+    raise exception 'Inventory item not found' using errcode = 'P0002';
+  end if;
+
+  if v_source.store_id = p_to_store_id then
+    raise exception 'Item is already in that store' using errcode = '22023';
+  end if;
+
+  if coalesce(v_source.stock, 0) - v_source.held_stock < p_quantity then
+    raise exception 'Only % available to transfer', greatest(coalesce(v_source.stock, 0) - v_source.held_stock, 0)
+      using errcode = '22023';
+  end if;
+
+  update inventory
+     set stock = coalesce(stock, 0) - p_quantity,
+         availability = coalesce(stock, 0) - p_quantity > 0,
+         updated_at = now()
+   where id = p_id
+  returning * into v_source;
+
+  v_added := add_inventory_card(p_item, p_match, p_quantity);
+
+  insert into stock_transfers (from_store_id, to_store_id, from_inventory_id, to_inventory_id, quantity, unit_cost, user_name, note)
+  values (v_source.store_id, p_to_store_id, p_id, (v_added->'item'->>'id')::bigint, p_quantity, v_source.unit_cost, p_user, p_note)
+  returning * into v_transfer;
+
+  return jsonb_build_object(
+    'from', to_jsonb(v_source),
+    'to', v_added->'item',
+    'created', v_added->'created',
+    'transfer', to_jsonb(v_transfer)
+  );
+end;
+$$;
+
+-- Stats can be limited to one store (p_store_id); realizedProfit then only
+-- counts the sale lines of that store's items
+drop function if exists inventory_stats(boolean, text, numeric, text, text);
+
+create or replace function inventory_stats(
+  p_graded boolean default null,
+  p_grading_company text default null,
+  p_grade numeric default null,
+  p_base_currency text default 'USD',
+  p_product_type text default null,
+  p_store_id bigint default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with live as (
+    select inventory.*,
+           exchange_rate(price_currency, p_base_currency) as price_rate,
+           exchange_rate(market_price_currency, p_base_currency) as market_rate
+      from inventory
+     where deleted_at is null
+       and (p_graded is null or (grading_company is not null) = p_graded)
+       and (p_grading_company is null or upper(grading_company) = upper(p_grading_company))
+       and (p_grade is null or grade = p_grade)
+       and (p_product_type is null or product_type = p_product_type)
+       and (p_store_id is null or store_id = p_store_id)
+  ), completed_sales as (
+    select s.currency,
+           case when p_store_id is null then s.profit
+                else (select coalesce(sum((line->>'line_profit')::numeric), 0)
+                        from jsonb_array_elements(s.items) line
+                       where (line->>'store_id')::bigint = p_store_id)
+           end as profit
+      from sales s
+     where s.status = 'completed'
+       and (p_store_id is null or s.items @> jsonb_build_array(jsonb_build_object('store_id', p_store_id)))
+  )
+  select jsonb_build_object(
+    'currency', upper(p_base_currency),
+    'storeId', p_store_id,
+    'totalCards', count(*),
+    'totalStock', coalesce(sum(coalesce(stock, 0)), 0),
+    'bySource', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(source, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byLanguage', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(language, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live group by 1) s
+    ),
+    'byCondition', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select coalesce(condition, 'unknown') as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is null and product_type = 'single' group by 1) s
+    ),
+    'byGrade', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select grading_company || ' ' || trim_scale(grade)::text as key, sum(coalesce(stock, 0)) as total
+                from live where grading_company is not null group by 1) s
+    ),
+    'gradedStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is not null), 0),
+    'rawStock', coalesce(sum(coalesce(stock, 0)) filter (where grading_company is null and product_type = 'single'), 0),
+    'byProductType', (
+      select jsonb_object_agg(t.product_type, jsonb_build_object(
+               'items', (select count(*) from live l where l.product_type = t.product_type),
+               'stock', (select coalesce(sum(coalesce(stock, 0)), 0) from live l where l.product_type = t.product_type),
+               'value', (select coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0) * price_rate), 0)
+                           from live l where l.product_type = t.product_type)
+             ))
+        from (values ('single'), ('sealed')) t(product_type)
+    ),
+    'bySealedType', (
+      select coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        from (select sealed_type as key, sum(coalesce(stock, 0)) as total
+                from live where product_type = 'sealed' group by 1) s
+    ),
+    'totalValue', coalesce(sum(coalesce(listed_price, 0) * coalesce(stock, 0) * price_rate), 0),
+    'marketValue', coalesce(sum(coalesce(market_price, 0) * coalesce(stock, 0) * market_rate), 0),
+    'totalCost', coalesce(sum(unit_cost * coalesce(stock, 0) * price_rate), 0),
+    'unrealizedProfit', coalesce(sum((coalesce(listed_price, 0) - unit_cost) * coalesce(stock, 0) * price_rate)
+                                   filter (where unit_cost is not null), 0),
+    'uncostedStock', coalesce(sum(coalesce(stock, 0)) filter (where unit_cost is null), 0),
+    'realizedProfit', (select coalesce(sum(profit * exchange_rate(currency, p_base_currency)), 0)
+                         from completed_sales),
+    'unconvertedItems', count(*) filter (where price_rate is null
+                                            or (coalesce(market_price, 0) > 0 and market_rate is null)),
+    'missingRates', (
+      select coalesce(jsonb_agg(distinct code), '[]'::jsonb)
+        from (select price_currency as code from live where price_rate is null
+              union
+              select market_price_currency from live where market_rate is null and coalesce(market_price, 0) > 0
+              union
+              select currency from completed_sales
+               where exchange_rate(currency, p_base_currency) is null) m
+    ),
+    'outOfStock', count(*) filter (where coalesce(stock, 0) = 0),
+    'lowStock', (select count(*) from inventory_reorder_levels r join live l on l.id = r.id
+                  where r.stock > 0 and r.needs_restock),
+    'trashed', (select count(*) from inventory
+                 where deleted_at is not null and (p_store_id is null or store_id = p_store_id))
+  )
+  from live;
+$$;
@@ -0,0 +1,106 @@
+-- Merging duplicate inventory rows (POST /api/inventory/:id/merge)
+-- The same card can end up in several rows when it was entered with different
+-- spellings ("Japanese" / "ja", number "58" / "base1-58"). Merging moves the
+-- duplicates' stock, holds and storage placements onto one target row and sends
+-- the duplicates to the trash. Nothing is rewritten in stock_movements: each
+-- duplicate keeps its own movements, the target lists the rows merged into it
+-- (merged_ids, including rows they had absorbed themselves) so its history can
+-- show theirs too, and each duplicate points at the row it went into
+-- (merged_into).
+
+alter table inventory add column if not exists merged_into bigint references inventory (id) on delete set null;
+alter table inventory add column if not exists merged_ids bigint[] not null default '{}';
+
+alter table stock_movements drop constraint if exists stock_movements_reason_check;
+alter table stock_movements add constraint stock_movements_reason_check
+  check (reason in ('scan-in', 'sale', 'refund', 'manual-adjust', 'stocktake', 'removal', 'restore', 'transfer', 'merge'));
+
+-- Merge p_source_ids into p_target_id in one transaction.
+-- Every row must be live and in the same store, consignment and product type.
+-- Returns { target, merged: [{ id, stock }] }.
+create or replace function merge_inventory_items(p_target_id bigint, p_source_ids bigint[])
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_target inventory;
+  v_source inventory;
+  v_home integer;
+  v_merged jsonb := '[]'::jsonb;
+begin
+  -- Lock every row involved in id order, so two merges can't deadlock
+  perform 1 from inventory where id = p_target_id or id = any(p_source_ids) order by id for update;
+
+  select * into v_target from inventory where id = p_target_id and deleted_at is null;
+  if not found then
+    raise exception 'Inventory item not found' using errcode = 'P0002';
+  end if;
+
+  for v_source in
+    select * from inventory where id = any(p_source_ids) and id <> p_target_id order by id
+  loop
+    if v_source.deleted_at is not null then
+      raise exception 'Item % is in the trash', v_source.id using errcode = '22023';
+    end if;
+
+    if v_source.store_id <> v_target.store_id
+       or v_source.consignor_id is distinct from v_target.consignor_id
+       or v_source.product_type <> v_target.product_type then
+      raise exception 'Item % is in another store, consignment or product type', v_source.id using errcode = '22023';
+    end if;
+
+    -- Copies in the duplicate's home location (not placed anywhere else)
+    select coalesce(v_source.stock, 0) - coalesce(sum(quantity), 0) into v_home
+      from inventory_locations where inventory_id = v_source.id;
+
+    update inventory
+       set stock = coalesce(stock, 0) + coalesce(v_source.stock, 0),
+           held_stock = held_stock + v_source.held_stock,
+           availability = coalesce(stock, 0) + coalesce(v_source.stock, 0) > 0,
+           unit_cost = blend_unit_cost(unit_cost, coalesce(stock, 0), v_source.unit_cost, coalesce(v_source.stock, 0)),
+           tcgdex_id = coalesce(tcgdex_id, v_source.tcgdex_id),
+           image_url = coalesce(image_url, v_source.image_url),
+           rarity = coalesce(rarity, v_source.rarity),
+           merged_ids = merged_ids || v_source.id || v_source.merged_ids,
+           updated_at = now()
+     where id = p_target_id
+    returning * into v_target;
+
+    -- Placements move with the copies (before the duplicate's stock drops to 0
+    -- and clamp_inventory_locations removes them); home copies stay where they
+    -- are when that isn't the target's home location
+    insert into inventory_locations (inventory_id, location_id, quantity)
+    select p_target_id, location_id, quantity from inventory_locations where inventory_id = v_source.id
+    on conflict (inventory_id, location_id)
+      do update set quantity = inventory_locations.quantity + excluded.quantity, updated_at = now();
+
+    if v_home > 0 and v_source.location_id is not null and v_source.location_id is distinct from v_target.location_id then
+      insert into inventory_locations (inventory_id, location_id, quantity)
+      values (p_target_id, v_source.location_id, v_home)
+      on conflict (inventory_id, location_id)
+        do update set quantity = inventory_locations.quantity + excluded.quantity, updated_at = now();
+    end if;
+
+    delete from inventory_locations where inventory_id = v_source.id;
+
+    update inventory_holds set inventory_id = p_target_id where inventory_id = v_source.id and status = 'active';
+
+    update inventory
+       set stock = 0,
+           held_stock = 0,
+           availability = false,
+           merged_into = p_target_id,
+           deleted_at = now(),
+           updated_at = now()
+     where id = v_source.id;
+
+    v_merged := v_merged || jsonb_build_object('id', v_source.id, 'stock', coalesce(v_source.stock, 0));
+  end loop;
+
+  if jsonb_array_length(v_merged) <> cardinality(array(select unnest(p_source_ids) except select p_target_id)) then
+    raise exception 'Some items to merge no longer exist' using errcode = '22023';
+  end if;
+
+  return jsonb_build_object('target', to_jsonb(v_target), 'merged', v_merged);
+end;
+$$;
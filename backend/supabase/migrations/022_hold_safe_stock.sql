@@ -0,0 +1,40 @@
+-- Holds and stock corrections
+-- set_inventory_stock (stocktake) no longer takes stock below the copies held
+-- for customers: release those holds first. Items moved to the trash
+-- have their active holds released by the app (see releaseActiveHolds in
+-- services/inventory-store.js), so held_stock is 0 on trashed rows.
+
+create or replace function set_inventory_stock(p_id bigint, p_stock integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_previous integer;
+  v_held integer;
+  v_row inventory;
+begin
+  select coalesce(stock, 0), held_stock into v_previous, v_held
+    from inventory
+   where id = p_id
+     and deleted_at is null
+     for update;
+
+  if not found then
+    return null;
+  end if;
+
+  if p_stock < v_held then
+    raise exception '% held for customers; release holds before setting stock below that', v_held
+      using errcode = '22023';
+  end if;
+
+  update inventory
+     set stock = p_stock,
+         availability = p_stock > 0,
+         updated_at = now()
+   where id = p_id
+  returning * into v_row;
+
+  return jsonb_build_object('item', to_jsonb(v_row), 'previous_stock', v_previous);
+end;
+$$;
@@ -0,0 +1,68 @@
+-- The row add_inventory_card would merge into, without writing anything
+-- The CSV import preview uses it to tell "add stock" from "create", so it can't
+-- disagree with the import itself. Both functions build their lookup with
+-- inventory_match_where (case-insensitive equality per match field, null
+-- meaning "is null") and take the oldest matching row.
+
+create or replace function inventory_match_where(p_match jsonb)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(string_agg(
+           case when value is null
+                then format('%I is null', key)
+                else format('lower(%I::text) = lower(%L)', key, value)
+           end,
+           ' and '), 'true')
+    from jsonb_each_text(p_match);
+$$;
+
+create or replace function find_inventory_match(p_match jsonb)
+returns setof inventory
+language plpgsql
+stable
+as $$
+begin
+  return query execute format('select * from inventory where %s order by id limit 1', inventory_match_where(p_match));
+end;
+$$;
+
+create or replace function add_inventory_card(p_item jsonb, p_match jsonb, p_quantity integer default 1)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_columns text;
+  v_row inventory;
+begin
+  perform pg_advisory_xact_lock(hashtext('inventory:' || lower(coalesce(p_match->>'card_name', ''))));
+
+  execute format('select * from inventory where %s order by id limit 1 for update', inventory_match_where(p_match))
+     into v_row;
+
+  if v_row.id is not null then
+    update inventory
+       set stock = coalesce(stock, 0) + p_quantity,
+           availability = true,
+           unit_cost = blend_unit_cost(unit_cost, coalesce(stock, 0), (p_item->>'unit_cost')::numeric, p_quantity),
+           updated_at = now()
+     where id = v_row.id
+    returning * into v_row;
+
+    return jsonb_build_object('item', to_jsonb(v_row), 'created', false);
+  end if;
+
+  select string_agg(format('%I', key), ', ')
+    into v_columns
+    from jsonb_object_keys(p_item) as key;
+
+  execute format(
+    'insert into inventory (%s) select %s from jsonb_populate_record(null::inventory, $1) returning *',
+    v_columns, v_columns)
+    using p_item
+     into v_row;
+
+  return jsonb_build_object('item', to_jsonb(v_row), 'created', true);
+end;
+$$;
@@ -8,8 +8,10 @@ const config = {
 
 // State
 let token = null;
+let currentUser = null;
 let allFoundCards = [];
 let currentPage = 1;
+let exchangeRates = null; // { base, rates: { EUR: 1.08, ... } } from /api/exchange-rates
 const cardsPerPage = 20;
 
 // ===== UI EVENT LISTENERS =====
@@ -74,7 +76,9 @@ async function handleLogin() {
     }
 
     token = data.token;
+    currentUser = email;
     showMessage(loginMsgDiv, "✅ Logged in successfully!", "success");
+    loadStores();
     
     setTimeout(() => {
       document.getElementById('uploadForm').style.display = "block";
@@ -91,6 +95,7 @@ async function handleLogin() {
 
 function handleLogout() {
   token = null;
+  currentUser = null;
   document.getElementById('uploadForm').style.display = "none";
   document.getElementById('loginDiv').style.display = "block";
   document.getElementById('cardSelection').style.display = "none";
@@ -265,34 +270,54 @@ function sortCardsByRelevance(cards, searchName) {
   });
 }
 
-function extractMarketPrice(card) {
+// Print variants the backend stores, with the TCGplayer pricing key for each
+// (listed in the order the default market price has always been picked)
+const PRINT_VARIANTS = [
+  { value: 'holofoil', label: 'Holofoil', tcgplayer: 'holofoil' },
+  { value: 'reverse', label: 'Reverse Holo', tcgplayer: 'reverseHolofoil' },
+  { value: 'normal', label: 'Normal', tcgplayer: 'normal' },
+  { value: '1st-edition', label: '1st Edition', tcgplayer: '1stEdition' },
+  { value: 'unlimited-holofoil', label: 'Unlimited Holofoil', tcgplayer: 'unlimitedHolofoil' },
+  { value: '1st-edition-holofoil', label: '1st Edition Holofoil', tcgplayer: '1stEditionHolofoil' },
+  { value: 'unlimited', label: 'Unlimited', tcgplayer: 'unlimited' }
+];
+
+// Variants a card has a TCGplayer price for; every variant when it has none
+function getCardVariants(card) {
+  const tcp = card.pricing && card.pricing.tcgplayer;
+  const priced = PRINT_VARIANTS.filter(v => tcp && tcp[v.tcgplayer] && tcp[v.tcgplayer].marketPrice);
+  return priced.length > 0 ? priced : PRINT_VARIANTS;
+}
+
+// Market price ({ price, currency }) for one variant; without a variant, the first
+// variant that has a price. TCGplayer prices are USD and Cardmarket prices EUR
+// unless the pricing block says otherwise (sheet prices carry their own unit).
+function extractMarketPrice(card, variant) {
   try {
     if (card.pricing) {
       if (card.pricing.tcgplayer) {
         const tcp = card.pricing.tcgplayer;
+        const currency = tcp.unit || 'USD';
         
-        if (tcp.holofoil && tcp.holofoil.marketPrice) {
-          return tcp.holofoil.marketPrice.toFixed(2);
-        }
-        if (tcp.reverseHolofoil && tcp.reverseHolofoil.marketPrice) {
-          return tcp.reverseHolofoil.marketPrice.toFixed(2);
-        }
-        if (tcp.normal && tcp.normal.marketPrice) {
-          return tcp.normal.marketPrice.toFixed(2);
-        }
-        if (tcp['1stEdition'] && tcp['1stEdition'].marketPrice) {
-          return tcp['1stEdition'].marketPrice.toFixed(2);
-        }
-        if (tcp.unlimitedHolofoil && tcp.unlimitedHolofoil.marketPrice) {
-          return tcp.unlimitedHolofoil.marketPrice.toFixed(2);
+        for (const v of PRINT_VARIANTS) {
+          if (variant && v.value !== variant) continue;
+          if (tcp[v.tcgplayer] && tcp[v.tcgplayer].marketPrice) {
+            return { price: tcp[v.tcgplayer].marketPrice.toFixed(2), currency: currency };
+          }
         }
       }
       
+      // Cardmarket only has normal and holo (used for reverse holo too) prices
       if (card.pricing.cardmarket) {
         const cm = card.pricing.cardmarket;
-        if (cm.avg) return cm.avg.toFixed(2);
-        if (cm.trend) return cm.trend.toFixed(2);
-        if (cm.low) return cm.low.toFixed(2);
+        const currency = cm.unit || 'EUR';
+        let price = null;
+        if (!variant || variant === 'normal') {
+          price = cm.avg || cm.trend || cm.low;
+        } else if (variant === 'holofoil' || variant === 'reverse') {
+          price = cm['avg-holo'] || cm['trend-holo'];
+        }
+        if (price) return { price: price.toFixed(2), currency: currency };
       }
     }
     
@@ -303,6 +328,85 @@ function extractMarketPrice(card) {
   }
 }
 
+// ===== CURRENCIES =====
+
+async function loadExchangeRates() {
+  try {
+    const response = await fetch(config.backendUrl + '/api/exchange-rates', {
+      headers: { 'Authorization': 'Bearer ' + token }
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Server error');
+
+    const rates = {};
+    data.rates.forEach(r => { rates[r.currency] = parseFloat(r.rate); });
+    exchangeRates = { base: data.base, rates: rates };
+  } catch (err) {
+    console.error('Error loading exchange rates:', err);
+    exchangeRates = { base: 'USD', rates: {} };
+  }
+}
+
+function baseCurrency() {
+  return exchangeRates ? exchangeRates.base : 'USD';
+}
+
+// A market price in the shop base currency (as a "0.00" string), or null without a rate
+function toBaseCurrency(quote) {
+  if (!quote) return null;
+  if (quote.currency === baseCurrency()) return quote.price;
+  const rate = exchangeRates && exchangeRates.rates[quote.currency];
+  return rate ? (parseFloat(quote.price) * rate).toFixed(2) : null;
+}
+
+function formatMoney(price, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(price);
+  } catch (err) {
+    return currency + ' ' + price;
+  }
+}
+
+// "€5.00 (≈ $5.40)" - the market price, and what it is in the base currency when that differs
+function describeMarketPrice(quote) {
+  if (!quote) return 'N/A (Market price unavailable - please set manually)';
+  let text = formatMoney(quote.price, quote.currency);
+  if (quote.currency !== baseCurrency()) {
+    const converted = toBaseCurrency(quote);
+    text += converted
+      ? ' (≈ ' + formatMoney(converted, baseCurrency()) + ')'
+      : ' (no ' + quote.currency + ' → ' + baseCurrency() + ' exchange rate)';
+  }
+  return text;
+}
+
+// ===== STORES =====
+
+// Fill the store picker from /api/stores, with the default store selected
+async function loadStores() {
+  const select = document.getElementById('store');
+
+  try {
+    const response = await fetch(config.backendUrl + '/api/stores', {
+      headers: { 'Authorization': 'Bearer ' + token }
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Server error');
+
+    select.innerHTML = '';
+    data.stores.forEach(store => {
+      const option = document.createElement('option');
+      option.value = store.id;
+      option.textContent = store.name + (store.is_default ? ' (default)' : '');
+      option.selected = store.is_default;
+      select.appendChild(option);
+    });
+  } catch (err) {
+    // Leaves the "Default store" option, so cards still go to the default store
+    console.error('Error loading stores:', err);
+  }
+}
+
 // ===== FETCH INVENTORY COUNT =====
 
 async function fetchInventoryCount(cardName, setName, cardNumber) {
@@ -344,6 +448,10 @@ async function displayCards(cards, page, language, condition) {
   
   const listEl = document.getElementById('cardList');
   listEl.innerHTML = '<li style="text-align: center; padding: 20px;">Loading inventory counts...</li>';
+
+  if (!exchangeRates) {
+    await loadExchangeRates();
+  }
   
   // Fetch inventory counts for all cards
   const cardsWithInventory = await Promise.all(
@@ -361,9 +469,9 @@ async function displayCards(cards, page, language, condition) {
     const globalIdx = startIdx + idx;
     const li = document.createElement('li');
     
-    const marketPrice = extractMarketPrice(c);
-    const defaultPrice = marketPrice || '10.00';
-    const priceNote = marketPrice ? '' : ' (Market price unavailable - please set manually)';
+    const variants = getCardVariants(c);
+    const marketPrice = extractMarketPrice(c, variants[0].value);
+    const defaultPrice = toBaseCurrency(marketPrice) || '10.00';
     
     let imageUrl = 'https://placehold.co/70x100/94A3B8/ffffff?text=No+Image';
     
@@ -381,7 +489,6 @@ async function displayCards(cards, page, language, condition) {
     const setName = (c.set && c.set.name) || 'Unknown Set';
     const cardNumber = c.localId || c.id || '?';
     const cardRarity = c.rarity || 'Unknown';
-    const priceDisplay = marketPrice ? '$' + marketPrice : 'N/A';
     const inventoryCount = c.inventoryCount || 0;
     const inventoryBadge = inventoryCount > 0 
       ? '<span style="background: #4CAF50; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; font-weight: bold; margin-left: 8px;">In Stock: ' + inventoryCount + '</span>'
@@ -391,11 +498,16 @@ async function displayCards(cards, page, language, condition) {
       '<div class="card-details">' +
         '<strong>' + cardName + '</strong>' + inventoryBadge + '<br>' +
         '<small>' + setName + ' • #' + cardNumber + ' • ' + cardRarity + '</small><br>' +
-        '<small>Market Price: ' + priceDisplay + priceNote + '</small>' +
+        '<small>Market Price: <span class="market-price" data-index="' + globalIdx + '">' + describeMarketPrice(marketPrice) + '</span></small>' +
       '</div>' +
       '<div class="price-input-container">' +
-        '<label class="price-label">List Price ($):</label>' +
+        '<select class="variant-select" data-index="' + globalIdx + '">' +
+          variants.map(v => '<option value="' + v.value + '">' + v.label + '</option>').join('') +
+        '</select>' +
+        '<label class="price-label">List Price (' + baseCurrency() + '):</label>' +
         '<input type="number" step="0.01" min="0.01" value="' + defaultPrice + '" class="listed-price-input" data-index="' + globalIdx + '">' +
+        '<label class="price-label">Cost (' + baseCurrency() + '):</label>' +
+        '<input type="number" step="0.01" min="0" placeholder="optional" class="unit-cost-input" data-index="' + globalIdx + '">' +
       '</div>' +
       '<button data-index="' + globalIdx + '">Add to Inventory</button>';
     
@@ -407,6 +519,20 @@ async function displayCards(cards, page, language, condition) {
 
 function setupCardButtons(language, condition) {
   const listEl = document.getElementById('cardList');
+
+  // Choosing a variant shows its market price and uses it as the list price
+  listEl.querySelectorAll('.variant-select').forEach(select => {
+    select.addEventListener('change', function() {
+      const idx = parseInt(select.dataset.index);
+      const marketPrice = extractMarketPrice(allFoundCards[idx], select.value);
+      const priceEl = listEl.querySelector('.market-price[data-index="' + idx + '"]');
+      priceEl.textContent = describeMarketPrice(marketPrice);
+      if (toBaseCurrency(marketPrice)) {
+        listEl.querySelector('.listed-price-input[data-index="' + idx + '"]').value = toBaseCurrency(marketPrice);
+      }
+    });
+  });
+
   listEl.querySelectorAll('button').forEach(btn => {
     btn.addEventListener('click', async function() {
       const idx = parseInt(btn.dataset.index);
@@ -420,14 +546,32 @@ function setupCardButtons(language, condition) {
         return;
       }
       const listedPrice = parseFloat(listedPriceRaw);
+
+      const costInput = document.querySelector('.unit-cost-input[data-index="' + idx + '"]');
+      const unitCostRaw = costInput ? costInput.value : '';
+      if (unitCostRaw !== '' && (isNaN(parseFloat(unitCostRaw)) || parseFloat(unitCostRaw) < 0)) {
+        alert("❌ Cost must be $0.00 or more (or left blank).");
+        return;
+      }
+      const unitCost = unitCostRaw !== '' ? parseFloat(unitCostRaw) : null;
+
+      const variantSelect = document.querySelector('.variant-select[data-index="' + idx + '"]');
+      const variant = variantSelect ? variantSelect.value : 'normal';
+
+      const grading = readGradingInputs();
+      const storeId = document.getElementById('store').value || null;
+      if (grading && (isNaN(grading.grade) || grading.grade < 1 || grading.grade > 10)) {
+        alert("❌ Enter a grade from 1 to 10 for a graded card.");
+        return;
+      }
       
       btn.disabled = true;
       btn.textContent = 'Adding...';
       
       try {
-        await addCardToInventory(selectedCard, listedPrice, language, condition);
+        const result = await addCardToInventory(selectedCard, listedPrice, language, condition, unitCost, grading, variant, storeId);
         
-        alert("✅ Card added to inventory!");
+        alert("✅ Card added to inventory!" + (result.item && result.item.sku ? " SKU: " + result.item.sku : ""));
         
         document.getElementById('cardSelection').style.display = 'none';
         document.getElementById('cardImage').value = '';
@@ -447,8 +591,20 @@ function setupCardButtons(language, condition) {
   });
 }
 
-async function addCardToInventory(card, listedPrice, language, condition) {
-  const marketPrice = extractMarketPrice(card);
+// Grading company, grade and cert number from the upload form, or null for a raw card
+function readGradingInputs() {
+  const company = document.getElementById('gradingCompany').value;
+  if (!company) return null;
+
+  return {
+    company: company,
+    grade: parseFloat(document.getElementById('grade').value),
+    certNumber: document.getElementById('certNumber').value.trim() || null
+  };
+}
+
+async function addCardToInventory(card, listedPrice, language, condition, unitCost, grading, variant, storeId) {
+  const marketPrice = extractMarketPrice(card, variant);
   
   let imageUrl = null;
   if (card.image) {
@@ -468,12 +624,19 @@ async function addCardToInventory(card, listedPrice, language, condition) {
       number: card.localId || card.id || '',
       rarity: card.rarity || 'Unknown',
       image_url: imageUrl,
-      price: marketPrice ? parseFloat(marketPrice) * 100 : 0,
+      tcgdex_id: card.id || null,
+      price: marketPrice ? parseFloat(marketPrice.price) * 100 : 0,
+      currency: marketPrice ? marketPrice.currency : null,
+      pricing: card.pricing || null,
       source: 'tcgdex',
       listedPrice: listedPrice
     },
     condition: condition,
-    language: language === 'ja' ? 'Japanese' : (language === 'en' ? 'English' : language)
+    variant: variant || 'normal',
+    language: language === 'ja' ? 'Japanese' : (language === 'en' ? 'English' : language),
+    unitCost: unitCost,
+    grading: grading || null,
+    storeId: storeId || null
   };
   
   console.log("Sending card payload:", cardPayload);
@@ -482,7 +645,8 @@ async function addCardToInventory(card, listedPrice, language, condition) {
     method: "POST",
     headers: { 
       "Authorization": "Bearer " + token,
-      "Content-Type": "application/json"
+      "Content-Type": "application/json",
+      "X-User": currentUser || ""
     },
     body: JSON.stringify(cardPayload)
   });